@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { isIpAllowed } = require('../utils/ip');
+
+// Interface every messaging channel implements. Inbound payloads are normalized to:
+//   { channel, userId, identifier, messageId, type, text, file }
+// where type is 'text' | 'document' | 'invalid_document' | 'unsupported' and file is
+//   { ref, originalname, size, email, name } with ref passed back to downloadFile().
+class ChannelAdapter {
+  constructor(name) {
+    this.name = name;
+    // Providers cap the number of quick-reply buttons per message
+    this.maxButtons = 3;
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  identifierFor(userId) {
+    return `${this.name}:${userId}`;
+  }
+
+  // Addresses or CIDR ranges webhooks may come from; empty allows any
+  get allowedIps() {
+    return [];
+  }
+
+  // Checks that a webhook request really comes from the provider. Returns null
+  // when it does, otherwise the rejection reason ('ip', 'secret' or 'signature').
+  verifyWebhook({ ip }) {
+    return isIpAllowed(ip, this.allowedIps) ? null : 'ip';
+  }
+
+  // Constant-time comparison so the secret can't be guessed byte by byte
+  secretMatches(expected, received) {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  async normalizeInbound(payload) {
+    throw new Error(`${this.name} adapter does not implement normalizeInbound`);
+  }
+
+  async sendText(userId, text) {
+    throw new Error(`${this.name} adapter does not implement sendText`);
+  }
+
+  // Channels without interactive messages list the options as text instead
+  async sendButtons(userId, text, buttons) {
+    const options = buttons.map(button => `- ${button.title}`).join('\n');
+    return this.sendText(userId, `${text}\n\n${options}`);
+  }
+
+  async downloadFile(ref) {
+    throw new Error(`${this.name} adapter does not implement downloadFile`);
+  }
+}
+
+module.exports = ChannelAdapter;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const whatsapp = require('./whatsapp');
+const telegram = require('./telegram');
+
+// Adding a channel means writing an adapter and registering it here
+const adapters = { whatsapp, telegram };
+
+function getAdapter(channel) {
+  const adapter = adapters[channel];
+  if (!adapter) {
+    throw new Error(`Unknown channel: ${channel}`);
+  }
+  return adapter;
+}
+
+// Identifiers are "<channel>:<provider user id>", e.g. "whatsapp:2348012345678"
+function parseIdentifier(identifier) {
+  const value = String(identifier);
+  const separator = value.indexOf(':');
+  if (separator === -1) {
+    throw new Error(`Identifier has no channel: ${value}`);
+  }
+  return { channel: value.slice(0, separator), userId: value.slice(separator + 1) };
+}
+
+module.exports = { adapters, getAdapter, parseIdentifier };
\ No newline at end of file
@@ -0,0 +1,161 @@
+const TelegramBot = require('node-telegram-bot-api');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ChannelAdapter = require('./base');
+
+class TelegramAdapter extends ChannelAdapter {
+  constructor() {
+    super('telegram');
+    this.maxButtons = 8;
+    this.bot = null;
+
+    const token = config.get('telegram.token');
+    if (token && token.trim() !== '' && token !== 'your-telegram-token') {
+      try {
+        this.bot = new TelegramBot(token, { polling: false });
+        logger.info('Telegram bot initialized');
+      } catch (error) {
+        logger.error('Failed to initialize Telegram bot', { error: error.message });
+      }
+    } else {
+      logger.info('Telegram bot not initialized - no valid token provided');
+    }
+  }
+
+  isEnabled() {
+    return !!this.bot;
+  }
+
+  get allowedIps() {
+    return config.get('telegram.allowedIps');
+  }
+
+  // Telegram echoes the secret_token given to setWebhook in this header
+  verifyWebhook(req) {
+    const rejected = super.verifyWebhook(req);
+    const secret = config.get('telegram.webhookSecret');
+    if (rejected || !secret) return rejected;
+    return this.secretMatches(secret, req.headers['x-telegram-bot-api-secret-token']) ? null : 'secret';
+  }
+
+  async normalizeInbound(update) {
+    if (!update || typeof update !== 'object') {
+      return null;
+    }
+
+    // Inline button presses arrive as callback queries carrying the button id
+    if (update.callback_query) {
+      const query = update.callback_query;
+      await this.bot.answerCallbackQuery(query.id).catch((error) => {
+        logger.warn('Failed to answer Telegram callback query', { error: error.message });
+      });
+      if (!query.message) return [];
+      const chatId = String(query.message.chat.id);
+      return [{
+        channel: this.name,
+        userId: chatId,
+        identifier: this.identifierFor(chatId),
+        messageId: `callback:${query.id}`,
+        type: 'text',
+        text: query.data,
+        file: null
+      }];
+    }
+
+    const msg = update.message;
+    if (!msg) {
+      return [];
+    }
+
+    const chatId = String(msg.chat.id);
+    const base = {
+      channel: this.name,
+      userId: chatId,
+      identifier: this.identifierFor(chatId),
+      messageId: String(msg.message_id),
+      type: 'unsupported',
+      text: null,
+      file: null
+    };
+
+    if (msg.document) {
+      return [{
+        ...base,
+        type: 'document',
+        file: {
+          ref: msg.document.file_id,
+          originalname: msg.document.file_name,
+          size: msg.document.file_size || null,
+          email: null,
+          name: [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' ') || null
+        }
+      }];
+    }
+
+    // Photos come in several sizes, largest last; the text is recovered with OCR
+    if (Array.isArray(msg.photo) && msg.photo.length > 0) {
+      const photo = msg.photo[msg.photo.length - 1];
+      return [{
+        ...base,
+        type: 'document',
+        file: {
+          ref: photo.file_id,
+          originalname: `cv-photo-${msg.message_id}.jpg`,
+          size: photo.file_size || null,
+          email: null,
+          name: [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' ') || null
+        }
+      }];
+    }
+
+    if (msg.text) {
+      return [{ ...base, type: 'text', text: msg.text }];
+    }
+
+    return [base];
+  }
+
+  async sendText(chatId, text) {
+    if (!this.bot) {
+      logger.warn('Telegram bot not initialized, cannot send message', { chatId });
+      return 'Telegram bot not available.';
+    }
+    try {
+      await this.bot.sendMessage(chatId, text);
+      return text;
+    } catch (error) {
+      logger.error('Telegram message failed', { chatId, error: error.message });
+      throw error;
+    }
+  }
+
+  async sendButtons(chatId, text, buttons) {
+    if (!this.bot) {
+      return this.sendText(chatId, text);
+    }
+    try {
+      await this.bot.sendMessage(chatId, text, {
+        reply_markup: {
+          inline_keyboard: buttons.slice(0, this.maxButtons).map(button => [
+            { text: button.title, callback_data: button.id }
+          ])
+        }
+      });
+      return text;
+    } catch (error) {
+      logger.error('Telegram message failed', { chatId, error: error.message });
+      throw error;
+    }
+  }
+
+  async downloadFile(fileId) {
+    const stream = this.bot.getFileStream(fileId);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = new TelegramAdapter();
\ No newline at end of file
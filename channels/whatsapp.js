@@ -0,0 +1,178 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ChannelAdapter = require('./base');
+
+const WHAPI_BASE_URL = 'https://gate.whapi.cloud';
+
+class WhatsAppAdapter extends ChannelAdapter {
+  constructor() {
+    super('whatsapp');
+  }
+
+  isEnabled() {
+    return !!config.get('whatsapp.token');
+  }
+
+  get allowedIps() {
+    return config.get('whatsapp.allowedIps');
+  }
+
+  // Whapi can send a custom header with every webhook; it carries either the
+  // shared secret itself or an HMAC of the raw body signed with it
+  verifyWebhook(req) {
+    const rejected = super.verifyWebhook(req);
+    const secret = config.get('whatsapp.webhookSecret');
+    if (rejected || !secret) return rejected;
+
+    const received = req.headers[config.get('whatsapp.webhookHeader').toLowerCase()];
+    if (config.get('whatsapp.webhookVerification') === 'signature') {
+      const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+      return this.secretMatches(expected, String(received || '').replace(/^sha256=/, '')) ? null : 'signature';
+    }
+    return this.secretMatches(secret, received) ? null : 'secret';
+  }
+
+  get headers() {
+    return { Authorization: `Bearer ${config.get('whatsapp.token')}` };
+  }
+
+  async normalizeInbound(payload) {
+    const { messages } = payload || {};
+    if (!Array.isArray(messages)) {
+      return null;
+    }
+    // Whapi also echoes our own outgoing messages to the webhook
+    return messages.filter(message => !message.from_me).map(message => this.normalizeMessage(message));
+  }
+
+  normalizeMessage(message) {
+    const base = {
+      channel: this.name,
+      userId: message.from,
+      identifier: this.identifierFor(message.from),
+      messageId: message.id || null,
+      type: 'unsupported',
+      text: null,
+      file: null
+    };
+
+    if (message.type === 'text') {
+      return { ...base, type: 'text', text: message.text?.body ?? message.body };
+    }
+
+    // Button replies come back as the id we set when sending them
+    if (message.type === 'reply' && message.reply?.buttons_reply) {
+      const { id, title } = message.reply.buttons_reply;
+      return { ...base, type: 'text', text: id ? id.replace(/^ButtonsV3:/, '') : title };
+    }
+
+    if (message.type === 'document') {
+      const { document } = message;
+      if ((!document?.data && !document?.id && !document?.link) || !document?.filename) {
+        return { ...base, type: 'invalid_document' };
+      }
+      return {
+        ...base,
+        type: 'document',
+        file: {
+          ref: { data: document.data || null, id: document.id || null, link: document.link || null },
+          originalname: document.filename,
+          size: document.file_size || null,
+          email: message.from_email || null,
+          name: message.from_name || null
+        }
+      };
+    }
+
+    // Photographed CVs; the text is recovered with OCR
+    if (message.type === 'image') {
+      const { image } = message;
+      if (!image?.link && !image?.id) {
+        return { ...base, type: 'invalid_document' };
+      }
+      const extension = (image.mime_type || 'image/jpeg').split('/')[1].replace('jpeg', 'jpg');
+      return {
+        ...base,
+        type: 'document',
+        file: {
+          ref: { data: null, id: image.id || null, link: image.link || null },
+          originalname: `cv-photo-${message.id || Date.now()}.${extension}`,
+          size: image.file_size || null,
+          email: message.from_email || null,
+          name: message.from_name || null
+        }
+      };
+    }
+
+    return base;
+  }
+
+  async sendText(phone, text) {
+    try {
+      await axios.post(`${WHAPI_BASE_URL}/messages/text`, {
+        to: phone,
+        body: text
+      }, { headers: this.headers });
+      return text;
+    } catch (error) {
+      logger.error('WhatsApp message failed', { phone, error: error.message });
+      throw error;
+    }
+  }
+
+  async sendButtons(phone, text, buttons) {
+    try {
+      await axios.post(`${WHAPI_BASE_URL}/messages/interactive`, {
+        to: phone,
+        type: 'button',
+        body: { text },
+        action: {
+          buttons: buttons.slice(0, this.maxButtons).map(button => ({
+            type: 'quick_reply',
+            id: button.id,
+            title: button.title
+          }))
+        }
+      }, { headers: this.headers });
+      return text;
+    } catch (error) {
+      // Interactive messages are not available on every Whapi plan
+      logger.warn('WhatsApp interactive message failed, falling back to text', { phone, error: error.message });
+      return super.sendButtons(phone, text, buttons);
+    }
+  }
+
+  // Media is fetched by id from the Whapi API. A link from the payload is only
+  // followed when it points at the API host, so the token never goes elsewhere.
+  mediaUrl(ref) {
+    if (ref.id) {
+      return `${WHAPI_BASE_URL}/media/${encodeURIComponent(ref.id)}`;
+    }
+    let url;
+    try {
+      url = new URL(ref.link);
+    } catch (error) {
+      throw new Error('Invalid media link');
+    }
+    if (url.origin !== new URL(WHAPI_BASE_URL).origin) {
+      throw new Error(`Media link outside ${WHAPI_BASE_URL} rejected`);
+    }
+    return url.href;
+  }
+
+  async downloadFile(ref) {
+    if (ref.data) {
+      return Buffer.from(ref.data, 'base64');
+    }
+    const response = await axios.get(this.mediaUrl(ref), {
+      headers: this.headers,
+      responseType: 'arraybuffer',
+      maxContentLength: 10 * 1024 * 1024
+    });
+    return Buffer.from(response.data);
+  }
+}
+
+module.exports = new WhatsAppAdapter();
\ No newline at end of file
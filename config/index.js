@@ -1,37 +1,155 @@
-const convict = require('convict');
-
-const config = convict({
-  env: { format: ['production', 'development'], default: 'development', env: 'NODE_ENV' },
-  port: { format: 'port', default: 3000, env: 'PORT' },
-  database: {
-    host: { format: String, default: 'localhost', env: 'DB_HOST' },
-    port: { format: 'port', default: 5432, env: 'DB_PORT' },
-    name: { format: String, default: 'cv_job_matching', env: 'DB_NAME' },
-    user: { format: String, default: 'postgres', env: 'DB_USER' },
-    password: { format: String, default: '', env: 'DB_PASSWORD' },
-    maxConnections: { format: Number, default: 100 },
-    statementTimeout: { format: Number, default: 5000 }
-  },
-  redis: {
-    host: { format: String, default: 'localhost', env: 'REDIS_HOST' },
-    port: { format: 'port', default: 6379, env: 'REDIS_PORT' },
-    password: { format: String, default: '', env: 'REDIS_PASSWORD' }
-  },
-  openai: { key: { format: String, default: '', env: 'OPENAI_API_KEY' } },
-  whatsapp: { token: { format: String, default: '', env: 'WHAPI_TOKEN' } },
-  telegram: { token: { format: String, default: '', env: 'TELEGRAM_TOKEN' } },
-  paystack: {
-    secret: { format: String, default: '', env: 'PAYSTACK_SECRET_KEY' },
-    public: { format: String, default: '', env: 'PAYSTACK_PUBLIC_KEY' },
-    amount: { format: Number, default: 50000, env: 'PAYSTACK_AMOUNT' },
-    webhookUrl: { format: String, default: 'http://localhost:3000/webhook/paystack', env: 'PAYSTACK_WEBHOOK_URL' }
-  },
-  baseUrl: { format: String, default: 'http://localhost:3000', env: 'BASE_URL' },
-  SMTP_HOST: { format: String, default: 'smtp.gmail.com', env: 'SMTP_HOST' },
-  SMTP_PORT: { format: Number, default: 587, env: 'SMTP_PORT' },
-  SMTP_USER: { format: String, default: '', env: 'SMTP_USER' },
-  SMTP_PASS: { format: String, default: '', env: 'SMTP_PASS' }
-});
-
-config.validate({ allowed: 'strict' });
+const convict = require('convict');
+
+// Counts where 0 would stall the work they size
+convict.addFormat({
+  name: 'positive-int',
+  validate: (value) => {
+    if (!Number.isInteger(value) || value < 1) throw new Error('must be a positive integer');
+  },
+  coerce: (value) => parseInt(value, 10)
+});
+
+const config = convict({
+  env: { format: ['production', 'development'], default: 'development', env: 'NODE_ENV' },
+  port: { format: 'port', default: 3000, env: 'PORT' },
+  database: {
+    host: { format: String, default: 'localhost', env: 'DB_HOST' },
+    port: { format: 'port', default: 5432, env: 'DB_PORT' },
+    name: { format: String, default: 'cv_job_matching', env: 'DB_NAME' },
+    user: { format: String, default: 'postgres', env: 'DB_USER' },
+    password: { format: String, default: '', env: 'DB_PASSWORD' },
+    // Per process; every service shares the pool in utils/db.js
+    maxConnections: { format: 'nat', default: 20, env: 'DB_MAX_CONNECTIONS' },
+    statementTimeout: { format: Number, default: 5000 }
+  },
+  redis: {
+    host: { format: String, default: 'localhost', env: 'REDIS_HOST' },
+    port: { format: 'port', default: 6379, env: 'REDIS_PORT' },
+    password: { format: String, default: '', env: 'REDIS_PASSWORD' }
+  },
+  openai: { key: { format: String, default: '', env: 'OPENAI_API_KEY' } },
+  llm: {
+    provider: { format: ['mistral', 'openai', 'ollama', 'mock'], default: 'mistral', env: 'LLM_PROVIDER' },
+    repairAttempts: { format: 'nat', default: 1, env: 'LLM_REPAIR_ATTEMPTS' },
+    // LLM tasks the worker runs at once; CV ranking queues matches in batches of this size
+    concurrency: { format: 'positive-int', default: 2, env: 'LLM_CONCURRENCY' },
+    mistral: {
+      key: { format: String, default: '', env: 'MISTRAL_API_KEY', sensitive: true },
+      baseUrl: { format: String, default: 'https://api.mistral.ai/v1', env: 'MISTRAL_BASE_URL' },
+      model: { format: String, default: 'mistral-small-latest', env: 'MISTRAL_MODEL' }
+    },
+    openai: {
+      baseUrl: { format: String, default: 'https://api.openai.com/v1', env: 'OPENAI_BASE_URL' },
+      model: { format: String, default: 'gpt-4o-mini', env: 'OPENAI_MODEL' }
+    },
+    ollama: {
+      baseUrl: { format: String, default: 'http://localhost:11434', env: 'OLLAMA_BASE_URL' },
+      model: { format: String, default: 'llama3.1', env: 'OLLAMA_MODEL' }
+    },
+    tasks: {
+      parseQuery: {
+        model: { format: String, default: '', env: 'LLM_PARSE_QUERY_MODEL' },
+        temperature: { format: Number, default: 0.1, env: 'LLM_PARSE_QUERY_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 500, env: 'LLM_PARSE_QUERY_MAX_TOKENS' }
+      },
+      analyzeCv: {
+        model: { format: String, default: '', env: 'LLM_ANALYZE_CV_MODEL' },
+        temperature: { format: Number, default: 0.1, env: 'LLM_ANALYZE_CV_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 1000, env: 'LLM_ANALYZE_CV_MAX_TOKENS' }
+      },
+      parseCv: {
+        model: { format: String, default: '', env: 'LLM_PARSE_CV_MODEL' },
+        temperature: { format: Number, default: 0, env: 'LLM_PARSE_CV_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 1500, env: 'LLM_PARSE_CV_MAX_TOKENS' }
+      },
+      matchCv: {
+        model: { format: String, default: '', env: 'LLM_MATCH_CV_MODEL' },
+        temperature: { format: Number, default: 0.1, env: 'LLM_MATCH_CV_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 1000, env: 'LLM_MATCH_CV_MAX_TOKENS' }
+      },
+      generateCoverLetter: {
+        model: { format: String, default: '', env: 'LLM_COVER_LETTER_MODEL' },
+        temperature: { format: Number, default: 0.7, env: 'LLM_COVER_LETTER_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 1000, env: 'LLM_COVER_LETTER_MAX_TOKENS' }
+      },
+      reviseCoverLetter: {
+        model: { format: String, default: '', env: 'LLM_REVISE_COVER_LETTER_MODEL' },
+        temperature: { format: Number, default: 0.4, env: 'LLM_REVISE_COVER_LETTER_TEMPERATURE' },
+        maxTokens: { format: 'nat', default: 1000, env: 'LLM_REVISE_COVER_LETTER_MAX_TOKENS' }
+      }
+    }
+  },
+  whatsapp: {
+    token: { format: String, default: '', env: 'WHAPI_TOKEN' },
+    // "secret" compares the header with the secret; "signature" expects a hex HMAC-SHA256 of the body
+    webhookSecret: { format: String, default: '', env: 'WHAPI_WEBHOOK_SECRET' },
+    webhookHeader: { format: String, default: 'x-webhook-secret', env: 'WHAPI_WEBHOOK_HEADER' },
+    webhookVerification: { format: ['secret', 'signature'], default: 'secret', env: 'WHAPI_WEBHOOK_VERIFICATION' },
+    allowedIps: { format: Array, default: [], env: 'WHAPI_ALLOWED_IPS' }
+  },
+  telegram: {
+    token: { format: String, default: '', env: 'TELEGRAM_TOKEN' },
+    // Must match the secret_token passed to setWebhook
+    webhookSecret: { format: String, default: '', env: 'TELEGRAM_WEBHOOK_SECRET' },
+    allowedIps: { format: Array, default: [], env: 'TELEGRAM_ALLOWED_IPS' }
+  },
+  paystack: {
+    secret: { format: String, default: '', env: 'PAYSTACK_SECRET_KEY' },
+    public: { format: String, default: '', env: 'PAYSTACK_PUBLIC_KEY' },
+    amount: { format: Number, default: 50000, env: 'PAYSTACK_AMOUNT' },
+    currency: { format: String, default: 'NGN', env: 'PAYSTACK_CURRENCY' },
+    webhookUrl: { format: String, default: 'http://localhost:3000/webhook/paystack', env: 'PAYSTACK_WEBHOOK_URL' },
+    reconcileIntervalMinutes: { format: 'nat', default: 15, env: 'PAYSTACK_RECONCILE_INTERVAL_MINUTES' },
+    reconcileAfterMinutes: { format: 'nat', default: 15, env: 'PAYSTACK_RECONCILE_AFTER_MINUTES' },
+    reconcileMaxAgeHours: { format: 'nat', default: 48, env: 'PAYSTACK_RECONCILE_MAX_AGE_HOURS' }
+  },
+  storage: {
+    driver: { format: ['local', 's3'], default: 'local', env: 'STORAGE_DRIVER' },
+    localPath: { format: String, default: './Uploads', env: 'STORAGE_LOCAL_PATH' },
+    s3: {
+      bucket: { format: String, default: '', env: 'S3_BUCKET' },
+      region: { format: String, default: 'us-east-1', env: 'S3_REGION' },
+      endpoint: { format: String, default: '', env: 'S3_ENDPOINT' },
+      accessKeyId: { format: String, default: '', env: 'S3_ACCESS_KEY_ID' },
+      secretAccessKey: { format: String, default: '', env: 'S3_SECRET_ACCESS_KEY', sensitive: true }
+    }
+  },
+  ocr: {
+    enabled: { format: Boolean, default: true, env: 'OCR_ENABLED' },
+    // tesseract language codes joined with "+", e.g. "eng+fra"
+    languages: { format: String, default: 'eng', env: 'OCR_LANGUAGES' },
+    // Directory with uncompressed <lang>.traineddata files; empty uses the English
+    // data bundled with @tesseract.js-data/eng, which only covers OCR_LANGUAGES=eng
+    langPath: { format: String, default: '', env: 'OCR_LANG_PATH' },
+    // PDFs with fewer non-whitespace characters than this are treated as scanned
+    minPdfTextLength: { format: 'nat', default: 100, env: 'OCR_MIN_PDF_TEXT_LENGTH' },
+    maxPages: { format: 'nat', default: 5, env: 'OCR_MAX_PAGES' }
+  },
+  // Prices are in kobo. The starter bundle costs paystack.amount; the monthly
+  // plan is only offered once its Paystack plan code is set.
+  billing: {
+    starterCredits: { format: 'nat', default: 10, env: 'BILLING_STARTER_CREDITS' },
+    bundleCredits: { format: 'nat', default: 50, env: 'BILLING_BUNDLE_CREDITS' },
+    bundleAmount: { format: 'nat', default: 200000, env: 'BILLING_BUNDLE_AMOUNT' },
+    monthlyPlanCode: { format: String, default: '', env: 'PAYSTACK_MONTHLY_PLAN_CODE' },
+    monthlyAmount: { format: 'nat', default: 300000, env: 'BILLING_MONTHLY_AMOUNT' }
+  },
+  applications: {
+    dailyLimit: { format: 'nat', default: 20, env: 'APPLICATIONS_DAILY_LIMIT' }
+  },
+  alerts: {
+    instantIntervalMinutes: { format: 'nat', default: 5, env: 'ALERTS_INSTANT_INTERVAL_MINUTES' },
+    dailyCron: { format: String, default: '0 8 * * *', env: 'ALERTS_DAILY_CRON' }
+  },
+  admin: { apiKey: { format: String, default: '', env: 'ADMIN_API_KEY' } },
+  // Proxy hops in front of the app, so allowlists see the client address
+  trustProxy: { format: 'nat', default: 0, env: 'TRUST_PROXY' },
+  baseUrl: { format: String, default: 'http://localhost:3000', env: 'BASE_URL' },
+  SMTP_HOST: { format: String, default: 'smtp.gmail.com', env: 'SMTP_HOST' },
+  SMTP_PORT: { format: Number, default: 587, env: 'SMTP_PORT' },
+  SMTP_USER: { format: String, default: '', env: 'SMTP_USER' },
+  SMTP_PASS: { format: String, default: '', env: 'SMTP_PASS' }
+});
+
+config.validate({ allowed: 'strict' });
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const OllamaProvider = require('./ollama');
+const MockProvider = require('./mock');
+
+function createProvider(name = config.get('llm.provider')) {
+  switch (name) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name,
+        baseUrl: config.get('llm.openai.baseUrl'),
+        apiKey: config.get('openai.key'),
+        model: config.get('llm.openai.model')
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        baseUrl: config.get('llm.ollama.baseUrl'),
+        model: config.get('llm.ollama.model')
+      });
+    case 'mock':
+      return new MockProvider();
+    case 'mistral':
+    default:
+      return new OpenAICompatibleProvider({
+        name: 'mistral',
+        baseUrl: config.get('llm.mistral.baseUrl'),
+        // Deployments from before provider selection keep the Mistral key in OPENAI_API_KEY
+        apiKey: config.get('llm.mistral.key') || config.get('openai.key'),
+        model: config.get('llm.mistral.model')
+      });
+  }
+}
+
+// Per-task model/temperature/token settings; an empty model means the provider default
+function taskSettings(task) {
+  const { model, temperature, maxTokens } = config.get(`llm.tasks.${task}`);
+  return { task, model: model || undefined, temperature, maxTokens };
+}
+
+const provider = createProvider();
+logger.info('LLM provider selected', { provider: provider.name, model: provider.defaultModel });
+
+module.exports = { provider, createProvider, taskSettings };
\ No newline at end of file
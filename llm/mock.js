@@ -0,0 +1,89 @@
+// Deterministic offline provider for tests and local development. It answers
+// each task from the message text alone so identical input gives identical output.
+const { parseCommand } = require('../utils/commands');
+const { profileFromText } = require('../utils/cvProfile');
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'job', 'jobs', 'a', 'an', 'in', 'at', 'of', 'to', 'or', 'on', 'is', 'are', 'be', 'not', 'provided']);
+
+const FIELD_LABELS = new Set(['title', 'company', 'location', 'description']);
+
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+function section(text, heading) {
+  const match = String(text).match(new RegExp(`${heading}\\n([\\s\\S]*?)(?:\\n\\n[A-Z' ]+\\n|$)`));
+  return match ? match[1] : '';
+}
+
+function parseQuery(message) {
+  return parseCommand(message) || {
+    action: 'unknown',
+    filters: { title: null, location: null, company: null, remote: null },
+    applyAll: false,
+    jobId: null,
+    page: null,
+    frequency: null,
+    alertNumber: null,
+    plan: null,
+    response: 'Try "find developer jobs in Lagos" or "apply 1".'
+  };
+}
+
+function analyzeCV(cvText) {
+  const count = words(cvText).length;
+  const years = String(cvText).match(/(\d+)\+?\s*years?/i);
+  return {
+    skills: Math.min(100, 20 + count % 80),
+    experience: years ? Number(years[1]) : 0,
+    education: /b\.?sc|bachelor|degree|hnd|ond|m\.?sc|master/i.test(cvText) ? 70 : 40,
+    summary: `Mock analysis of a ${count}-word CV.`
+  };
+}
+
+function matchCV(content) {
+  const jobWords = [...new Set(words(section(content, 'JOB')))].filter(word => !FIELD_LABELS.has(word));
+  const cvWords = new Set(words(section(content, 'CV')));
+  const matchedSkills = jobWords.filter(word => cvWords.has(word));
+  const missingSkills = jobWords.filter(word => !cvWords.has(word));
+  const score = jobWords.length === 0 ? 0 : Math.round(matchedSkills.length / jobWords.length * 100);
+  return { score, matchedSkills, missingSkills, summary: `Mock match: ${matchedSkills.length} of ${jobWords.length} job terms found in the CV.` };
+}
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock';
+  }
+
+  async chat(messages, { task } = {}) {
+    const content = messages[messages.length - 1].content;
+    switch (task) {
+      case 'parseQuery':
+        return JSON.stringify(parseQuery(content));
+      case 'analyzeCv':
+        return JSON.stringify(analyzeCV(content));
+      case 'parseCv':
+        return JSON.stringify(profileFromText(content));
+      case 'matchCv':
+        return JSON.stringify(matchCV(content));
+      case 'generateCoverLetter': {
+        const title = (content.match(/Title: (.+)/) || [])[1] || 'this position';
+        const company = (content.match(/Company: (.+)/) || [])[1] || 'your company';
+        return `Dear Hiring Manager,\n\nI am writing to apply for the ${title} role at ${company}. My experience, summarised in the attached CV, matches what you are looking for.\n\nSincerely,\n[Your Name]`;
+      }
+      case 'reviseCoverLetter': {
+        const letter = section(content, 'LETTER');
+        const instruction = section(content, 'REQUESTED CHANGE').trim();
+        return `${letter.trim()}\n\n(Revised: ${instruction})`;
+      }
+      default:
+        return '{}';
+    }
+  }
+}
+
+module.exports = MockProvider;
\ No newline at end of file
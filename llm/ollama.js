@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// Local models served by Ollama (or anything exposing its /api/chat endpoint)
+class OllamaProvider {
+  constructor({ baseUrl, model }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.defaultModel = model;
+  }
+
+  async chat(messages, { model, temperature = 0.1, maxTokens = 1000 } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/chat`,
+      {
+        model: model || this.defaultModel,
+        messages,
+        stream: false,
+        options: { temperature, num_predict: maxTokens }
+      },
+      { timeout: 120000 }
+    );
+    return response.data.message.content;
+  }
+}
+
+module.exports = OllamaProvider;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+// Chat completions for any API that follows OpenAI's /chat/completions
+// contract (OpenAI itself, Mistral, most hosted gateways)
+class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey, model }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = model;
+  }
+
+  async chat(messages, { model, temperature = 0.1, maxTokens = 1000 } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: model || this.defaultModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000
+      }
+    );
+    return response.data.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const Ajv = require('ajv');
+const { NYSC_STATUSES } = require('../utils/cvProfile');
+
+const ACTIONS = [
+  'search_jobs', 'more_jobs', 'apply_job', 'my_applications', 'create_alert',
+  'list_alerts', 'unsubscribe', 'view_cv', 'replace_cv', 'delete_cv', 'help', 'set_language',
+  'balance', 'buy_plan', 'unknown'
+];
+
+const nullableString = { type: ['string', 'null'], default: null };
+const nullableInteger = { type: ['integer', 'null'], minimum: 1, default: null };
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+const letter = { type: 'string', minLength: 50 };
+const entryList = (fields) => ({
+  type: 'array',
+  items: { type: 'object', properties: Object.fromEntries(fields.map(field => [field, nullableString])) },
+  default: []
+});
+
+// Expected result of each task. Text tasks are validated as plain strings.
+const SCHEMAS = {
+  parseQuery: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { enum: ACTIONS },
+      filters: {
+        type: 'object',
+        properties: {
+          title: nullableString,
+          location: nullableString,
+          company: nullableString,
+          remote: { type: ['boolean', 'null'], default: null }
+        },
+        default: {}
+      },
+      applyAll: { type: 'boolean', default: false },
+      jobId: nullableInteger,
+      page: nullableInteger,
+      frequency: { enum: ['instant', 'daily', null], default: null },
+      alertNumber: nullableInteger,
+      plan: { enum: ['starter', 'bundle', 'monthly', null], default: null },
+      language: nullableString,
+      messageLanguage: { enum: ['en', 'pcm', 'yo', 'ha', 'ig', null], default: null },
+      response: { type: 'string', default: '' }
+    }
+  },
+  analyzeCv: {
+    type: 'object',
+    required: ['skills', 'experience', 'education', 'summary'],
+    properties: {
+      skills: score,
+      experience: { type: 'number', minimum: 0, maximum: 70 },
+      education: score,
+      summary: { type: 'string' }
+    }
+  },
+  parseCv: {
+    type: 'object',
+    required: ['skills'],
+    properties: {
+      name: nullableString,
+      email: nullableString,
+      phone: nullableString,
+      location: nullableString,
+      workHistory: entryList(['employer', 'role', 'startDate', 'endDate']),
+      education: entryList(['institution', 'qualification', 'field', 'year']),
+      certifications: entryList(['name', 'issuer', 'year']),
+      nysc: { enum: [...NYSC_STATUSES, null], default: null },
+      skills: stringList
+    }
+  },
+  matchCv: {
+    type: 'object',
+    required: ['score', 'summary'],
+    properties: {
+      score,
+      matchedSkills: stringList,
+      missingSkills: stringList,
+      summary: { type: 'string' }
+    }
+  },
+  generateCoverLetter: letter,
+  reviseCoverLetter: letter
+};
+
+// coerceTypes accepts "3" for 3 and "null" for null, which models often emit;
+// useDefaults fills optional fields so callers get a complete object
+const ajv = new Ajv({ coerceTypes: true, useDefaults: true, allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([task, schema]) => [task, ajv.compile(schema)])
+);
+
+function isJSONTask(task) {
+  return SCHEMAS[task].type === 'object';
+}
+
+// Models like to wrap output in ```json fences or add a sentence before it
+function stripCodeFences(raw) {
+  const text = String(raw || '').trim();
+  const fenced = text.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/);
+  return fenced ? fenced[1].trim() : text;
+}
+
+function extractJSON(raw) {
+  const text = stripCodeFences(raw);
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text);
+}
+
+// Returns { value } on success or { errors } describing what was wrong
+function parseTaskOutput(task, raw) {
+  let value;
+  try {
+    value = isJSONTask(task) ? extractJSON(raw) : stripCodeFences(raw);
+  } catch (error) {
+    return { errors: `output is not valid JSON (${error.message})` };
+  }
+  const validate = validators[task];
+  if (!validate(value)) {
+    return { errors: ajv.errorsText(validate.errors, { dataVar: 'output' }) };
+  }
+  return { value };
+}
+
+module.exports = { SCHEMAS, isJSONTask, stripCodeFences, parseTaskOutput };
\ No newline at end of file
@@ -0,0 +1,152 @@
+// English is the reference catalogue: every key must exist here, other
+// languages fall back to it for anything they don't define.
+const list = items => items.map(item => `- ${item}`).join('\n');
+
+module.exports = {
+  invalidDocument: 'Invalid document. Please send your CV as a PDF, Word (DOC/DOCX), RTF or text file, or a clear photo.',
+  unsupportedMessage: 'I can only process text messages and document files (PDF, Word, RTF, text or a photo).',
+  error: 'Sorry, an error occurred. Please try again.',
+  notUnderstood: 'I didn\'t understand that. Try "find jobs" or "upload CV".',
+  help: `Here's what I can do:
+- Search: "find developer jobs in Lagos", "remote accountant jobs"
+- Browse results: "more" or "page 2"
+- Apply: "apply 1" or "apply all"
+- Track applications: "status"
+- Job alerts: "alert me for driver jobs in Abuja", "my alerts", "unsubscribe 1"
+- Your CV: send a PDF, Word or a photo to upload, "my cv", "delete my cv"
+- Credits: "balance" to see what you have left, "plans" to top up
+- Language: "language pidgin", "language yoruba", "language hausa", "language igbo"
+- "cancel" stops whatever is in progress, "back" returns to the previous step`,
+  cancelled: 'Cancelled. Reply "help" to see what I can do.',
+  nothingToCancel: 'There is nothing to cancel. Reply "help" to see what I can do.',
+  nothingToGoBack: 'There is no earlier step to go back to. Reply "cancel" to stop or "help" to see what I can do.',
+  stateReminder: 'Just a reminder - we were in the middle of something. Reply "cancel" if you no longer want to continue.',
+  stateExpired: 'Your last request timed out, so I\'ve cancelled it. Reply "help" to start again.',
+
+  languageSet: ({ name }) => `Okay, I'll reply in ${name} from now on. Reply "language english" to switch back.`,
+  languageUnknown: ({ options }) => `I can reply in ${options}. Reply e.g. "language pidgin".`,
+
+  paymentRequiredForApply: ({ amount, credits, url }) => `Each application uses one credit. Pay ₦${amount} for ${credits} applications here: ${url}\nReply "plans" to see other options.`,
+  paymentSuccessful: ({ credits, until, pending }) => `Payment successful! ${until ? `Your monthly plan is active until ${until}.` : `You now have ${credits} application credit(s).`}${pending ? ' Continuing with your application...' : ' Search for jobs to start applying.'}`,
+  paymentFailed: 'Payment failed. Please try again.',
+  paymentNeedsReview: 'We received a payment from you that does not match what was ordered, so it has not been applied yet. Our team will review it and get back to you.',
+  balance: ({ credits, until }) => until
+    ? `Your monthly plan is active until ${until}, so applications don't use credits. Credits saved: ${credits}.`
+    : `You have ${credits} application credit(s). Each application uses one. Reply "plans" to top up.`,
+  plansList: ({ lines }) => `Plans:\n${list(lines)}\nReply "buy <plan>", e.g. "buy starter".`,
+  plans: {
+    starter: ({ credits, amount }) => `Starter: ${credits} applications for ₦${amount}`,
+    bundle: ({ credits, amount }) => `Bundle: ${credits} applications for ₦${amount}`,
+    monthly: ({ amount }) => `Monthly: apply without credits (up to the daily limit) for ₦${amount} a month`
+  },
+  planPayment: ({ description, url }) => `${description}. Pay here: ${url}`,
+  subscriptionRenewed: ({ until }) => `Your monthly plan has renewed and is active until ${until}.`,
+  notEnoughCredits: ({ titles }) => `Not sent - not enough credits:\n${list(titles)}\nReply "plans" to top up.`,
+  creditsExhausted: 'You have run out of application credits. Reply "plans" to top up, then apply again.',
+  applicationNotSent: ({ title, refunded }) => `Sorry, we couldn't deliver your application for ${title} to the recruiter.${refunded ? ' The credit it used has been refunded.' : ''}`,
+
+  cvTooLarge: 'File is too large. Please upload a CV smaller than 5MB.',
+  cvProcessing: 'Got your CV, processing it now... I\'ll message you as soon as it\'s ready.',
+  cvProcessingFailed: 'Sorry, I couldn\'t read your CV. Please try sending it again, or send it as a PDF.',
+  cvUploaded: 'CV uploaded successfully! Please send a cover letter to use as a starting point, or reply "generate" to have one written. I\'ll tailor it to each job and show you a draft before anything is sent.',
+  cvSaved: ({ hasCoverLetter }) => `CV uploaded successfully! ${hasCoverLetter ? 'Your saved cover letter will still be used.' : 'I\'ll ask for a cover letter when you apply.'} Try "find jobs in Lagos" to see jobs ranked against your CV.`,
+  uploadCv: 'Please upload your CV (PDF, Word or a photo, max 5MB) in this chat.',
+  coverLetterPrompt: 'Please send a cover letter to use as a starting point, or reply "generate" to have one written. I\'ll tailor it to each job and show you a draft before anything is sent.',
+  coverLetterSaved: 'Cover letter saved! You can now search for jobs or apply.',
+  noCvOnFile: 'You have no CV on file. Upload one (PDF, Word or a photo, max 5MB) in this chat.',
+  replaceCv: 'Send your new CV (PDF, Word or a photo, max 5MB) in this chat and it will replace the one on file.',
+  cvDeleted: 'Your CV and cover letter have been deleted. Upload a new CV any time to apply for jobs.',
+  noCv: 'You have no CV on file.',
+  profile: ({ name, email, phone, location, role, nysc, keySkills, filename, uploaded, skills, experience, education, summary }) => [
+    'Your CV on file:',
+    `Name: ${name || 'Not provided'}`,
+    `Email: ${email || 'Not provided'}`,
+    phone ? `Phone: ${phone}` : null,
+    location ? `Location: ${location}` : null,
+    role ? `Latest role: ${role}` : null,
+    nysc ? `NYSC: ${{ completed: 'completed', serving: 'currently serving', exempted: 'exempted', not_started: 'not yet started' }[nysc] || nysc}` : null,
+    keySkills ? `Key skills: ${keySkills}` : null,
+    `File: ${filename} (uploaded ${uploaded || 'unknown'})`,
+    `Skills: ${skills}/100, Experience: ${experience} years, Education: ${education}/100`,
+    summary ? `Summary: ${summary}` : null,
+    'Reply "replace cv" to upload a new one or "delete cv" to remove it.'
+  ].filter(Boolean).join('\n'),
+
+  noJobsFound: 'No jobs found. Try different filters.',
+  noRecentSearch: 'You have no recent search. Try "find jobs in Lagos".',
+  noMoreResults: ({ count, total }) => `No more results - you've seen all ${count} jobs from your last search.${total > count ? ` Only the first ${count} of ${total} matches are listed; narrow your search to see others.` : ''}`,
+  jobsFirstPage: ({ total, ranked }) => `Found ${total} jobs${ranked ? ' (best matches for your CV first)' : ''}:`,
+  jobsPage: ({ from, to, total }) => `Jobs ${from}-${to} of ${total}:`,
+  jobLine: ({ number, title, company, location, score }) => `${number}. ${title} at ${company} (${location})${score !== undefined ? ` - ${score}% match` : ''}`,
+  jobsFooter: ({ first, more }) => `Reply with 'apply all' for this page or 'apply <number>' (e.g., 'apply ${first}')${more ? `, or 'more' to see the next ${more}` : ''}.`,
+  filters: ({ remote, title, location, company }) => [
+    remote ? 'remote' : null,
+    title || null,
+    'jobs',
+    location ? `in ${location}` : null,
+    company ? `at ${company}` : null
+  ].filter(Boolean).join(' '),
+
+  dailyLimitReached: ({ limit }) => `You've reached today's limit of ${limit} applications. Please try again tomorrow.`,
+  noValidJobs: 'No valid jobs to apply to.',
+  alreadyApplied: ({ titles }) => `Skipped - you already applied:\n${list(titles)}`,
+  overLimit: ({ limit, titles }) => `Not sent - daily limit of ${limit} applications reached:\n${list(titles)}`,
+  coverLetterDraft: ({ title, company, position, total, letter }) => `Draft cover letter for ${title} at ${company}${total > 1 ? ` (${position} of ${total})` : ''}:\n\n${letter}\n\nReply 'send' to apply with this letter, 'skip' to skip this job, or tell me what to change (e.g. 'make it shorter', 'more formal').`,
+  revisionLimit: ({ count }) => `This letter has been revised ${count} times. Reply 'send' to use it as it is or 'skip' to skip this job.`,
+  reviewPending: ({ title }) => `You're still reviewing the cover letter for ${title}. Reply 'send', 'skip', tell me what to change, or 'cancel' to stop applying.`,
+  appliedSummary: ({ lines }) => `Applied to ${lines.length} job(s):\n${list(lines)}`,
+  appliedLine: ({ title, score, id }) => `${title} (${score !== null && score !== undefined ? `${score}% match, ` : ''}ID: ${id})`,
+  notAppliedSummary: ({ titles }) => `Not applied:\n${list(titles)}`,
+  checkStatusHint: 'Reply \'my applications\' any time to check their status.',
+  noApplicationsSent: 'No applications were sent.',
+  confirmApplication: ({ lines, excerpt, email }) => [
+    `Ready to apply to ${lines.length} job(s):\n${list(lines)}`,
+    excerpt ? `Each recruiter will get your CV and a cover letter tailored from:\n"${excerpt}"` : 'Each recruiter will get your CV and a tailored cover letter.',
+    email ? `Your email address ${email} will be shared with them.` : 'Your CV has no email address, so recruiters can only reach you through the details in it.',
+    'Reply \'confirm\' to continue - you\'ll see each letter before it is sent - or \'cancel\' to stop.'
+  ].join('\n\n'),
+  confirmJobLine: ({ title, company, location }) => `${title} at ${company} (${location})`,
+
+  noApplications: 'You have not applied to any jobs yet. Try "find jobs in Lagos".',
+  applicationsList: ({ lines }) => `Your recent applications:\n${lines.join('\n')}`,
+  applicationLine: ({ number, title, company, status, updated }) => `${number}. ${title} at ${company} - ${status} (${updated})`,
+  status: {
+    submitted: 'Submitted',
+    viewed: 'Viewed',
+    shortlisted: 'Shortlisted',
+    rejected: 'Rejected',
+    hired: 'Hired'
+  },
+  statusChanged: {
+    viewed: ({ title, company }) => `The recruiter has viewed your application for ${title} at ${company}.`,
+    shortlisted: ({ title, company }) => `Congratulations! You have been shortlisted for ${title} at ${company}.`,
+    rejected: ({ title, company }) => `Unfortunately, the recruiter has decided not to move forward with your application for ${title} at ${company}.`,
+    hired: ({ title, company }) => `Congratulations! You have been selected for ${title} at ${company}.`,
+    other: ({ status, title, company }) => `Your application status is now ${status} for ${title} at ${company}.`
+  },
+
+  alertNeedsFilters: 'Tell me what to watch for, e.g. "alert me for remote developer jobs" or "daily alert for accountant jobs in Abuja".',
+  alertLimitReached: 'You already have the maximum number of job alerts. Reply "my alerts" to see them or "unsubscribe <number>" to remove one.',
+  alertSaved: ({ filters, frequency }) => `Job alert saved for ${filters}. I'll send new matches ${frequency === 'instant' ? 'as soon as they are posted' : 'once a day'}. Reply "unsubscribe" to stop.`,
+  noAlerts: 'You have no job alerts. Try "alert me for remote developer jobs".',
+  alertsList: ({ lines }) => `Your job alerts:\n${lines.join('\n')}\nReply "unsubscribe <number>" to remove one or "unsubscribe" to remove all.`,
+  frequency: { instant: 'instant', daily: 'daily' },
+  noMatchingAlerts: 'No matching job alerts to remove.',
+  alertsRemoved: ({ count }) => count === 1 ? 'Job alert removed.' : `${count} job alerts removed.`,
+  newAlertJobs: ({ filters, lines }) => `New ${filters}:\n${lines.join('\n')}\nReply 'apply <number>' to apply or 'unsubscribe' to stop these alerts.`,
+
+  button: {
+    generate: 'Generate',
+    applyAll: 'Apply all',
+    more: 'More jobs',
+    send: 'Send',
+    skip: 'Skip',
+    shorter: 'Make it shorter',
+    confirm: 'Confirm',
+    cancel: 'Cancel',
+    plans: 'Buy credits',
+    starter: 'Starter',
+    bundle: 'Bundle',
+    monthly: 'Monthly'
+  }
+};
\ No newline at end of file
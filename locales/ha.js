@@ -0,0 +1,151 @@
+// Hausa
+const list = items => items.map(item => `- ${item}`).join('\n');
+
+module.exports = {
+  invalidDocument: 'Wannan takarda ba ta da inganci. Don Allah a aiko da fayil na PDF, Word ko hoto.',
+  unsupportedMessage: 'Saƙon rubutu da fayil (PDF, Word, RTF, text ko hoto) kawai zan iya karɓa.',
+  error: 'Yi haƙuri, an sami matsala. Don Allah a sake gwadawa.',
+  notUnderstood: 'Ban gane ba. Gwada "find jobs" ko "upload CV".',
+  help: `Ga abin da zan iya yi:
+- Neman aiki: "find developer jobs in Lagos", "ina neman aikin direba a Kano"
+- Ƙarin sakamako: "more" ko "page 2"
+- Neman aiki kai tsaye: "apply 1" ko "apply all"
+- Duba buƙatunka: "status"
+- Sanarwar aiki: "alert me for driver jobs in Abuja", "my alerts", "unsubscribe 1"
+- CV ɗinka: aiko da PDF, Word ko hoto, "my cv", "delete my cv"
+- Kiredit: "balance" don ganin abin da ya rage, "plans" don ƙara
+- Harshe: "language english", "language pidgin", "language yoruba", "language igbo"
+- "cancel" zai dakatar da duk abin da ke gudana, "back" zai koma mataki na baya`,
+  cancelled: 'An soke. Rubuta "help" don ganin abin da zan iya yi.',
+  nothingToCancel: 'Babu abin da za a soke. Rubuta "help" don ganin abin da zan iya yi.',
+  nothingToGoBack: 'Babu wani mataki na baya. Rubuta "cancel" don dakatarwa ko "help" don ganin abin da zan iya yi.',
+  stateReminder: 'Tunatarwa ce kawai - ba mu gama abin da muka fara ba. Rubuta "cancel" idan ba ka son ci gaba.',
+  stateExpired: 'Lokacin buƙatarka ta ƙarshe ya ƙare, don haka na soke ta. Rubuta "help" don sake farawa.',
+
+  languageSet: ({ name }) => `To, daga yanzu zan riƙa amsawa da ${name}. Rubuta "language english" don komawa Turanci.`,
+  languageUnknown: ({ options }) => `Zan iya amsawa da ${options}. Rubuta misali "language hausa".`,
+
+  paymentRequiredForApply: ({ amount, credits, url }) => `Kowace buƙatar aiki tana amfani da kiredit ɗaya. Biya ₦${amount} don buƙatu ${credits} a nan: ${url}\nRubuta "plans" don ganin wasu zaɓuɓɓuka.`,
+  paymentSuccessful: ({ credits, until, pending }) => `An karɓi kuɗin! ${until ? `Tsarinka na wata-wata yana aiki har zuwa ${until}.` : `Yanzu kana da kiredit ${credits} na neman aiki.`}${pending ? ' Ana ci gaba da buƙatarka...' : ' Nemi aiki don fara nema.'}`,
+  paymentFailed: 'Biyan bai yi nasara ba. Don Allah a sake gwadawa.',
+  paymentNeedsReview: 'Mun karɓi wani biya daga gare ka da bai dace da abin da aka yi oda ba, don haka ba a yi amfani da shi ba tukuna. Ƙungiyarmu za ta duba shi ta tuntuɓe ka.',
+  balance: ({ credits, until }) => until
+    ? `Tsarinka na wata-wata yana aiki har zuwa ${until}, don haka neman aiki ba zai ci kiredit ba. Kiredit da aka ajiye: ${credits}.`
+    : `Kana da kiredit ${credits} na neman aiki. Kowace buƙata tana amfani da ɗaya. Rubuta "plans" don ƙara.`,
+  plansList: ({ lines }) => `Tsare-tsare:\n${list(lines)}\nRubuta "buy <tsari>", misali "buy starter".`,
+  plans: {
+    starter: ({ credits, amount }) => `Starter: buƙatu ${credits} akan ₦${amount}`,
+    bundle: ({ credits, amount }) => `Bundle: buƙatu ${credits} akan ₦${amount}`,
+    monthly: ({ amount }) => `Monthly: nemi aiki ba tare da kiredit ba (har iyakar yau da kullum) akan ₦${amount} a wata`
+  },
+  planPayment: ({ description, url }) => `${description}. Biya a nan: ${url}`,
+  subscriptionRenewed: ({ until }) => `An sabunta tsarinka na wata-wata, yana aiki har zuwa ${until}.`,
+  notEnoughCredits: ({ titles }) => `Ba a aika ba - kiredit bai isa ba:\n${list(titles)}\nRubuta "plans" don ƙara.`,
+  creditsExhausted: 'Kiredit ɗinka na neman aiki ya ƙare. Rubuta "plans" don ƙara, sannan ka sake nema.',
+  applicationNotSent: ({ title, refunded }) => `Yi haƙuri, ba mu iya isar da neman aikinka na ${title} ga mai ɗaukar aiki ba.${refunded ? ' An mayar maka da kiredit ɗin da aka kashe.' : ''}`,
+
+  cvTooLarge: 'Fayil ɗin ya yi girma da yawa. Don Allah ka aiko da CV da bai wuce 5MB ba.',
+  cvProcessing: 'Na karɓi CV ɗinka, ina sarrafa shi yanzu... Zan aiko maka da saƙo da zarar ya kammala.',
+  cvProcessingFailed: 'Yi haƙuri, ban iya karanta CV ɗinka ba. Don Allah ka sake aiko da shi, ko ka aiko da shi a matsayin PDF.',
+  cvUploaded: 'An karɓi CV ɗinka! Ka aiko da wasiƙar neman aiki (cover letter) da zan fara da ita, ko ka rubuta "generate" in rubuta maka. Zan daidaita ta da kowane aiki kuma in nuna maka kafin in aika komai.',
+  cvSaved: ({ hasCoverLetter }) => `An karɓi CV ɗinka! ${hasCoverLetter ? 'Zan ci gaba da amfani da wasiƙar da ka adana.' : 'Zan nemi wasiƙar neman aiki lokacin da za ka nemi aiki.'} Rubuta "find jobs in Lagos" don ganin ayyukan da suka dace da CV ɗinka.`,
+  uploadCv: 'Don Allah ka aiko da CV ɗinka (PDF, Word ko hoto, bai wuce 5MB ba) a nan.',
+  coverLetterPrompt: 'Ka aiko da wasiƙar neman aiki (cover letter) da zan fara da ita, ko ka rubuta "generate" in rubuta maka. Zan daidaita ta da kowane aiki kuma in nuna maka kafin in aika komai.',
+  coverLetterSaved: 'An adana wasiƙarka! Yanzu za ka iya neman aiki.',
+  noCvOnFile: 'Ba ka aiko da CV ba tukuna. Aiko da shi (PDF, Word ko hoto, bai wuce 5MB ba) a nan.',
+  replaceCv: 'Aiko da sabon CV ɗinka (PDF, Word ko hoto, bai wuce 5MB ba) a nan, zai maye gurbin na da.',
+  cvDeleted: 'An goge CV da wasiƙarka. Za ka iya aiko da sabon CV a kowane lokaci don neman aiki.',
+  noCv: 'Ba ka da CV a nan.',
+  profile: ({ name, email, phone, location, role, nysc, keySkills, filename, uploaded, skills, experience, education, summary }) => [
+    'CV ɗinka da ke nan:',
+    `Suna: ${name || 'Ba a bayar ba'}`,
+    `Imel: ${email || 'Ba a bayar ba'}`,
+    phone ? `Waya: ${phone}` : null,
+    location ? `Wuri: ${location}` : null,
+    role ? `Aiki na ƙarshe: ${role}` : null,
+    nysc ? `NYSC: ${{ completed: 'an kammala', serving: 'ana yi yanzu', exempted: 'an kebe', not_started: 'ba a fara ba' }[nysc] || nysc}` : null,
+    keySkills ? `Manyan ƙwarewa: ${keySkills}` : null,
+    `Fayil: ${filename} (an aiko ${uploaded || 'ba a sani ba'})`,
+    `Ƙwarewa: ${skills}/100, Gogewa: shekara ${experience}, Ilimi: ${education}/100`,
+    summary ? `Taƙaitawa: ${summary}` : null,
+    'Rubuta "replace cv" don aiko da sabo ko "delete cv" don goge shi.'
+  ].filter(Boolean).join('\n'),
+
+  noJobsFound: 'Ban sami wani aiki ba. Gwada wata hanyar nema.',
+  noRecentSearch: 'Ba ka yi wani bincike ba kwanan nan. Gwada "find jobs in Lagos".',
+  noMoreResults: ({ count, total }) => `Babu sauran sakamako - ka ga duk ayyuka ${count} daga bincikenka na ƙarshe.${total > count ? ` Na farko ${count} daga cikin ${total} kawai aka nuna; ka taƙaita bincikenka don ganin sauran.` : ''}`,
+  jobsFirstPage: ({ total, ranked }) => `An sami ayyuka ${total}${ranked ? ' (waɗanda suka fi dacewa da CV ɗinka ne a gaba)' : ''}:`,
+  jobsPage: ({ from, to, total }) => `Ayyuka ${from}-${to} daga cikin ${total}:`,
+  jobLine: ({ number, title, company, location, score }) => `${number}. ${title} a ${company} (${location})${score !== undefined ? ` - dacewa ${score}%` : ''}`,
+  jobsFooter: ({ first, more }) => `Rubuta 'apply all' don duk ayyukan wannan shafi ko 'apply <lamba>' (misali 'apply ${first}')${more ? `, ko 'more' don ganin ${more} na gaba` : ''}.`,
+  filters: ({ remote, title, location, company }) => [
+    'ayyukan',
+    title || null,
+    remote ? '(daga gida)' : null,
+    location ? `a ${location}` : null,
+    company ? `a ${company}` : null
+  ].filter(Boolean).join(' '),
+
+  dailyLimitReached: ({ limit }) => `Ka kai iyakar buƙatu ${limit} na yau. Don Allah ka sake gwadawa gobe.`,
+  noValidJobs: 'Babu aikin da ya dace a nema.',
+  alreadyApplied: ({ titles }) => `An tsallake - ka riga ka nema:\n${list(titles)}`,
+  overLimit: ({ limit, titles }) => `Ba a aika ba - ka kai iyakar buƙatu ${limit} na yini:\n${list(titles)}`,
+  coverLetterDraft: ({ title, company, position, total, letter }) => `Daftarin wasiƙa don ${title} a ${company}${total > 1 ? ` (${position} daga cikin ${total})` : ''}:\n\n${letter}\n\nRubuta 'send' don nema da wannan wasiƙa, 'skip' don tsallake wannan aiki, ko faɗa min abin da zan canza (misali 'make it shorter', 'more formal').`,
+  revisionLimit: ({ count }) => `An gyara wannan wasiƙa sau ${count}. Rubuta 'send' don amfani da ita yadda take ko 'skip' don tsallake wannan aiki.`,
+  reviewPending: ({ title }) => `Har yanzu kuna duba wasiƙar neman aiki don ${title}. Rubuta 'send', 'skip', faɗa min abin da zan canza, ko 'cancel' don tsayawa.`,
+  appliedSummary: ({ lines }) => `Ka nemi ayyuka ${lines.length}:\n${list(lines)}`,
+  appliedLine: ({ title, score, id }) => `${title} (${score !== null && score !== undefined ? `dacewa ${score}%, ` : ''}ID: ${id})`,
+  notAppliedSummary: ({ titles }) => `Ba a nema ba:\n${list(titles)}`,
+  checkStatusHint: 'Rubuta \'my applications\' a kowane lokaci don duba matsayinsu.',
+  noApplicationsSent: 'Ba a aika da wata buƙata ba.',
+  confirmApplication: ({ lines, excerpt, email }) => [
+    `Kana shirye ka nemi ayyuka ${lines.length}:\n${list(lines)}`,
+    excerpt ? `Kowane mai ɗaukar aiki zai karɓi CV ɗinka da wasiƙar neman aiki da aka tsara daga:\n"${excerpt}"` : 'Kowane mai ɗaukar aiki zai karɓi CV ɗinka da wasiƙar neman aiki da aka tsara masa.',
+    email ? `Za a nuna musu adireshin imel ɗinka ${email}.` : 'CV ɗinka ba shi da adireshin imel, don haka masu ɗaukar aiki za su iya tuntuɓarka ta bayanan da ke ciki kawai.',
+    'Rubuta \'confirm\' don ci gaba - za ka ga kowace wasiƙa kafin a aika - ko \'cancel\' don dakatarwa.'
+  ].join('\n\n'),
+  confirmJobLine: ({ title, company, location }) => `${title} a ${company} (${location})`,
+
+  noApplications: 'Ba ka nemi wani aiki ba tukuna. Gwada "find jobs in Lagos".',
+  applicationsList: ({ lines }) => `Buƙatunka na baya-bayan nan:\n${lines.join('\n')}`,
+  applicationLine: ({ number, title, company, status, updated }) => `${number}. ${title} a ${company} - ${status} (${updated})`,
+  status: {
+    submitted: 'An aika',
+    viewed: 'An gani',
+    shortlisted: 'An zaɓe ka',
+    rejected: 'Ba a karɓa ba',
+    hired: 'An ɗauke ka aiki'
+  },
+  statusChanged: {
+    viewed: ({ title, company }) => `Mai ɗaukar aiki ya duba buƙatarka ta ${title} a ${company}.`,
+    shortlisted: ({ title, company }) => `Barka da warhaka! An zaɓe ka don ${title} a ${company}.`,
+    rejected: ({ title, company }) => `Abin takaici, mai ɗaukar aiki ba zai ci gaba da buƙatarka ta ${title} a ${company} ba.`,
+    hired: ({ title, company }) => `Barka da warhaka! An ɗauke ka don ${title} a ${company}.`,
+    other: ({ status, title, company }) => `Matsayin buƙatarka ta ${title} a ${company} yanzu shi ne ${status}.`
+  },
+
+  alertNeedsFilters: 'Faɗa min abin da zan riƙa duba maka, misali "alert me for remote developer jobs" ko "daily alert for accountant jobs in Abuja".',
+  alertLimitReached: 'Ka kai iyakar sanarwar aiki. Rubuta "my alerts" don ganinsu ko "unsubscribe <lamba>" don cire ɗaya.',
+  alertSaved: ({ filters, frequency }) => `An adana sanarwa don ${filters}. Zan aiko maka da sababbi ${frequency === 'instant' ? 'da zarar an sanya su' : 'sau ɗaya a rana'}. Rubuta "unsubscribe" don dakatarwa.`,
+  noAlerts: 'Ba ka da sanarwar aiki. Gwada "alert me for remote developer jobs".',
+  alertsList: ({ lines }) => `Sanarwar ayyukanka:\n${lines.join('\n')}\nRubuta "unsubscribe <lamba>" don cire ɗaya ko "unsubscribe" don cire duka.`,
+  frequency: { instant: 'nan take', daily: 'kullum' },
+  noMatchingAlerts: 'Babu sanarwar aiki da za a cire.',
+  alertsRemoved: ({ count }) => count === 1 ? 'An cire sanarwar aikin.' : `An cire sanarwar ayyuka ${count}.`,
+  newAlertJobs: ({ filters, lines }) => `Sababbin ${filters}:\n${lines.join('\n')}\nRubuta 'apply <lamba>' don nema ko 'unsubscribe' don dakatar da waɗannan sanarwa.`,
+
+  button: {
+    generate: 'Rubuta min',
+    applyAll: 'Nemi duka',
+    more: 'Ƙarin ayyuka',
+    send: 'Aika',
+    skip: 'Tsallake',
+    shorter: 'Taƙaita ta',
+    confirm: 'Tabbatar',
+    cancel: 'Soke',
+    plans: 'Sayi kiredit',
+    starter: 'Starter',
+    bundle: 'Bundle',
+    monthly: 'Wata-wata'
+  }
+};
\ No newline at end of file
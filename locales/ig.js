@@ -0,0 +1,151 @@
+// Igbo
+const list = items => items.map(item => `- ${item}`).join('\n');
+
+module.exports = {
+  invalidDocument: 'Akwụkwọ a ezighi ezi. Biko zite faịlụ PDF, Word ma ọ bụ foto.',
+  unsupportedMessage: 'Ọ bụ naanị ozi ederede na faịlụ (PDF, Word, RTF, text ma ọ bụ foto) ka m nwere ike ịnabata.',
+  error: 'Ndo, nsogbu mere. Biko nwaa ọzọ.',
+  notUnderstood: 'Aghọtaghị m. Nwaa "find jobs" ma ọ bụ "upload CV".',
+  help: `Nke a bụ ihe m nwere ike ime:
+- Ịchọ ọrụ: "find developer jobs in Lagos", "achọrọ m ọrụ ọkwọ ụgbọala na Enugu"
+- Hụkwuo: "more" ma ọ bụ "page 2"
+- Tinye akwụkwọ: "apply 1" ma ọ bụ "apply all"
+- Lelee akwụkwọ ị tinyere: "status"
+- Ọkwa ọrụ: "alert me for driver jobs in Abuja", "my alerts", "unsubscribe 1"
+- CV gị: zite PDF, Word ma ọ bụ foto, "my cv", "delete my cv"
+- Kredit: "balance" ka ị hụ ihe fọdụrụ, "plans" ka ị zụtakwuo
+- Asụsụ: "language english", "language pidgin", "language yoruba", "language hausa"
+- "cancel" ga-akwụsị ihe ọ bụla na-aga n'ihu, "back" ga-alaghachi na nzọụkwụ gara aga`,
+  cancelled: 'Akagbuola m ya. Dee "help" ka ị hụ ihe m nwere ike ime.',
+  nothingToCancel: 'Ọ dịghị ihe a ga-akagbu. Dee "help" ka ị hụ ihe m nwere ike ime.',
+  nothingToGoBack: 'Ọ dịghị nzọụkwụ ọzọ tupu nke a. Dee "cancel" ka ị kwụsị ma ọ bụ "help" ka ị hụ ihe m nwere ike ime.',
+  stateReminder: 'Ọ bụ ncheta - anyị emechabeghị ihe anyị malitere. Dee "cancel" ma ọ bụrụ na ịchọghị ịga n\'ihu.',
+  stateExpired: 'Oge arịrịọ gị ikpeazụ agafeela, ya mere akagbuola m ya. Dee "help" ka ị malite ọzọ.',
+
+  languageSet: ({ name }) => `Ọ dị mma, site ugbu a m ga na-aza n'asụsụ ${name}. Dee "language english" ka ị laghachi na Bekee.`,
+  languageUnknown: ({ options }) => `Enwere m ike ịza na ${options}. Dee dịka "language igbo".`,
+
+  paymentRequiredForApply: ({ amount, credits, url }) => `Akwụkwọ ọrụ ọ bụla na-eji otu kredit. Kwụọ ₦${amount} maka akwụkwọ ọrụ ${credits} ebe a: ${url}\nDee "plans" ka ị hụ nhọrọ ndị ọzọ.`,
+  paymentSuccessful: ({ credits, until, pending }) => `Ego abatala! ${until ? `Atụmatụ ọnwa gị ga-arụ ọrụ ruo ${until}.` : `I nwere kredit akwụkwọ ọrụ ${credits} ugbu a.`}${pending ? ' Anyị na-aga n\'ihu n\'akwụkwọ ọrụ gị...' : ' Chọọ ọrụ ka ị malite itinye akwụkwọ.'}`,
+  paymentFailed: 'Ịkwụ ụgwọ ahụ agaghị. Biko nwaa ọzọ.',
+  paymentNeedsReview: 'Anyị natara ego n\'aka gị nke na-adabaghị n\'ihe e nyere iwu ya, ya mere etinyebeghị ya. Ndị otu anyị ga-enyocha ya ma kpọtụrụ gị.',
+  balance: ({ credits, until }) => until
+    ? `Atụmatụ ọnwa gị na-arụ ọrụ ruo ${until}, ya mere akwụkwọ ọrụ agaghị eji kredit. Kredit echekwara: ${credits}.`
+    : `I nwere kredit akwụkwọ ọrụ ${credits}. Akwụkwọ ọrụ ọ bụla na-eji otu. Dee "plans" ka ị zụtakwuo.`,
+  plansList: ({ lines }) => `Atụmatụ:\n${list(lines)}\nDee "buy <atụmatụ>", dịka "buy starter".`,
+  plans: {
+    starter: ({ credits, amount }) => `Starter: akwụkwọ ọrụ ${credits} maka ₦${amount}`,
+    bundle: ({ credits, amount }) => `Bundle: akwụkwọ ọrụ ${credits} maka ₦${amount}`,
+    monthly: ({ amount }) => `Monthly: tinye akwụkwọ na-enweghị kredit (ruo oke kwa ụbọchị) maka ₦${amount} kwa ọnwa`
+  },
+  planPayment: ({ description, url }) => `${description}. Kwụọ ụgwọ ebe a: ${url}`,
+  subscriptionRenewed: ({ until }) => `Atụmatụ ọnwa gị emegharịala ọhụrụ, ọ ga-arụ ọrụ ruo ${until}.`,
+  notEnoughCredits: ({ titles }) => `E zipughị ya - kredit ezughị:\n${list(titles)}\nDee "plans" ka ị zụtakwuo.`,
+  creditsExhausted: 'Kredit akwụkwọ ọrụ gị agwụla. Dee "plans" ka ị zụtakwuo, wee tinye akwụkwọ ọzọ.',
+  applicationNotSent: ({ title, refunded }) => `Ndo, anyị enweghị ike iziga akwụkwọ ngwa ọrụ gị maka ${title} nye onye were ọrụ.${refunded ? ' Anyị eweghachila kredit e ji mee ya.' : ''}`,
+
+  cvTooLarge: 'Faịlụ a buru ibu karịa. Biko zite CV na-erughị 5MB.',
+  cvProcessing: 'Anatala m CV gị, ana m edozi ya ugbu a... M ga-ezitere gị ozi ozugbo ọ dị njikere.',
+  cvProcessingFailed: 'Ndo, enweghị m ike ịgụ CV gị. Biko nwaa iziga ya ọzọ, ma ọ bụ ziga ya dị ka PDF.',
+  cvUploaded: 'Anatala m CV gị! Zite akwụkwọ ozi ngwa ọrụ (cover letter) m ga-eji malite, ma ọ bụ dee "generate" ka m dee otu maka gị. M ga-ahazi ya maka ọrụ ọ bụla ma gosi gị tupu m ezipu ihe ọ bụla.',
+  cvSaved: ({ hasCoverLetter }) => `Anatala m CV gị! ${hasCoverLetter ? 'M ga-aga n\'ihu iji akwụkwọ ozi i chekwara.' : 'M ga-arịọ akwụkwọ ozi ngwa ọrụ mgbe ị chọrọ itinye akwụkwọ.'} Dee "find jobs in Lagos" ka ị hụ ọrụ dabara na CV gị.`,
+  uploadCv: 'Biko zite CV gị (PDF, Word ma ọ bụ foto, agaghị karịa 5MB) ebe a.',
+  coverLetterPrompt: 'Zite akwụkwọ ozi ngwa ọrụ (cover letter) m ga-eji malite, ma ọ bụ dee "generate" ka m dee otu maka gị. M ga-ahazi ya maka ọrụ ọ bụla ma gosi gị tupu m ezipu ihe ọ bụla.',
+  coverLetterSaved: 'Edobela m akwụkwọ ozi gị! Ị nwere ike ịchọ ọrụ ugbu a.',
+  noCvOnFile: 'I zitebeghị CV. Zite otu (PDF, Word ma ọ bụ foto, agaghị karịa 5MB) ebe a.',
+  replaceCv: 'Zite CV ọhụrụ gị (PDF, Word ma ọ bụ foto, agaghị karịa 5MB) ebe a, ọ ga-anọchi nke ochie.',
+  cvDeleted: 'Ehichapụla m CV na akwụkwọ ozi gị. Ị nwere ike izite CV ọhụrụ mgbe ọ bụla iji chọọ ọrụ.',
+  noCv: 'Ị nweghị CV ebe a.',
+  profile: ({ name, email, phone, location, role, nysc, keySkills, filename, uploaded, skills, experience, education, summary }) => [
+    'CV gị dị ebe a:',
+    `Aha: ${name || 'Enyeghị ya'}`,
+    `Email: ${email || 'Enyeghị ya'}`,
+    phone ? `Ekwentị: ${phone}` : null,
+    location ? `Ebe obibi: ${location}` : null,
+    role ? `Ọrụ ikpeazụ: ${role}` : null,
+    nysc ? `NYSC: ${{ completed: 'emechaala', serving: 'na-eje ugbu a', exempted: 'a gụpụrụ gị', not_started: 'amalitebeghị' }[nysc] || nysc}` : null,
+    keySkills ? `Nkà ndị bụ isi: ${keySkills}` : null,
+    `Faịlụ: ${filename} (e zitere ya ${uploaded || 'amaghị mgbe'})`,
+    `Nkà: ${skills}/100, Ahụmịhe: afọ ${experience}, Agụmakwụkwọ: ${education}/100`,
+    summary ? `Nchịkọta: ${summary}` : null,
+    'Dee "replace cv" iji zite nke ọhụrụ ma ọ bụ "delete cv" iji hichapụ ya.'
+  ].filter(Boolean).join('\n'),
+
+  noJobsFound: 'Ahụghị m ọrụ ọ bụla. Nwaa ụzọ ọzọ.',
+  noRecentSearch: 'Ị chọbeghị ihe ọ bụla n\'oge na-adịbeghị anya. Nwaa "find jobs in Lagos".',
+  noMoreResults: ({ count, total }) => `Ọ dịghịzi - ị hụla ọrụ ${count} niile site na nchọta gị ikpeazụ.${total > count ? ` Ọ bụ naanị ${count} mbụ n'ime ${total} ka e gosiri; mee ka nchọta gị dị warara ka ị hụ ndị ọzọ.` : ''}`,
+  jobsFirstPage: ({ total, ranked }) => `Ahụrụ m ọrụ ${total}${ranked ? ' (ndị kacha dabara na CV gị nọ n\'ihu)' : ''}:`,
+  jobsPage: ({ from, to, total }) => `Ọrụ ${from}-${to} n'ime ${total}:`,
+  jobLine: ({ number, title, company, location, score }) => `${number}. ${title} na ${company} (${location})${score !== undefined ? ` - o dabara ${score}%` : ''}`,
+  jobsFooter: ({ first, more }) => `Dee 'apply all' maka ọrụ niile dị na peeji a ma ọ bụ 'apply <nọmba>' (dịka 'apply ${first}')${more ? `, ma ọ bụ 'more' ka ị hụ ${more} ndị ọzọ` : ''}.`,
+  filters: ({ remote, title, location, company }) => [
+    'ọrụ',
+    title || null,
+    remote ? '(site n\'ụlọ)' : null,
+    location ? `na ${location}` : null,
+    company ? `na ${company}` : null
+  ].filter(Boolean).join(' '),
+
+  dailyLimitReached: ({ limit }) => `Ị ruola oke akwụkwọ ọrụ ${limit} nke taa. Biko nwaa ọzọ echi.`,
+  noValidJobs: 'Ọ dịghị ọrụ kwesịrị ekwesị a ga-etinye akwụkwọ.',
+  alreadyApplied: ({ titles }) => `Agafere m ya - i tinyelarị akwụkwọ:\n${list(titles)}`,
+  overLimit: ({ limit, titles }) => `Ezipughị ya - ị ruola oke akwụkwọ ọrụ ${limit} kwa ụbọchị:\n${list(titles)}`,
+  coverLetterDraft: ({ title, company, position, total, letter }) => `Akwụkwọ ozi e debere maka ${title} na ${company}${total > 1 ? ` (${position} n'ime ${total})` : ''}:\n\n${letter}\n\nDee 'send' ka i jiri akwụkwọ ozi a tinye akwụkwọ, 'skip' ka ị gafere ọrụ a, ma ọ bụ gwa m ihe m ga-agbanwe (dịka 'make it shorter', 'more formal').`,
+  revisionLimit: ({ count }) => `Edeziela akwụkwọ ozi a ugboro ${count}. Dee 'send' ka i jiri ya otu o si dị ma ọ bụ 'skip' ka ị gafere ọrụ a.`,
+  reviewPending: ({ title }) => `Ị ka na-enyocha akwụkwọ ozi maka ${title}. Dee 'send', 'skip', gwa m ihe m ga-agbanwe, ma ọ bụ 'cancel' ka ị kwụsị.`,
+  appliedSummary: ({ lines }) => `I tinyere akwụkwọ n'ọrụ ${lines.length}:\n${list(lines)}`,
+  appliedLine: ({ title, score, id }) => `${title} (${score !== null && score !== undefined ? `o dabara ${score}%, ` : ''}ID: ${id})`,
+  notAppliedSummary: ({ titles }) => `I tinyeghị akwụkwọ:\n${list(titles)}`,
+  checkStatusHint: 'Dee \'my applications\' mgbe ọ bụla ka ị mara ka ha si aga.',
+  noApplicationsSent: 'Ezipughị akwụkwọ ọrụ ọ bụla.',
+  confirmApplication: ({ lines, excerpt, email }) => [
+    `Ị dị njikere itinye akwụkwọ maka ọrụ ${lines.length}:\n${list(lines)}`,
+    excerpt ? `Onye were ọrụ ọ bụla ga-enweta CV gị na akwụkwọ ozi a haziri site na:\n"${excerpt}"` : 'Onye were ọrụ ọ bụla ga-enweta CV gị na akwụkwọ ozi a haziri maka ya.',
+    email ? `A ga-egosi ha adreesị email gị ${email}.` : 'CV gị enweghị adreesị email, ya mere ndị were ọrụ nwere ike ịkpọtụrụ gị naanị site na nkọwa dị n\'ime ya.',
+    'Dee \'confirm\' ka anyị gaa n\'ihu - ị ga-ahụ akwụkwọ ozi ọ bụla tupu e zipu ya - ma ọ bụ \'cancel\' ka ị kwụsị.'
+  ].join('\n\n'),
+  confirmJobLine: ({ title, company, location }) => `${title} na ${company} (${location})`,
+
+  noApplications: 'I tinyebeghị akwụkwọ n\'ọrụ ọ bụla. Nwaa "find jobs in Lagos".',
+  applicationsList: ({ lines }) => `Akwụkwọ ọrụ i tinyere n'oge na-adịbeghị anya:\n${lines.join('\n')}`,
+  applicationLine: ({ number, title, company, status, updated }) => `${number}. ${title} na ${company} - ${status} (${updated})`,
+  status: {
+    submitted: 'E zipụla ya',
+    viewed: 'Ha ahụla ya',
+    shortlisted: 'A họpụtara gị',
+    rejected: 'Ha anabataghị ya',
+    hired: 'E welere gị n\'ọrụ'
+  },
+  statusChanged: {
+    viewed: ({ title, company }) => `Onye na-ewe ndị ọrụ elelela akwụkwọ gị maka ${title} na ${company}.`,
+    shortlisted: ({ title, company }) => `Ekele! A họpụtala gị maka ${title} na ${company}.`,
+    rejected: ({ title, company }) => `O di nwute, onye na-ewe ndị ọrụ agaghị aga n'ihu n'akwụkwọ gị maka ${title} na ${company}.`,
+    hired: ({ title, company }) => `Ekele! E welela gị maka ${title} na ${company}.`,
+    other: ({ status, title, company }) => `Ọnọdụ akwụkwọ gị maka ${title} na ${company} bụ ugbu a ${status}.`
+  },
+
+  alertNeedsFilters: 'Gwa m ihe m ga na-achọrọ gị, dịka "alert me for remote developer jobs" ma ọ bụ "daily alert for accountant jobs in Abuja".',
+  alertLimitReached: 'Ị nweela ọnụ ọgụgụ ọkwa ọrụ kachasị. Dee "my alerts" ka ị hụ ha ma ọ bụ "unsubscribe <nọmba>" iji wepụ otu.',
+  alertSaved: ({ filters, frequency }) => `Edobela m ọkwa maka ${filters}. M ga-ezitere gị ndị ọhụrụ ${frequency === 'instant' ? 'ozugbo e biputere ha' : 'otu ugboro kwa ụbọchị'}. Dee "unsubscribe" iji kwụsị ya.`,
+  noAlerts: 'Ị nweghị ọkwa ọrụ ọ bụla. Nwaa "alert me for remote developer jobs".',
+  alertsList: ({ lines }) => `Ọkwa ọrụ gị:\n${lines.join('\n')}\nDee "unsubscribe <nọmba>" iji wepụ otu ma ọ bụ "unsubscribe" iji wepụ ha niile.`,
+  frequency: { instant: 'ozugbo', daily: 'kwa ụbọchị' },
+  noMatchingAlerts: 'Ọ dịghị ọkwa ọrụ a ga-ewepụ.',
+  alertsRemoved: ({ count }) => count === 1 ? 'Ewepụla m ọkwa ọrụ ahụ.' : `Ewepụla m ọkwa ọrụ ${count}.`,
+  newAlertJobs: ({ filters, lines }) => `${filters} ọhụrụ:\n${lines.join('\n')}\nDee 'apply <nọmba>' iji tinye akwụkwọ ma ọ bụ 'unsubscribe' iji kwụsị ọkwa ndị a.`,
+
+  button: {
+    generate: 'Dee ya maka m',
+    applyAll: 'Tinye ha niile',
+    more: 'Ọrụ ndị ọzọ',
+    send: 'Zipu ya',
+    skip: 'Gafere',
+    shorter: 'Mee ya mkpụmkpụ',
+    confirm: 'Kwado',
+    cancel: 'Kagbuo',
+    plans: 'Zụta kredit',
+    starter: 'Starter',
+    bundle: 'Bundle',
+    monthly: 'Kwa ọnwa'
+  }
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+
+const catalogues = {
+  en: require('./en'),
+  pcm: require('./pcm'),
+  yo: require('./yo'),
+  ha: require('./ha'),
+  ig: require('./ig')
+};
+
+const LANGUAGES = {
+  en: { name: 'English', aliases: ['english', 'eng', 'en', 'oyinbo', 'bekee', 'turanci', 'gẹ̀ẹ́sì', 'geesi'] },
+  pcm: { name: 'Pidgin', aliases: ['pidgin', 'naija', 'pcm', 'broken', 'pidgin english'] },
+  yo: { name: 'Yorùbá', aliases: ['yoruba', 'yorùbá', 'yo'] },
+  ha: { name: 'Hausa', aliases: ['hausa', 'ha'] },
+  ig: { name: 'Igbo', aliases: ['igbo', 'ig'] }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Words that are a strong signal for one language and rare in the others.
+// Matched against the message with tone marks stripped.
+const MARKERS = {
+  pcm: ['abeg', 'wetin', 'dey', 'wan', 'una', 'sabi', 'comot', 'wahala', 'how far', 'no be', 'make i', 'oya', 'pikin', 'shey'],
+  yo: ['jowo', 'mo fe', 'mo n wa', 'mo nwa', 'ise', 'bawo', 'e kaaro', 'e kaasan', 'e kaale', 'e se', 'kini', 'nibo', 'fun mi', 'owo mi'],
+  ha: ['ina neman', 'ina son', 'aiki', 'don allah', 'sannu', 'nagode', 'na gode', 'akwai', 'yaya', 'ina kwana', 'kudi', 'wane', 'mene'],
+  ig: ['biko', 'achoro m', 'acho m', 'oru', 'kedu', 'nnoo', 'daalu', 'ebee', 'gini', 'ka m', 'unu', 'nke a']
+};
+
+function stripTones(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+const markerPatterns = Object.fromEntries(
+  Object.entries(MARKERS).map(([language, words]) => [
+    language,
+    words.map(word => new RegExp(`(?:^|[^a-z])${word.replace(/ /g, '\\s+')}(?:[^a-z]|$)`))
+  ])
+);
+
+// Returns the language a message is most likely written in, or null when it
+// carries no clear signal (plain English, commands, numbers)
+function detectLanguage(text) {
+  const normalized = stripTones(text);
+  const scores = Object.entries(markerPatterns)
+    .map(([language, patterns]) => [language, patterns.filter(pattern => pattern.test(normalized)).length])
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (scores.length === 0 || (scores[1] && scores[1][1] === scores[0][1])) {
+    return null;
+  }
+  return scores[0][0];
+}
+
+// Maps what a user typed ("yoruba", "Yorùbá", "pidgin") to a language code
+function resolveLanguage(name) {
+  const value = String(name || '').trim().toLowerCase();
+  const plain = stripTones(value);
+  return Object.keys(LANGUAGES).find(code =>
+    LANGUAGES[code].aliases.some(alias => alias === value || stripTones(alias) === plain)
+  ) || null;
+}
+
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue);
+}
+
+// Missing keys fall back to English so a partial translation never breaks a reply
+function t(language, key, params = {}) {
+  let message = lookup(catalogues[language] || catalogues[DEFAULT_LANGUAGE], key);
+  if (message === undefined) {
+    message = lookup(catalogues[DEFAULT_LANGUAGE], key);
+  }
+  if (message === undefined) {
+    logger.error('Missing translation', { language, key });
+    return key;
+  }
+  return typeof message === 'function' ? message(params) : message;
+}
+
+function languageName(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, t, detectLanguage, resolveLanguage, languageName };
\ No newline at end of file
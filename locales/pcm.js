@@ -0,0 +1,151 @@
+// Nigerian Pidgin
+const list = items => items.map(item => `- ${item}`).join('\n');
+
+module.exports = {
+  invalidDocument: 'Dis document no correct. Abeg send PDF, Word or photo file wey dey work.',
+  unsupportedMessage: 'Na only text message and document (PDF, Word, RTF, text or photo) I fit handle.',
+  error: 'Sorry, something spoil. Abeg try again.',
+  notUnderstood: 'I no understand wetin you talk. Try "find jobs" or "upload CV".',
+  help: `See wetin I fit do:
+- Find work: "find developer jobs in Lagos", "abeg find me driver work for Abuja"
+- See more: "more" or "page 2"
+- Apply: "apply 1" or "apply all"
+- Check your applications: "status"
+- Job alert: "alert me for driver jobs in Abuja", "my alerts", "unsubscribe 1"
+- Your CV: send PDF, Word or photo make I upload am, "my cv", "delete my cv"
+- Credit: "balance" make you see wetin remain, "plans" to buy more
+- Language: "language english", "language yoruba", "language hausa", "language igbo"
+- "cancel" go stop anything wey dey run, "back" go carry you go the step wey pass`,
+  cancelled: 'I don cancel am. Type "help" make you see wetin I fit do.',
+  nothingToCancel: 'Nothing dey to cancel. Type "help" make you see wetin I fit do.',
+  nothingToGoBack: 'No step dey before dis one. Type "cancel" to stop am or "help" make you see wetin I fit do.',
+  stateReminder: 'I just dey remind you - we never finish wetin we start. Type "cancel" if you no wan continue again.',
+  stateExpired: 'Your last request don expire, so I don cancel am. Type "help" to start again.',
+
+  languageSet: ({ name }) => `No wahala, from now I go dey reply for ${name}. Type "language english" to change am back.`,
+  languageUnknown: ({ options }) => `I fit reply for ${options}. Type like "language pidgin".`,
+
+  paymentRequiredForApply: ({ amount, credits, url }) => `Each application go use one credit. Pay ₦${amount} for ${credits} applications for here: ${url}\nType "plans" make you see other options.`,
+  paymentSuccessful: ({ credits, until, pending }) => `Payment don enter! ${until ? `Your monthly plan go dey active till ${until}.` : `You get ${credits} application credit now.`}${pending ? ' Make we continue your application...' : ' Find work make you start to apply.'}`,
+  paymentFailed: 'Payment no go through. Abeg try again.',
+  paymentNeedsReview: 'We see payment from you but e no match wetin you order, so we never add am yet. Our team go check am come reach you.',
+  balance: ({ credits, until }) => until
+    ? `Your monthly plan dey active till ${until}, so applications no go use credit. Credit wey you get: ${credits}.`
+    : `You get ${credits} application credit. Each application go use one. Type "plans" to buy more.`,
+  plansList: ({ lines }) => `Plans:\n${list(lines)}\nType "buy <plan>", like "buy starter".`,
+  plans: {
+    starter: ({ credits, amount }) => `Starter: ${credits} applications for ₦${amount}`,
+    bundle: ({ credits, amount }) => `Bundle: ${credits} applications for ₦${amount}`,
+    monthly: ({ amount }) => `Monthly: apply without credit (reach the daily limit) for ₦${amount} every month`
+  },
+  planPayment: ({ description, url }) => `${description}. Pay for here: ${url}`,
+  subscriptionRenewed: ({ until }) => `Your monthly plan don renew, e go dey active till ${until}.`,
+  notEnoughCredits: ({ titles }) => `I no send am - your credit no reach:\n${list(titles)}\nType "plans" to buy more.`,
+  creditsExhausted: 'Your application credit don finish. Type "plans" to buy more, then apply again.',
+  applicationNotSent: ({ title, refunded }) => `Sorry, we no fit send your application for ${title} reach the recruiter.${refunded ? ' We don return the credit wey e use.' : ''}`,
+
+  cvTooLarge: 'Dis file too big. Abeg upload CV wey no pass 5MB.',
+  cvProcessing: 'I don collect your CV, I dey process am now... I go message you once e ready.',
+  cvProcessingFailed: 'Sorry, I no fit read your CV. Abeg try send am again, or send am as PDF.',
+  cvUploaded: 'Your CV don upload! Abeg send cover letter wey I go use start, or type "generate" make I write one for you. I go adjust am for each work and show you before I send anything.',
+  cvSaved: ({ hasCoverLetter }) => `Your CV don upload! ${hasCoverLetter ? 'I go still use the cover letter wey you save.' : 'I go ask you for cover letter when you wan apply.'} Type "find jobs in Lagos" make you see work wey match your CV.`,
+  uploadCv: 'Abeg upload your CV (PDF, Word or photo, no pass 5MB) for here.',
+  coverLetterPrompt: 'Abeg send cover letter wey I go use start, or type "generate" make I write one for you. I go adjust am for each work and show you before I send anything.',
+  coverLetterSaved: 'I don save your cover letter! You fit dey find work or apply now.',
+  noCvOnFile: 'You never upload CV. Send am (PDF, Word or photo, no pass 5MB) for here.',
+  replaceCv: 'Send your new CV (PDF, Word or photo, no pass 5MB) for here, e go replace the old one.',
+  cvDeleted: 'I don delete your CV and cover letter. You fit upload new CV anytime to apply for work.',
+  noCv: 'You no get CV for here.',
+  profile: ({ name, email, phone, location, role, nysc, keySkills, filename, uploaded, skills, experience, education, summary }) => [
+    'The CV wey you upload:',
+    `Name: ${name || 'You no put am'}`,
+    `Email: ${email || 'You no put am'}`,
+    phone ? `Phone: ${phone}` : null,
+    location ? `Where you dey: ${location}` : null,
+    role ? `Last work: ${role}` : null,
+    nysc ? `NYSC: ${{ completed: 'you don finish', serving: 'you still dey serve', exempted: 'dem exempt you', not_started: 'you never start' }[nysc] || nysc}` : null,
+    keySkills ? `Wetin you sabi: ${keySkills}` : null,
+    `File: ${filename} (you upload am ${uploaded || 'we no know when'})`,
+    `Skills: ${skills}/100, Experience: ${experience} years, Education: ${education}/100`,
+    summary ? `Summary: ${summary}` : null,
+    'Type "replace cv" to upload new one or "delete cv" to remove am.'
+  ].filter(Boolean).join('\n'),
+
+  noJobsFound: 'I no see any work. Try search am another way.',
+  noRecentSearch: 'You never search anything. Try "find jobs in Lagos".',
+  noMoreResults: ({ count, total }) => `Nothing remain - you don see all ${count} work from your last search.${total > count ? ` Na only the first ${count} out of ${total} I show; make your search small make you see the rest.` : ''}`,
+  jobsFirstPage: ({ total, ranked }) => `I see ${total} work${ranked ? ' (the ones wey fit your CV pass dey first)' : ''}:`,
+  jobsPage: ({ from, to, total }) => `Work ${from}-${to} out of ${total}:`,
+  jobLine: ({ number, title, company, location, score }) => `${number}. ${title} for ${company} (${location})${score !== undefined ? ` - e match ${score}%` : ''}`,
+  jobsFooter: ({ first, more }) => `Type 'apply all' for all the work wey dey here or 'apply <number>' (like 'apply ${first}')${more ? `, or 'more' make you see the next ${more}` : ''}.`,
+  filters: ({ remote, title, location, company }) => [
+    remote ? 'remote' : null,
+    title || null,
+    'work',
+    location ? `for ${location}` : null,
+    company ? `for ${company}` : null
+  ].filter(Boolean).join(' '),
+
+  dailyLimitReached: ({ limit }) => `You don reach today limit of ${limit} applications. Abeg try again tomorrow.`,
+  noValidJobs: 'No correct work dey to apply for.',
+  alreadyApplied: ({ titles }) => `I skip am - you don apply before:\n${list(titles)}`,
+  overLimit: ({ limit, titles }) => `I no send am - you don reach daily limit of ${limit} applications:\n${list(titles)}`,
+  coverLetterDraft: ({ title, company, position, total, letter }) => `Cover letter draft for ${title} for ${company}${total > 1 ? ` (${position} out of ${total})` : ''}:\n\n${letter}\n\nType 'send' to apply with dis letter, 'skip' to leave dis work, or tell me wetin make I change (like 'make it shorter', 'more formal').`,
+  revisionLimit: ({ count }) => `You don change dis letter ${count} times. Type 'send' to use am like dat or 'skip' to leave dis work.`,
+  reviewPending: ({ title }) => `You never finish di cover letter for ${title}. Type 'send', 'skip', tell me wetin make I change, or 'cancel' to stop di application.`,
+  appliedSummary: ({ lines }) => `You don apply for ${lines.length} work:\n${list(lines)}`,
+  appliedLine: ({ title, score, id }) => `${title} (${score !== null && score !== undefined ? `e match ${score}%, ` : ''}ID: ${id})`,
+  notAppliedSummary: ({ titles }) => `You no apply for:\n${list(titles)}`,
+  checkStatusHint: 'Type \'my applications\' anytime to check how e dey go.',
+  noApplicationsSent: 'I no send any application.',
+  confirmApplication: ({ lines, excerpt, email }) => [
+    `You ready to apply for ${lines.length} work:\n${list(lines)}`,
+    excerpt ? `Each recruiter go collect your CV and cover letter wey I go adjust from:\n"${excerpt}"` : 'Each recruiter go collect your CV and cover letter wey I go adjust for dem.',
+    email ? `Dem go see your email ${email}.` : 'Your CV no get email, so recruiters fit only reach you through wetin dey inside am.',
+    'Type \'confirm\' make we continue - you go see each letter before I send am - or \'cancel\' to stop.'
+  ].join('\n\n'),
+  confirmJobLine: ({ title, company, location }) => `${title} for ${company} (${location})`,
+
+  noApplications: 'You never apply for any work. Try "find jobs in Lagos".',
+  applicationsList: ({ lines }) => `Your latest applications:\n${lines.join('\n')}`,
+  applicationLine: ({ number, title, company, status, updated }) => `${number}. ${title} for ${company} - ${status} (${updated})`,
+  status: {
+    submitted: 'E don send',
+    viewed: 'Dem don see am',
+    shortlisted: 'Dem shortlist you',
+    rejected: 'Dem no pick you',
+    hired: 'Dem hire you'
+  },
+  statusChanged: {
+    viewed: ({ title, company }) => `The recruiter don see your application for ${title} for ${company}.`,
+    shortlisted: ({ title, company }) => `Congrats! Dem don shortlist you for ${title} for ${company}.`,
+    rejected: ({ title, company }) => `Sorry, the recruiter no go continue with your application for ${title} for ${company}.`,
+    hired: ({ title, company }) => `Congrats! Dem don pick you for ${title} for ${company}.`,
+    other: ({ status, title, company }) => `Your application for ${title} for ${company} don change to ${status}.`
+  },
+
+  alertNeedsFilters: 'Tell me wetin make I dey watch for you, like "alert me for remote developer jobs" or "daily alert for accountant jobs in Abuja".',
+  alertLimitReached: 'You don reach the maximum job alerts. Type "my alerts" to see dem or "unsubscribe <number>" to remove one.',
+  alertSaved: ({ filters, frequency }) => `I don save job alert for ${filters}. I go send you new ones ${frequency === 'instant' ? 'as dem post am' : 'once every day'}. Type "unsubscribe" to stop am.`,
+  noAlerts: 'You no get any job alert. Try "alert me for remote developer jobs".',
+  alertsList: ({ lines }) => `Your job alerts:\n${lines.join('\n')}\nType "unsubscribe <number>" to remove one or "unsubscribe" to remove all.`,
+  frequency: { instant: 'sharp sharp', daily: 'every day' },
+  noMatchingAlerts: 'No job alert dey to remove.',
+  alertsRemoved: ({ count }) => count === 1 ? 'I don remove the job alert.' : `I don remove ${count} job alerts.`,
+  newAlertJobs: ({ filters, lines }) => `New ${filters}:\n${lines.join('\n')}\nType 'apply <number>' to apply or 'unsubscribe' to stop dis alerts.`,
+
+  button: {
+    generate: 'Write am for me',
+    applyAll: 'Apply all',
+    more: 'More work',
+    send: 'Send am',
+    skip: 'Skip',
+    shorter: 'Make am short',
+    confirm: 'Confirm am',
+    cancel: 'Cancel',
+    plans: 'Buy credit',
+    starter: 'Starter',
+    bundle: 'Bundle',
+    monthly: 'Monthly'
+  }
+};
\ No newline at end of file
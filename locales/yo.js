@@ -0,0 +1,151 @@
+// Yorùbá
+const list = items => items.map(item => `- ${item}`).join('\n');
+
+module.exports = {
+  invalidDocument: 'Ìwé yìí kò tọ́. Ẹ jọ̀wọ́ fi fáìlì PDF, Word tàbí fọ́tò tó péye ránṣẹ́.',
+  unsupportedMessage: 'Ọ̀rọ̀ àkọsílẹ̀ àti fáìlì (PDF, Word, RTF, text tàbí fọ́tò) nìkan ni mo lè ṣe.',
+  error: 'Ẹ má bínú, àṣìṣe kan ṣẹlẹ̀. Ẹ jọ̀wọ́ tún gbìyànjú.',
+  notUnderstood: 'Kò yé mi. Ẹ gbìyànjú "find jobs" tàbí "upload CV".',
+  help: `Ohun tí mo lè ṣe nìyí:
+- Wá iṣẹ́: "find developer jobs in Lagos", "mo fẹ́ iṣẹ́ awakọ̀ ní Ìbàdàn"
+- Wo sí i: "more" tàbí "page 2"
+- Béèrè iṣẹ́: "apply 1" tàbí "apply all"
+- Ṣàyẹ̀wò àwọn ìbéèrè yín: "status"
+- Ìkìlọ̀ iṣẹ́: "alert me for driver jobs in Abuja", "my alerts", "unsubscribe 1"
+- CV yín: fi PDF, Word tàbí fọ́tò ránṣẹ́, "my cv", "delete my cv"
+- Kírẹ́dìtì: "balance" láti rí èyí tó kù, "plans" láti ra sí i
+- Èdè: "language english", "language pidgin", "language hausa", "language igbo"
+- "cancel" yóò dá ohunkóhun tó ń lọ dúró, "back" yóò padà sí ìgbésẹ̀ tó ṣáájú`,
+  cancelled: 'Mo ti fagilé e. Ẹ kọ "help" láti rí ohun tí mo lè ṣe.',
+  nothingToCancel: 'Kò sí ohun tí a ó fagilé. Ẹ kọ "help" láti rí ohun tí mo lè ṣe.',
+  nothingToGoBack: 'Kò sí ìgbésẹ̀ kankan ṣáájú èyí. Ẹ kọ "cancel" láti dá a dúró tàbí "help" láti rí ohun tí mo lè ṣe.',
+  stateReminder: 'Ìránnilétí ni - a kò tíì parí ohun tí a bẹ̀rẹ̀. Ẹ kọ "cancel" tí ẹ kò bá fẹ́ tẹ̀síwájú mọ́.',
+  stateExpired: 'Àkókò ìbéèrè yín tó kẹ́yìn ti kọjá, nítorí náà mo ti fagilé e. Ẹ kọ "help" láti tún bẹ̀rẹ̀.',
+
+  languageSet: ({ name }) => `Ó dáa, màá máa fèsì ní èdè ${name} láti ìsinsìnyí lọ. Ẹ kọ "language english" láti padà sí Gẹ̀ẹ́sì.`,
+  languageUnknown: ({ options }) => `Mo lè fèsì ní ${options}. Ẹ kọ bíi "language yoruba".`,
+
+  paymentRequiredForApply: ({ amount, credits, url }) => `Ìbéèrè iṣẹ́ kọ̀ọ̀kan ń lo kírẹ́dìtì kan. Ẹ san ₦${amount} fún ìbéèrè ${credits} níbí: ${url}\nẸ kọ "plans" láti rí àwọn àṣàyàn mìíràn.`,
+  paymentSuccessful: ({ credits, until, pending }) => `Owó ti wọlé! ${until ? `Ètò oṣooṣù yín yóò ṣiṣẹ́ títí di ${until}.` : `Ẹ ní kírẹ́dìtì ìbéèrè ${credits} báyìí.`}${pending ? ' A ń tẹ̀síwájú pẹ̀lú ìbéèrè iṣẹ́ yín...' : ' Ẹ wá iṣẹ́ láti bẹ̀rẹ̀ sí í béèrè.'}`,
+  paymentFailed: 'Owó náà kò lọ. Ẹ jọ̀wọ́ tún gbìyànjú.',
+  paymentNeedsReview: 'A rí owó kan láti ọ̀dọ̀ yín tí kò bá ohun tí ẹ bèèrè fún mu, nítorí náà a kò tíì lò ó. Ẹgbẹ́ wa yóò ṣàyẹ̀wò rẹ̀, wọn yóò sì kàn sí yín.',
+  balance: ({ credits, until }) => until
+    ? `Ètò oṣooṣù yín ń ṣiṣẹ́ títí di ${until}, nítorí náà ìbéèrè iṣẹ́ kò ní lo kírẹ́dìtì. Kírẹ́dìtì tó wà lọ́wọ́: ${credits}.`
+    : `Ẹ ní kírẹ́dìtì ìbéèrè ${credits}. Ìbéèrè kọ̀ọ̀kan ń lo ọ̀kan. Ẹ kọ "plans" láti ra sí i.`,
+  plansList: ({ lines }) => `Àwọn ètò:\n${list(lines)}\nẸ kọ "buy <ètò>", fún àpẹẹrẹ "buy starter".`,
+  plans: {
+    starter: ({ credits, amount }) => `Starter: ìbéèrè ${credits} fún ₦${amount}`,
+    bundle: ({ credits, amount }) => `Bundle: ìbéèrè ${credits} fún ₦${amount}`,
+    monthly: ({ amount }) => `Monthly: ẹ béèrè iṣẹ́ láìlo kírẹ́dìtì (títí dé òpin ojoojúmọ́) fún ₦${amount} lóṣooṣù`
+  },
+  planPayment: ({ description, url }) => `${description}. Ẹ sanwó níbí: ${url}`,
+  subscriptionRenewed: ({ until }) => `Ètò oṣooṣù yín ti tún bẹ̀rẹ̀, yóò sì ṣiṣẹ́ títí di ${until}.`,
+  notEnoughCredits: ({ titles }) => `A kò fi ránṣẹ́ - kírẹ́dìtì kò tó:\n${list(titles)}\nẸ kọ "plans" láti ra sí i.`,
+  creditsExhausted: 'Kírẹ́dìtì ìbéèrè yín ti tán. Ẹ kọ "plans" láti ra sí i, lẹ́yìn náà ẹ tún béèrè.',
+  applicationNotSent: ({ title, refunded }) => `Ẹ má bínú, a kò rí ìbéèrè iṣẹ́ yín fún ${title} fi ránṣẹ́ sí agbanisíṣẹ́.${refunded ? ' A ti dá kírẹ́dìtì tí ó lò padà fún yín.' : ''}`,
+
+  cvTooLarge: 'Fáìlì yìí ti tóbi jù. Ẹ jọ̀wọ́ fi CV tí kò ju 5MB lọ ránṣẹ́.',
+  cvProcessing: 'Mo ti gba CV yín, mò ń ṣiṣẹ́ lórí rẹ̀ báyìí... Màá fi ọ̀rọ̀ ránṣẹ́ sí yín ní kété tí ó bá ti ṣetán.',
+  cvProcessingFailed: 'Ẹ má bínú, mi ò lè ka CV yín. Ẹ jọ̀wọ́ gbìyànjú láti fi ránṣẹ́ lẹ́ẹ̀kan sí i, tàbí kí ẹ fi ránṣẹ́ gẹ́gẹ́ bí PDF.',
+  cvUploaded: 'CV yín ti dé! Ẹ fi lẹ́tà ìbéèrè iṣẹ́ (cover letter) ránṣẹ́ kí n fi bẹ̀rẹ̀, tàbí kọ "generate" kí n kọ ọ̀kan fún yín. Màá ṣe é bá iṣẹ́ kọ̀ọ̀kan mu, màá sì fi hàn yín kí n tó fi ohunkóhun ránṣẹ́.',
+  cvSaved: ({ hasCoverLetter }) => `CV yín ti dé! ${hasCoverLetter ? 'Màá ṣì lo lẹ́tà ìbéèrè iṣẹ́ tí ẹ ti fi pamọ́.' : 'Màá béèrè lẹ́tà ìbéèrè iṣẹ́ nígbà tí ẹ bá fẹ́ béèrè iṣẹ́.'} Ẹ kọ "find jobs in Lagos" láti rí àwọn iṣẹ́ tó bá CV yín mu.`,
+  uploadCv: 'Ẹ jọ̀wọ́ fi CV yín (PDF, Word tàbí fọ́tò, kò ju 5MB lọ) ránṣẹ́ síbí.',
+  coverLetterPrompt: 'Ẹ fi lẹ́tà ìbéèrè iṣẹ́ (cover letter) ránṣẹ́ kí n fi bẹ̀rẹ̀, tàbí kọ "generate" kí n kọ ọ̀kan fún yín. Màá ṣe é bá iṣẹ́ kọ̀ọ̀kan mu, màá sì fi hàn yín kí n tó fi ohunkóhun ránṣẹ́.',
+  coverLetterSaved: 'Mo ti fi lẹ́tà yín pamọ́! Ẹ lè wá iṣẹ́ tàbí béèrè iṣẹ́ báyìí.',
+  noCvOnFile: 'Ẹ kò tíì fi CV ránṣẹ́. Ẹ fi ọ̀kan (PDF, Word tàbí fọ́tò, kò ju 5MB lọ) ránṣẹ́ síbí.',
+  replaceCv: 'Ẹ fi CV tuntun yín (PDF, Word tàbí fọ́tò, kò ju 5MB lọ) ránṣẹ́ síbí, yóò sì rọ́pò èyí tó wà tẹ́lẹ̀.',
+  cvDeleted: 'Mo ti pa CV àti lẹ́tà yín rẹ́. Ẹ lè fi CV tuntun ránṣẹ́ nígbàkúgbà láti béèrè iṣẹ́.',
+  noCv: 'Ẹ kò ní CV kankan níbí.',
+  profile: ({ name, email, phone, location, role, nysc, keySkills, filename, uploaded, skills, experience, education, summary }) => [
+    'CV yín tó wà níbí:',
+    `Orúkọ: ${name || 'Kò sí'}`,
+    `Ímeèlì: ${email || 'Kò sí'}`,
+    phone ? `Fóònù: ${phone}` : null,
+    location ? `Ibùgbé: ${location}` : null,
+    role ? `Iṣẹ́ tó kẹ́yìn: ${role}` : null,
+    nysc ? `NYSC: ${{ completed: 'ti parí', serving: 'ń sìn lọ́wọ́', exempted: 'a yọ̀ yín sílẹ̀', not_started: 'kò tíì bẹ̀rẹ̀' }[nysc] || nysc}` : null,
+    keySkills ? `Àwọn ọgbọ́n: ${keySkills}` : null,
+    `Fáìlì: ${filename} (ọjọ́ tí ẹ fi ránṣẹ́: ${uploaded || 'a kò mọ̀'})`,
+    `Ọgbọ́n iṣẹ́: ${skills}/100, Ìrírí: ọdún ${experience}, Ẹ̀kọ́: ${education}/100`,
+    summary ? `Àkópọ̀: ${summary}` : null,
+    'Ẹ kọ "replace cv" láti fi tuntun ránṣẹ́ tàbí "delete cv" láti pa á rẹ́.'
+  ].filter(Boolean).join('\n'),
+
+  noJobsFound: 'Mi ò rí iṣẹ́ kankan. Ẹ gbìyànjú ọ̀nà míì.',
+  noRecentSearch: 'Ẹ kò tíì wá iṣẹ́ kankan. Ẹ gbìyànjú "find jobs in Lagos".',
+  noMoreResults: ({ count, total }) => `Kò sí mọ́ - ẹ ti rí gbogbo iṣẹ́ ${count} láti ìwádìí yín tó kẹ́yìn.${total > count ? ` ${count} àkọ́kọ́ nínú ${total} nìkan ni mo fi hàn; ẹ dín ìwádìí yín kù láti rí àwọn yòókù.` : ''}`,
+  jobsFirstPage: ({ total, ranked }) => `Mo rí iṣẹ́ ${total}${ranked ? ' (àwọn tó bá CV yín mu jù ló wà níwájú)' : ''}:`,
+  jobsPage: ({ from, to, total }) => `Iṣẹ́ ${from}-${to} nínú ${total}:`,
+  jobLine: ({ number, title, company, location, score }) => `${number}. ${title} ní ${company} (${location})${score !== undefined ? ` - ó bá a mu ${score}%` : ''}`,
+  jobsFooter: ({ first, more }) => `Ẹ kọ 'apply all' fún gbogbo iṣẹ́ ojú ìwé yìí tàbí 'apply <nọ́mbà>' (bíi 'apply ${first}')${more ? `, tàbí 'more' láti rí ${more} tó kàn` : ''}.`,
+  filters: ({ remote, title, location, company }) => [
+    'iṣẹ́',
+    title || null,
+    remote ? '(láti ilé)' : null,
+    location ? `ní ${location}` : null,
+    company ? `ní ${company}` : null
+  ].filter(Boolean).join(' '),
+
+  dailyLimitReached: ({ limit }) => `Ẹ ti dé òpin ìbéèrè iṣẹ́ ${limit} ti òní. Ẹ jọ̀wọ́ tún gbìyànjú lọ́la.`,
+  noValidJobs: 'Kò sí iṣẹ́ tó yẹ láti béèrè.',
+  alreadyApplied: ({ titles }) => `Mo fò ó - ẹ ti béèrè tẹ́lẹ̀:\n${list(titles)}`,
+  overLimit: ({ limit, titles }) => `N kò fi ránṣẹ́ - ẹ ti dé òpin ìbéèrè ${limit} lójúmọ́:\n${list(titles)}`,
+  coverLetterDraft: ({ title, company, position, total, letter }) => `Àkọpamọ́ lẹ́tà fún ${title} ní ${company}${total > 1 ? ` (${position} nínú ${total})` : ''}:\n\n${letter}\n\nẸ kọ 'send' láti béèrè pẹ̀lú lẹ́tà yìí, 'skip' láti fo iṣẹ́ yìí, tàbí sọ ohun tí kí n yí padà (bíi 'make it shorter', 'more formal').`,
+  revisionLimit: ({ count }) => `A ti ṣàtúnṣe lẹ́tà yìí ní ìgbà ${count}. Ẹ kọ 'send' láti lò ó bó ṣe wà tàbí 'skip' láti fo iṣẹ́ yìí.`,
+  reviewPending: ({ title }) => `Ẹ ṣì ń ṣàyẹ̀wò lẹ́tà fún ${title}. Ẹ kọ 'send', 'skip', sọ ohun tí kí n yí padà, tàbí 'cancel' láti dúró.`,
+  appliedSummary: ({ lines }) => `Ẹ ti béèrè iṣẹ́ ${lines.length}:\n${list(lines)}`,
+  appliedLine: ({ title, score, id }) => `${title} (${score !== null && score !== undefined ? `ó bá a mu ${score}%, ` : ''}ID: ${id})`,
+  notAppliedSummary: ({ titles }) => `Ẹ kò béèrè:\n${list(titles)}`,
+  checkStatusHint: 'Ẹ kọ \'my applications\' nígbàkúgbà láti mọ bí wọ́n ṣe ń lọ.',
+  noApplicationsSent: 'N kò fi ìbéèrè kankan ránṣẹ́.',
+  confirmApplication: ({ lines, excerpt, email }) => [
+    `Ẹ ti ṣetán láti béèrè fún iṣẹ́ ${lines.length}:\n${list(lines)}`,
+    excerpt ? `Olùgbanisíṣẹ́ kọ̀ọ̀kan yóò gba CV yín àti lẹ́tà ìbéèrè tí a ṣe láti inú:\n"${excerpt}"` : 'Olùgbanisíṣẹ́ kọ̀ọ̀kan yóò gba CV yín àti lẹ́tà ìbéèrè tí a ṣe fún iṣẹ́ náà.',
+    email ? `A ó fi àdírẹ́sì ímeèlì yín ${email} hàn wọ́n.` : 'Kò sí ímeèlì nínú CV yín, nítorí náà àwọn olùgbanisíṣẹ́ lè kàn sí yín nípasẹ̀ àlàyé inú rẹ̀ nìkan.',
+    'Ẹ kọ \'confirm\' láti tẹ̀síwájú - ẹ ó rí lẹ́tà kọ̀ọ̀kan kí n tó fi ránṣẹ́ - tàbí \'cancel\' láti dá a dúró.'
+  ].join('\n\n'),
+  confirmJobLine: ({ title, company, location }) => `${title} ní ${company} (${location})`,
+
+  noApplications: 'Ẹ kò tíì béèrè iṣẹ́ kankan. Ẹ gbìyànjú "find jobs in Lagos".',
+  applicationsList: ({ lines }) => `Àwọn ìbéèrè iṣẹ́ yín tó ṣẹ̀ṣẹ̀ wáyé:\n${lines.join('\n')}`,
+  applicationLine: ({ number, title, company, status, updated }) => `${number}. ${title} ní ${company} - ${status} (${updated})`,
+  status: {
+    submitted: 'A ti fi ránṣẹ́',
+    viewed: 'Wọ́n ti rí i',
+    shortlisted: 'Wọ́n ti yàn yín',
+    rejected: 'Wọn kò gbà á',
+    hired: 'Wọ́n ti gbà yín síṣẹ́'
+  },
+  statusChanged: {
+    viewed: ({ title, company }) => `Agbanisíṣẹ́ ti wo ìbéèrè yín fún ${title} ní ${company}.`,
+    shortlisted: ({ title, company }) => `Ẹ kú oríire! Wọ́n ti yàn yín fún ${title} ní ${company}.`,
+    rejected: ({ title, company }) => `Ó ṣeni láàánú, agbanisíṣẹ́ kò ní tẹ̀síwájú pẹ̀lú ìbéèrè yín fún ${title} ní ${company}.`,
+    hired: ({ title, company }) => `Ẹ kú oríire! Wọ́n ti gbà yín fún ${title} ní ${company}.`,
+    other: ({ status, title, company }) => `Ipò ìbéèrè yín fún ${title} ní ${company} ti di ${status}.`
+  },
+
+  alertNeedsFilters: 'Ẹ sọ ohun tí kí n máa wá fún yín, bíi "alert me for remote developer jobs" tàbí "daily alert for accountant jobs in Abuja".',
+  alertLimitReached: 'Ẹ ti ní iye ìkìlọ̀ iṣẹ́ tó pọ̀ jù. Ẹ kọ "my alerts" láti rí wọn tàbí "unsubscribe <nọ́mbà>" láti yọ ọ̀kan kúrò.',
+  alertSaved: ({ filters, frequency }) => `Mo ti fi ìkìlọ̀ pamọ́ fún ${filters}. Màá fi àwọn tuntun ránṣẹ́ ${frequency === 'instant' ? 'ní kété tí wọ́n bá gbé e jáde' : 'lẹ́ẹ̀kan lójúmọ́'}. Ẹ kọ "unsubscribe" láti dá a dúró.`,
+  noAlerts: 'Ẹ kò ní ìkìlọ̀ iṣẹ́ kankan. Ẹ gbìyànjú "alert me for remote developer jobs".',
+  alertsList: ({ lines }) => `Àwọn ìkìlọ̀ iṣẹ́ yín:\n${lines.join('\n')}\nẸ kọ "unsubscribe <nọ́mbà>" láti yọ ọ̀kan kúrò tàbí "unsubscribe" láti yọ gbogbo rẹ̀.`,
+  frequency: { instant: 'lẹ́sẹ̀kẹsẹ̀', daily: 'lójoojúmọ́' },
+  noMatchingAlerts: 'Kò sí ìkìlọ̀ iṣẹ́ láti yọ kúrò.',
+  alertsRemoved: ({ count }) => count === 1 ? 'Mo ti yọ ìkìlọ̀ iṣẹ́ náà kúrò.' : `Mo ti yọ ìkìlọ̀ iṣẹ́ ${count} kúrò.`,
+  newAlertJobs: ({ filters, lines }) => `${filters} tuntun:\n${lines.join('\n')}\nẸ kọ 'apply <nọ́mbà>' láti béèrè tàbí 'unsubscribe' láti dá ìkìlọ̀ yìí dúró.`,
+
+  button: {
+    generate: 'Kọ ọ́ fún mi',
+    applyAll: 'Béèrè gbogbo rẹ̀',
+    more: 'Iṣẹ́ míì',
+    send: 'Fi ránṣẹ́',
+    skip: 'Fò ó',
+    shorter: 'Ṣe é ní kúkúrú',
+    confirm: 'Jẹ́rìí sí i',
+    cancel: 'Fagilé',
+    plans: 'Ra kírẹ́dìtì',
+    starter: 'Starter',
+    bundle: 'Bundle',
+    monthly: 'Oṣooṣù'
+  }
+};
\ No newline at end of file
@@ -0,0 +1,332 @@
+-- Upgrades a database created from an earlier schema.sql, including the
+-- original one (jobs, payments with one row per user and a paid flag in
+-- payment_status, applications), to the current schema. Every step checks
+-- what is already there, so it is safe to run more than once:
+--
+--   psql -v ON_ERROR_STOP=1 -d cv_job_matching -f migrations/001_upgrade_existing_database.sql
+--
+-- Users who paid under the one-time payment model are given the starter
+-- bundle's credits so they keep access. The amount they were charged and the
+-- credits they get default to PAYSTACK_AMOUNT and BILLING_STARTER_CREDITS;
+-- change them below if you used other values.
+--
+-- Users are now identified as "<channel>:<id>" (whatsapp:2348012345678,
+-- telegram:123456789), but the original bot stored the bare WhatsApp number or
+-- Telegram chat id. Those are rewritten before crediting: ids that look like a
+-- phone number with its country code (legacy_whatsapp_pattern below) become
+-- WhatsApp users and the rest Telegram users. To check the mapping first:
+--
+--   SELECT user_identifier,
+--     CASE WHEN user_identifier ~ '^[1-9][0-9]{10,14}$' THEN 'whatsapp:' ELSE 'telegram:' END || user_identifier AS new_identifier
+--   FROM payments WHERE user_identifier NOT LIKE '%:%';
+--
+-- Afterwards a WhatsApp user who paid before, say 2348012345678, has their
+-- credits under the identifier the bot looks up:
+--
+--   SELECT credits FROM billing_accounts WHERE user_identifier = 'whatsapp:2348012345678';
+
+BEGIN;
+
+CREATE TEMP TABLE migration_settings ON COMMIT DROP AS
+SELECT 50000 AS legacy_amount, 10 AS legacy_credits, '^[1-9][0-9]{10,14}$'::TEXT AS legacy_whatsapp_pattern;
+
+CREATE OR REPLACE FUNCTION pg_temp.channel_identifier(identifier TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN identifier LIKE '%:%' THEN identifier
+    WHEN identifier ~ (SELECT legacy_whatsapp_pattern FROM migration_settings) THEN 'whatsapp:' || identifier
+    ELSE 'telegram:' || identifier
+  END
+$$ LANGUAGE SQL STABLE;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Recruiters and jobs
+
+CREATE TABLE IF NOT EXISTS recruiters (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  api_key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+ALTER TABLE jobs
+  ADD COLUMN IF NOT EXISTS recruiter_id UUID REFERENCES recruiters(id),
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(company, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS jobs_recruiter_id_idx ON jobs (recruiter_id);
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status);
+CREATE INDEX IF NOT EXISTS jobs_search_vector_idx ON jobs USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS jobs_title_trgm_idx ON jobs USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS jobs_location_trgm_idx ON jobs USING GIN (location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS jobs_company_trgm_idx ON jobs USING GIN (company gin_trgm_ops);
+
+-- Candidates
+
+CREATE TABLE IF NOT EXISTS candidates (
+  user_identifier TEXT PRIMARY KEY,
+  channel TEXT NOT NULL
+);
+
+ALTER TABLE candidates
+  ADD COLUMN IF NOT EXISTS name TEXT,
+  ADD COLUMN IF NOT EXISTS email TEXT,
+  ADD COLUMN IF NOT EXISTS cv_text TEXT,
+  ADD COLUMN IF NOT EXISTS cv_analysis JSONB,
+  ADD COLUMN IF NOT EXISTS cv_profile JSONB,
+  ADD COLUMN IF NOT EXISTS cv_filename TEXT,
+  ADD COLUMN IF NOT EXISTS cv_file_key TEXT,
+  ADD COLUMN IF NOT EXISTS cv_mime TEXT,
+  ADD COLUMN IF NOT EXISTS cv_uploaded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cover_letter TEXT,
+  ADD COLUMN IF NOT EXISTS daily_application_limit INTEGER,
+  ADD COLUMN IF NOT EXISTS language TEXT CHECK (language IN ('en', 'pcm', 'yo', 'ha', 'ig')),
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Payments: the original table had one row per user, keyed by user_identifier.
+-- It is kept as payments_legacy and its rows are copied into the
+-- per-reference table so late webhooks for old references still resolve.
+
+DO $$
+DECLARE
+  legacy_pkey TEXT;
+BEGIN
+  SELECT tc.constraint_name INTO legacy_pkey
+  FROM information_schema.table_constraints tc
+  JOIN information_schema.key_column_usage kcu
+    ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema AND kcu.table_name = tc.table_name
+  WHERE tc.table_schema = current_schema() AND tc.table_name = 'payments'
+    AND tc.constraint_type = 'PRIMARY KEY' AND kcu.column_name = 'user_identifier';
+  IF legacy_pkey IS NOT NULL THEN
+    ALTER TABLE payments RENAME TO payments_legacy;
+    -- Frees the index name for the new table's primary key
+    EXECUTE format('ALTER TABLE payments_legacy RENAME CONSTRAINT %I TO payments_legacy_pkey', legacy_pkey);
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS payments (
+  payment_reference TEXT PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  payment_status TEXT NOT NULL CHECK (payment_status IN ('pending', 'completed', 'failed', 'abandoned', 'mismatched')),
+  plan TEXT NOT NULL DEFAULT 'starter',
+  amount INTEGER NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_payment_status_check
+  CHECK (payment_status IN ('pending', 'completed', 'failed', 'abandoned', 'mismatched'));
+
+CREATE INDEX IF NOT EXISTS payments_user_identifier_idx ON payments (user_identifier);
+CREATE INDEX IF NOT EXISTS payments_pending_idx ON payments (created_at) WHERE payment_status = 'pending';
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  reference TEXT NOT NULL,
+  user_identifier TEXT,
+  source TEXT NOT NULL CHECK (source IN ('initialization', 'webhook', 'verification', 'reconciliation')),
+  event TEXT,
+  status TEXT NOT NULL,
+  amount INTEGER,
+  currency TEXT,
+  channel TEXT,
+  plan TEXT,
+  payload JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payment_transactions_reference_idx ON payment_transactions (reference);
+CREATE INDEX IF NOT EXISTS payment_transactions_user_identifier_idx ON payment_transactions (user_identifier);
+
+CREATE TABLE IF NOT EXISTS paystack_events (
+  event_key TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  reference TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Credits
+
+CREATE TABLE IF NOT EXISTS billing_accounts (
+  user_identifier TEXT PRIMARY KEY,
+  credits INTEGER NOT NULL DEFAULT 0 CHECK (credits >= 0),
+  subscription_plan TEXT,
+  subscription_expires_at TIMESTAMPTZ,
+  paystack_customer_code TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS billing_accounts_customer_code_idx ON billing_accounts (paystack_customer_code);
+
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  change INTEGER NOT NULL,
+  balance INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  reference TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (reason, reference)
+);
+
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_reason_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_reason_check
+  CHECK (reason IN ('purchase', 'subscription', 'application', 'refund'));
+
+CREATE INDEX IF NOT EXISTS credit_ledger_user_identifier_idx ON credit_ledger (user_identifier);
+
+-- Identifiers: bare legacy ids get their channel prefix. Rows keyed by user
+-- are left alone if the prefixed user already has one.
+
+UPDATE candidates c SET user_identifier = pg_temp.channel_identifier(c.user_identifier)
+WHERE c.user_identifier NOT LIKE '%:%'
+  AND NOT EXISTS (SELECT 1 FROM candidates p WHERE p.user_identifier = pg_temp.channel_identifier(c.user_identifier));
+
+UPDATE billing_accounts b SET user_identifier = pg_temp.channel_identifier(b.user_identifier)
+WHERE b.user_identifier NOT LIKE '%:%'
+  AND NOT EXISTS (SELECT 1 FROM billing_accounts p WHERE p.user_identifier = pg_temp.channel_identifier(b.user_identifier));
+
+UPDATE payments SET user_identifier = pg_temp.channel_identifier(user_identifier) WHERE user_identifier NOT LIKE '%:%';
+UPDATE payment_transactions SET user_identifier = pg_temp.channel_identifier(user_identifier) WHERE user_identifier NOT LIKE '%:%';
+UPDATE credit_ledger SET user_identifier = pg_temp.channel_identifier(user_identifier) WHERE user_identifier NOT LIKE '%:%';
+
+DO $$
+BEGIN
+  IF to_regclass('payments_legacy') IS NOT NULL THEN
+    UPDATE payments_legacy SET user_identifier = pg_temp.channel_identifier(user_identifier)
+    WHERE user_identifier NOT LIKE '%:%';
+  END IF;
+END $$;
+
+-- Repeat applications to the same job are removed further down, once every
+-- identifier has its prefix
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'applications_user_identifier_job_id_key') THEN
+    DELETE FROM applications a
+    USING applications p
+    WHERE a.user_identifier NOT LIKE '%:%' AND p.user_identifier = pg_temp.channel_identifier(a.user_identifier)
+      AND p.job_id = a.job_id;
+  END IF;
+  UPDATE applications SET user_identifier = pg_temp.channel_identifier(user_identifier)
+  WHERE user_identifier NOT LIKE '%:%';
+END $$;
+
+DO $$
+BEGIN
+  IF to_regclass('payments_legacy') IS NULL THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO payments (payment_reference, user_identifier, payment_status, plan, amount)
+  SELECT l.payment_reference, l.user_identifier,
+    CASE WHEN l.payment_status IN ('pending', 'completed', 'failed', 'abandoned') THEN l.payment_status ELSE 'failed' END,
+    'starter', s.legacy_amount
+  FROM payments_legacy l, migration_settings s
+  ON CONFLICT (payment_reference) DO NOTHING;
+
+  -- Each completed legacy payment is credited once; the ledger reference
+  -- marks it so re-running this script doesn't credit it again
+  WITH legacy AS (
+    SELECT l.user_identifier, l.payment_reference
+    FROM payments_legacy l
+    WHERE l.payment_status = 'completed'
+      AND NOT EXISTS (
+        SELECT 1 FROM credit_ledger c
+        WHERE c.reference IN (l.payment_reference, 'legacy:' || l.payment_reference)
+      )
+  ), credited AS (
+    INSERT INTO billing_accounts (user_identifier, credits)
+    SELECT legacy.user_identifier, s.legacy_credits FROM legacy, migration_settings s
+    ON CONFLICT (user_identifier) DO UPDATE
+      SET credits = billing_accounts.credits + EXCLUDED.credits, updated_at = NOW()
+    RETURNING user_identifier, credits
+  )
+  INSERT INTO credit_ledger (user_identifier, change, balance, reason, reference)
+  SELECT credited.user_identifier, s.legacy_credits, credited.credits, 'purchase', 'legacy:' || legacy.payment_reference
+  FROM credited JOIN legacy USING (user_identifier), migration_settings s;
+END $$;
+
+-- Applications
+
+ALTER TABLE applications
+  ADD COLUMN IF NOT EXISTS cover_letter TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'viewed', 'shortlisted', 'rejected', 'hired')),
+  ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Applications made before delivery was tracked were emailed at the time
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'applications' AND table_schema = current_schema() AND column_name = 'email_status'
+  ) THEN
+    ALTER TABLE applications ADD COLUMN email_status TEXT NOT NULL DEFAULT 'sent'
+      CHECK (email_status IN ('pending', 'sent', 'failed'));
+    ALTER TABLE applications ALTER COLUMN email_status SET DEFAULT 'pending';
+  END IF;
+END $$;
+
+-- Repeat applications to the same job were allowed originally; the earliest is kept
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'applications_user_identifier_job_id_key') THEN
+    DELETE FROM applications a
+    USING applications b
+    WHERE a.user_identifier = b.user_identifier AND a.job_id = b.job_id
+      AND (a.created_at, a.ctid) > (b.created_at, b.ctid);
+    ALTER TABLE applications ADD CONSTRAINT applications_user_identifier_job_id_key UNIQUE (user_identifier, job_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS applications_user_identifier_idx ON applications (user_identifier);
+CREATE INDEX IF NOT EXISTS applications_job_id_idx ON applications (job_id);
+
+CREATE TABLE IF NOT EXISTS application_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS application_status_history_application_id_idx ON application_status_history (application_id);
+
+-- Job alerts
+
+CREATE TABLE IF NOT EXISTS job_alerts (
+  id UUID PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  filters JSONB NOT NULL,
+  frequency TEXT NOT NULL DEFAULT 'daily' CHECK (frequency IN ('instant', 'daily')),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_checked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS job_alerts_active_frequency_idx ON job_alerts (frequency) WHERE active;
+
+CREATE TABLE IF NOT EXISTS job_alert_notifications (
+  alert_id UUID NOT NULL REFERENCES job_alerts(id) ON DELETE CASCADE,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (alert_id, job_id)
+);
+
+COMMIT;
\ No newline at end of file
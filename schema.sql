@@ -1,22 +1,169 @@
-CREATE TABLE jobs (
-  id UUID PRIMARY KEY,
-  title TEXT NOT NULL,
-  company TEXT NOT NULL,
-  location TEXT NOT NULL,
-  is_remote BOOLEAN DEFAULT FALSE,
-  email TEXT NOT NULL
-);
-
-CREATE TABLE payments (
-  user_identifier TEXT PRIMARY KEY,
-  payment_status TEXT NOT NULL,
-  payment_reference TEXT NOT NULL
-);
-
-CREATE TABLE applications (
-  id UUID PRIMARY KEY,
-  user_identifier TEXT NOT NULL,
-  job_id UUID REFERENCES jobs(id),
-  cv_text TEXT NOT NULL,
-  cv_score JSONB
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE recruiters (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  api_key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE TABLE jobs (
+  id UUID PRIMARY KEY,
+  recruiter_id UUID REFERENCES recruiters(id),
+  title TEXT NOT NULL,
+  company TEXT NOT NULL,
+  location TEXT NOT NULL,
+  is_remote BOOLEAN DEFAULT FALSE,
+  email TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(company, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED
+);
+
+CREATE INDEX jobs_recruiter_id_idx ON jobs (recruiter_id);
+CREATE INDEX jobs_status_idx ON jobs (status);
+CREATE INDEX jobs_search_vector_idx ON jobs USING GIN (search_vector);
+CREATE INDEX jobs_title_trgm_idx ON jobs USING GIN (title gin_trgm_ops);
+CREATE INDEX jobs_location_trgm_idx ON jobs USING GIN (location gin_trgm_ops);
+CREATE INDEX jobs_company_trgm_idx ON jobs USING GIN (company gin_trgm_ops);
+
+CREATE TABLE candidates (
+  user_identifier TEXT PRIMARY KEY,
+  channel TEXT NOT NULL,
+  name TEXT,
+  email TEXT,
+  cv_text TEXT,
+  cv_analysis JSONB,
+  -- Structured profile parsed from the CV (utils/cvProfile.js)
+  cv_profile JSONB,
+  cv_filename TEXT,
+  cv_file_key TEXT,
+  cv_mime TEXT,
+  cv_uploaded_at TIMESTAMPTZ,
+  cover_letter TEXT,
+  daily_application_limit INTEGER,
+  language TEXT CHECK (language IN ('en', 'pcm', 'yo', 'ha', 'ig')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE payments (
+  payment_reference TEXT PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  payment_status TEXT NOT NULL CHECK (payment_status IN ('pending', 'completed', 'failed', 'abandoned', 'mismatched')),
+  plan TEXT NOT NULL DEFAULT 'starter',
+  amount INTEGER NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX payments_user_identifier_idx ON payments (user_identifier);
+CREATE INDEX payments_pending_idx ON payments (created_at) WHERE payment_status = 'pending';
+
+-- Every initialization, webhook, verification and reconciliation check, kept for audits
+CREATE TABLE payment_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  reference TEXT NOT NULL,
+  user_identifier TEXT,
+  source TEXT NOT NULL CHECK (source IN ('initialization', 'webhook', 'verification', 'reconciliation')),
+  event TEXT,
+  status TEXT NOT NULL,
+  amount INTEGER,
+  currency TEXT,
+  channel TEXT,
+  plan TEXT,
+  payload JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX payment_transactions_reference_idx ON payment_transactions (reference);
+CREATE INDEX payment_transactions_user_identifier_idx ON payment_transactions (user_identifier);
+
+-- Paystack retries webhooks until it gets a 200; each event is only processed once
+CREATE TABLE paystack_events (
+  event_key TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  reference TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE billing_accounts (
+  user_identifier TEXT PRIMARY KEY,
+  credits INTEGER NOT NULL DEFAULT 0 CHECK (credits >= 0),
+  subscription_plan TEXT,
+  subscription_expires_at TIMESTAMPTZ,
+  paystack_customer_code TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX billing_accounts_customer_code_idx ON billing_accounts (paystack_customer_code);
+
+CREATE TABLE credit_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  change INTEGER NOT NULL,
+  balance INTEGER NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('purchase', 'subscription', 'application', 'refund')),
+  reference TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (reason, reference)
+);
+
+CREATE INDEX credit_ledger_user_identifier_idx ON credit_ledger (user_identifier);
+
+CREATE TABLE applications (
+  id UUID PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  job_id UUID REFERENCES jobs(id),
+  cv_text TEXT NOT NULL,
+  cv_score JSONB,
+  cover_letter TEXT,
+  status TEXT NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'viewed', 'shortlisted', 'rejected', 'hired')),
+  status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Delivery of the email to the recruiter (workers/emails.js)
+  email_status TEXT NOT NULL DEFAULT 'pending' CHECK (email_status IN ('pending', 'sent', 'failed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_identifier, job_id)
+);
+
+CREATE INDEX applications_user_identifier_idx ON applications (user_identifier);
+CREATE INDEX applications_job_id_idx ON applications (job_id);
+
+CREATE TABLE application_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX application_status_history_application_id_idx ON application_status_history (application_id);
+
+CREATE TABLE job_alerts (
+  id UUID PRIMARY KEY,
+  user_identifier TEXT NOT NULL,
+  filters JSONB NOT NULL,
+  frequency TEXT NOT NULL DEFAULT 'daily' CHECK (frequency IN ('instant', 'daily')),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_checked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX job_alerts_active_frequency_idx ON job_alerts (frequency) WHERE active;
+
+CREATE TABLE job_alert_notifications (
+  alert_id UUID NOT NULL REFERENCES job_alerts(id) ON DELETE CASCADE,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (alert_id, job_id)
 );
\ No newline at end of file
@@ -1,363 +1,520 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
-const TelegramBot = require('node-telegram-bot-api');
-const crypto = require('crypto');
-const fs = require('fs');
-const { Pool } = require('pg');
-const Redis = require('ioredis');
-const config = require('./config');
-const logger = require('./utils/logger');
-const { statsd, trackMetric } = require('./utils/metrics');
-const bot = require('./services/bot');
-const openaiWorker = require('./workers/openai');
-const cvWorker = require('./workers/cv');
-
-const app = express();
-
-// Database connection
-const pool = new Pool({
-  host: config.get('database.host'),
-  port: config.get('database.port'),
-  database: config.get('database.name'),
-  user: config.get('database.user'),
-  password: config.get('database.password')
-});
-
-// Redis connection
-const redis = new Redis({
-  host: config.get('redis.host'),
-  port: config.get('redis.port'),
-  password: config.get('redis.password'),
-  maxRetriesPerRequest: null
-});
-
-// Create Uploads directory if it doesn't exist
-if (!fs.existsSync('./Uploads')) {
-  fs.mkdirSync('./Uploads');
-}
-
-// Middleware
-app.use((req, res, next) => {
-  req.id = req.headers['x-request-id'] || uuidv4();
-  res.setHeader('X-Request-Id', req.id);
-  req.logger = logger.child({ requestId: req.id });
-  next();
-});
-
-app.use(cors({ 
-  origin: config.get('baseUrl'), 
-  methods: ['GET', 'POST'],
-  credentials: true
-}));
-
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    services: {
-      database: 'connected',
-      redis: 'connected',
-      workers: 'running'
-    }
-  });
-});
-
-// WhatsApp webhook
-app.post('/webhook/whatsapp', async (req, res) => {
-  try {
-    const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'Invalid webhook payload' });
-    }
-
-    for (const message of messages) {
-      try {
-        if (message.type === 'text') {
-          await bot.handleWhatsAppMessage(message.from, message.body);
-        } else if (message.type === 'document') {
-          if (!message.document?.data || !message.document?.filename) {
-            await bot.sendWhatsAppMessage(message.from, 'Invalid document. Please send a valid PDF or DOCX file.');
-            continue;
-          }
-          
-          await bot.handleWhatsAppMessage(message.from, null, {
-            buffer: Buffer.from(message.document.data, 'base64'),
-            originalname: message.document.filename,
-            email: message.from_email || null,
-            phone: message.from
-          });
-        } else {
-          // Handle other message types gracefully
-          await bot.sendWhatsAppMessage(message.from, 'I can only process text messages and document files (PDF/DOCX).');
-        }
-      } catch (messageError) {
-        req.logger.error('Error processing individual WhatsApp message', {
-          messageType: message.type,
-          from: message.from,
-          error: messageError.message
-        });
-        
-        // Send error message to user
-        try {
-          await bot.sendWhatsAppMessage(message.from, 'Sorry, I encountered an error processing your message. Please try again.');
-        } catch (sendError) {
-          req.logger.error('Failed to send error message to user', { sendError: sendError.message });
-        }
-      }
-    }
-    
-    res.sendStatus(200);
-  } catch (error) {
-    req.logger.error('WhatsApp webhook error', { error: error.message, stack: error.stack });
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
-
-// Paystack webhook
-app.post('/webhook/paystack', (req, res) => {
-  try {
-    const hash = crypto
-      .createHmac('sha512', config.get('paystack.secret'))
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-      
-    if (hash !== req.headers['x-paystack-signature']) {
-      req.logger.warn('Invalid Paystack webhook signature', { 
-        signature: req.headers['x-paystack-signature'],
-        expected: hash
-      });
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    const { event, data } = req.body;
-    req.logger.info('Paystack webhook received', { event, reference: data?.reference });
-    
-    if (event === 'charge.success') {
-      bot.processPayment(data.reference)
-        .then(() => {
-          req.logger.info('Paystack webhook processed successfully', { reference: data.reference });
-          res.sendStatus(200);
-        })
-        .catch((error) => {
-          req.logger.error('Paystack webhook processing error', { 
-            reference: data.reference, 
-            error: error.message 
-          });
-          res.status(500).json({ error: 'Webhook processing failed' });
-        });
-    } else {
-      req.logger.info('Ignored Paystack webhook event', { event });
-      res.sendStatus(200);
-    }
-  } catch (error) {
-    req.logger.error('Paystack webhook error', { error: error.message });
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
-
-// Telegram setup - only if valid token exists
-let telegramBot = null;
-const telegramToken = config.get('telegram.token');
-
-if (telegramToken && 
-    telegramToken.trim() !== '' && 
-    telegramToken !== 'your-telegram-token') {
-  
-  try {
-    telegramBot = new TelegramBot(telegramToken, { 
-      webhook: { url: `${config.get('baseUrl')}/webhook/telegram` }
-    });
-    
-    logger.info('Telegram bot initialized successfully');
-    
-    // Telegram webhook endpoint
-    app.post('/webhook/telegram', async (req, res) => {
-      try {
-        await telegramBot.processUpdate(req.body);
-        res.sendStatus(200);
-      } catch (error) {
-        req.logger.error('Telegram webhook processing error', { 
-          error: error.message,
-          update: req.body
-        });
-        res.status(500).json({ error: 'Telegram webhook failed' });
-      }
-    });
-    
-    // Telegram message handlers
-    telegramBot.on('message', async (msg) => {
-      try {
-        if (msg.document) {
-          // Handle document upload
-          const file = await telegramBot.downloadFile(msg.document.file_id, './Uploads');
-          const fileData = fs.readFileSync(file);
-          
-          if (fileData.length > 5 * 1024 * 1024) {
-            await bot.sendTelegramMessage(msg.chat.id, 'File is too large. Please upload a CV smaller than 5MB.');
-            return;
-          }
-          
-          await bot.handleTelegramMessage(msg.chat.id, null, {
-            buffer: fileData,
-            originalname: msg.document.file_name,
-            email: msg.from.email || null,
-            chatId: msg.chat.id
-          });
-        } else if (msg.text) {
-          // Handle text message
-          await bot.handleTelegramMessage(msg.chat.id, msg.text);
-        } else {
-          // Handle other message types
-          await bot.sendTelegramMessage(msg.chat.id, 'I can only process text messages and document files (PDF/DOCX).');
-        }
-      } catch (error) {
-        logger.error('Telegram message processing error', { 
-          chatId: msg.chat.id, 
-          error: error.message,
-          messageType: msg.document ? 'document' : 'text'
-        });
-        
-        try {
-          await bot.sendTelegramMessage(msg.chat.id, 'An error occurred while processing your message. Please try again.');
-        } catch (sendError) {
-          logger.error('Failed to send Telegram error message', { sendError: sendError.message });
-        }
-      }
-    });
-    
-    // Telegram error handler
-    telegramBot.on('error', (error) => {
-      logger.error('Telegram bot error', { error: error.message });
-    });
-    
-  } catch (telegramError) {
-    logger.error('Failed to initialize Telegram bot', { error: telegramError.message });
-  }
-} else {
-  logger.info('Telegram bot not initialized - no valid token provided');
-}
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  req.logger.error('Unhandled error', { 
-    error: err.message, 
-    stack: err.stack,
-    url: req.url,
-    method: req.method
-  });
-  
-  trackMetric('http.error', 1, [`status:500`, `method:${req.method}`]);
-  res.status(500).json({ error: 'An internal server error occurred' });
-});
-
-// 404 handler
-app.use((req, res) => {
-  req.logger.warn('Route not found', { 
-    url: req.url, 
-    method: req.method 
-  });
-  
-  trackMetric('http.not_found', 1, [`method:${req.method}`]);
-  res.status(404).json({ error: 'Route not found' });
-});
-
-// Start server
-const server = app.listen(config.get('port'), () => {
-  logger.info(`SmartCVNaija server started successfully`, {
-    port: config.get('port'),
-    environment: config.get('env'),
-    baseUrl: config.get('baseUrl'),
-    telegramEnabled: !!telegramBot,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Graceful shutdown handling
-const gracefulShutdown = async (signal) => {
-  logger.info(`Received ${signal}, starting graceful shutdown`);
-  
-  try {
-    // Close server
-    await new Promise((resolve) => {
-      server.close((err) => {
-        if (err) {
-          logger.error('Error closing server', { error: err.message });
-        } else {
-          logger.info('Server closed successfully');
-        }
-        resolve();
-      });
-    });
-    
-    // Close workers
-    if (openaiWorker && typeof openaiWorker.close === 'function') {
-      await openaiWorker.close();
-      logger.info('OpenAI worker closed');
-    }
-    
-    if (cvWorker && typeof cvWorker.close === 'function') {
-      await cvWorker.close();
-      logger.info('CV worker closed');
-    }
-    
-    // Close database connection
-    await pool.end();
-    logger.info('Database connection closed');
-    
-    // Close Redis connection
-    await redis.quit();
-    logger.info('Redis connection closed');
-    
-    // Close StatsD connection
-    if (statsd && typeof statsd.close === 'function') {
-      statsd.close();
-      logger.info('StatsD connection closed');
-    }
-    
-    logger.info('Graceful shutdown completed');
-    process.exit(0);
-    
-  } catch (error) {
-    logger.error('Error during graceful shutdown', { error: error.message });
-    process.exit(1);
-  }
-};
-
-// Handle shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Handle unhandled rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection', { 
-    reason: reason?.message || reason,
-    stack: reason?.stack,
-    promise: promise.toString()
-  });
-  
-  // Don't exit immediately, let the app handle it gracefully
-  setTimeout(() => {
-    logger.error('Exiting due to unhandled rejection');
-    process.exit(1);
-  }, 1000);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception', { 
-    error: error.message, 
-    stack: error.stack 
-  });
-  
-  // Exit immediately for uncaught exceptions
-  process.exit(1);
-});
-
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const crypto = require('crypto');
+const fs = require('fs');
+const Redis = require('ioredis');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { statsd, countMetric } = require('./utils/metrics');
+const pool = require('./utils/db');
+const bot = require('./services/bot');
+const { adapters: { whatsapp: whatsappAdapter, telegram: telegramAdapter } } = require('./channels');
+const jobService = require('./services/jobs');
+const recruiterService = require('./services/recruiters');
+const applicationService = require('./services/applications');
+const paymentService = require('./services/payments');
+const inboundService = require('./services/inbound');
+const openaiWorker = require('./workers/openai');
+const cvWorker = require('./workers/cv');
+const alertWorker = require('./workers/alerts');
+const conversationWorker = require('./workers/conversation');
+const paymentWorker = require('./workers/payments');
+const emailWorker = require('./workers/emails');
+const inboundWorker = require('./workers/inbound');
+
+const app = express();
+
+// Redis connection
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Create Uploads directory if it doesn't exist
+if (!fs.existsSync('./Uploads')) {
+  fs.mkdirSync('./Uploads');
+}
+
+// Middleware
+app.use((req, res, next) => {
+  req.id = req.headers['x-request-id'] || uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  req.logger = logger.child({ requestId: req.id });
+  next();
+});
+
+app.use(cors({ 
+  origin: config.get('baseUrl'), 
+  methods: ['GET', 'POST', 'PATCH'],
+  credentials: true
+}));
+
+if (config.get('trustProxy') > 0) {
+  app.set('trust proxy', config.get('trustProxy'));
+}
+
+// The raw body is kept for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    services: {
+      database: 'connected',
+      redis: 'connected',
+      workers: 'running'
+    }
+  });
+});
+
+// Queues normalized inbound messages for workers/inbound.js. Webhooks are only
+// acknowledged once every message is queued, and never wait for the bot itself.
+// Redelivered webhooks carry the same message ids and are skipped.
+const acceptInbound = async (messages) => {
+  for (const inbound of messages) {
+    await inboundService.accept(inbound);
+  }
+};
+
+// Rejects webhook requests the channel adapter can't verify as coming from the provider
+const verifyChannelWebhook = (adapter) => (req, res, next) => {
+  const reason = adapter.verifyWebhook(req);
+  if (!reason) return next();
+
+  req.logger.warn('Rejected unverified webhook', { channel: adapter.name, reason, ip: req.ip });
+  countMetric('webhook.rejected', [`channel:${adapter.name}`, `reason:${reason}`]);
+  res.status(reason === 'ip' ? 403 : 401).json({ error: 'Unauthorized webhook' });
+};
+
+// WhatsApp webhook
+app.post('/webhook/whatsapp', verifyChannelWebhook(whatsappAdapter), async (req, res) => {
+  try {
+    const messages = await whatsappAdapter.normalizeInbound(req.body);
+    if (!messages) {
+      return res.status(400).json({ error: 'Invalid webhook payload' });
+    }
+
+    await acceptInbound(messages);
+    res.sendStatus(200);
+  } catch (error) {
+    req.logger.error('WhatsApp webhook error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Paystack webhook
+app.post('/webhook/paystack', async (req, res) => {
+  try {
+    const hash = crypto
+      .createHmac('sha512', config.get('paystack.secret'))
+      .update(JSON.stringify(req.body))
+      .digest('hex');
+      
+    if (hash !== req.headers['x-paystack-signature']) {
+      req.logger.warn('Invalid Paystack webhook signature', { 
+        signature: req.headers['x-paystack-signature'],
+        expected: hash
+      });
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const { event, data } = req.body;
+    req.logger.info('Paystack webhook received', { event, reference: data?.reference });
+
+    // Refund and dispute events carry the original charge's reference elsewhere
+    const reference = data?.reference || data?.transaction_reference || data?.transaction?.reference;
+    if (reference) {
+      await paymentService.record('webhook', { reference, event, ...paymentService.fromPaystack(data), payload: req.body });
+    }
+    
+    if (event === 'charge.success') {
+      const queued = await paymentService.queueWebhook(event, data);
+      req.logger.info(queued ? 'Paystack webhook queued' : 'Duplicate Paystack webhook ignored', { event, reference: data.reference });
+    } else {
+      req.logger.info('Ignored Paystack webhook event', { event });
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    req.logger.error('Paystack webhook error', { error: error.message });
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Recruiter/admin API authentication: X-Api-Key holds either the admin key or a recruiter key
+const requireApiKey = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (recruiterService.isAdminKey(apiKey)) {
+      req.isAdmin = true;
+      req.recruiter = null;
+      return next();
+    }
+
+    const recruiter = await recruiterService.authenticate(apiKey);
+    if (!recruiter) {
+      req.logger.warn('Rejected API request with invalid key', { url: req.url, method: req.method });
+      countMetric('api.auth_rejected', [`method:${req.method}`]);
+      return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+
+    req.isAdmin = false;
+    req.recruiter = recruiter;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Admins can see and edit every job; recruiters only their own
+const recruiterScope = (req) => (req.isAdmin ? null : req.recruiter.id);
+
+app.post('/api/recruiters', requireApiKey, requireAdmin, async (req, res) => {
+  try {
+    const { recruiter: input, errors } = recruiterService.validateRecruiter(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid recruiter', details: errors });
+    }
+    const recruiter = await recruiterService.createRecruiter(input.name, input.email);
+    res.status(201).json({ recruiter });
+  } catch (error) {
+    req.logger.error('Failed to create recruiter', { error: error.message });
+    res.status(500).json({ error: 'Failed to create recruiter' });
+  }
+});
+
+// Full history of one Paystack reference, for refunds and disputes
+app.get('/api/payments/:reference', requireApiKey, requireAdmin, async (req, res) => {
+  try {
+    const payment = await paymentService.getPayment(req.params.reference);
+    const transactions = await paymentService.history(req.params.reference);
+    if (!payment && transactions.length === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json({ payment, transactions });
+  } catch (error) {
+    req.logger.error('Failed to load payment history', { reference: req.params.reference, error: error.message });
+    res.status(500).json({ error: 'Failed to load payment history' });
+  }
+});
+
+app.get('/api/jobs', requireApiKey, async (req, res) => {
+  try {
+    const status = ['open', 'closed'].includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await jobService.listJobs(recruiterScope(req), { status, limit, offset });
+    res.json({ ...result, limit, offset });
+  } catch (error) {
+    req.logger.error('Failed to list jobs', { error: error.message });
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.post('/api/jobs', requireApiKey, async (req, res) => {
+  try {
+    const { job, errors } = jobService.validateJob(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job', details: errors });
+    }
+
+    let recruiterId = recruiterScope(req);
+    if (req.isAdmin && req.body.recruiter_id) {
+      if (!uuidValidate(req.body.recruiter_id)) {
+        return res.status(400).json({ error: 'Invalid job', details: ['recruiter_id must be a UUID'] });
+      }
+      recruiterId = req.body.recruiter_id;
+    }
+
+    const created = await jobService.createJob(recruiterId, job);
+    res.status(201).json({ job: created });
+  } catch (error) {
+    // Foreign key violation: recruiter_id names no recruiter
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Invalid job', details: ['recruiter_id does not match any recruiter'] });
+    }
+    req.logger.error('Failed to create job', { error: error.message });
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+app.post('/api/jobs/import', requireApiKey, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: 'Send the CSV with Content-Type: text/csv' });
+    }
+    const { imported, errors } = await jobService.importJobs(recruiterScope(req), req.body);
+    res.status(imported.length > 0 ? 201 : 400).json({
+      imported: imported.length,
+      rejected: errors.length,
+      jobs: imported,
+      errors
+    });
+  } catch (error) {
+    req.logger.error('Failed to import jobs', { error: error.message });
+    res.status(500).json({ error: 'Failed to import jobs' });
+  }
+});
+
+app.patch('/api/jobs/:id', requireApiKey, async (req, res) => {
+  try {
+    if (!uuidValidate(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const { job, errors } = jobService.validateJob(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job', details: errors });
+    }
+    const updated = await jobService.updateJob(req.params.id, recruiterScope(req), job);
+    if (!updated) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: updated });
+  } catch (error) {
+    req.logger.error('Failed to update job', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
+app.post('/api/jobs/:id/close', requireApiKey, async (req, res) => {
+  try {
+    if (!uuidValidate(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const closed = await jobService.closeJob(req.params.id, recruiterScope(req));
+    if (!closed) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: closed });
+  } catch (error) {
+    req.logger.error('Failed to close job', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to close job' });
+  }
+});
+
+app.get('/api/jobs/:id/applications', requireApiKey, async (req, res) => {
+  try {
+    if (!uuidValidate(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = await jobService.getJob(req.params.id, recruiterScope(req));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const applications = await applicationService.listForJob(job.id, recruiterScope(req));
+    res.json({ applications });
+  } catch (error) {
+    req.logger.error('Failed to list applications', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to list applications' });
+  }
+});
+
+app.patch('/api/applications/:id', requireApiKey, async (req, res) => {
+  try {
+    if (!uuidValidate(req.params.id)) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    const { status, note } = req.body || {};
+    if (!applicationService.statuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${applicationService.statuses.join(', ')}` });
+    }
+    const result = await applicationService.updateStatus(
+      req.params.id,
+      recruiterScope(req),
+      status,
+      typeof note === 'string' ? note.trim() || null : null
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (result.changed) {
+      await bot.notifyApplicationStatus(result.application);
+    }
+    res.json({ application: result.application, changed: result.changed });
+  } catch (error) {
+    req.logger.error('Failed to update application status', { applicationId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to update application status' });
+  }
+});
+
+// Telegram webhook - only if a valid token was configured
+if (telegramAdapter.isEnabled()) {
+  app.post('/webhook/telegram', verifyChannelWebhook(telegramAdapter), async (req, res) => {
+    try {
+      const messages = await telegramAdapter.normalizeInbound(req.body);
+      if (!messages) {
+        return res.status(400).json({ error: 'Invalid webhook payload' });
+      }
+
+      await acceptInbound(messages);
+      res.sendStatus(200);
+    } catch (error) {
+      req.logger.error('Telegram webhook processing error', { 
+        error: error.message,
+        update: req.body
+      });
+      res.status(500).json({ error: 'Telegram webhook failed' });
+    }
+  });
+}
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  req.logger.error('Unhandled error', { 
+    error: err.message, 
+    stack: err.stack,
+    url: req.url,
+    method: req.method
+  });
+  
+  countMetric('http.error', [`status:500`, `method:${req.method}`]);
+  res.status(500).json({ error: 'An internal server error occurred' });
+});
+
+// 404 handler
+app.use((req, res) => {
+  req.logger.warn('Route not found', { 
+    url: req.url, 
+    method: req.method 
+  });
+  
+  countMetric('http.not_found', [`method:${req.method}`]);
+  res.status(404).json({ error: 'Route not found' });
+});
+
+// Start server
+const server = app.listen(config.get('port'), () => {
+  logger.info(`SmartCVNaija server started successfully`, {
+    port: config.get('port'),
+    environment: config.get('env'),
+    baseUrl: config.get('baseUrl'),
+    telegramEnabled: telegramAdapter.isEnabled(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Graceful shutdown handling
+const gracefulShutdown = async (signal) => {
+  logger.info(`Received ${signal}, starting graceful shutdown`);
+  
+  try {
+    // Close server
+    await new Promise((resolve) => {
+      server.close((err) => {
+        if (err) {
+          logger.error('Error closing server', { error: err.message });
+        } else {
+          logger.info('Server closed successfully');
+        }
+        resolve();
+      });
+    });
+    
+    // Close workers
+    if (inboundWorker && typeof inboundWorker.close === 'function') {
+      await inboundWorker.close();
+      logger.info('Inbound message worker closed');
+    }
+
+    if (openaiWorker && typeof openaiWorker.close === 'function') {
+      await openaiWorker.close();
+      logger.info('OpenAI worker closed');
+    }
+    
+    if (cvWorker && typeof cvWorker.close === 'function') {
+      await cvWorker.close();
+      logger.info('CV worker closed');
+    }
+    
+    if (alertWorker && typeof alertWorker.close === 'function') {
+      await alertWorker.close();
+      logger.info('Job alert worker closed');
+    }
+
+    if (conversationWorker && typeof conversationWorker.close === 'function') {
+      await conversationWorker.close();
+      logger.info('Conversation worker closed');
+    }
+
+    if (paymentWorker && typeof paymentWorker.close === 'function') {
+      await paymentWorker.close();
+      logger.info('Payment reconciliation worker closed');
+    }
+
+    if (emailWorker && typeof emailWorker.close === 'function') {
+      await emailWorker.close();
+      logger.info('Application email worker closed');
+    }
+    
+    // Close database connection
+    await pool.end();
+    logger.info('Database connection closed');
+    
+    // Close Redis connection
+    await redis.quit();
+    logger.info('Redis connection closed');
+    
+    // Close StatsD connection
+    if (statsd && typeof statsd.close === 'function') {
+      statsd.close();
+      logger.info('StatsD connection closed');
+    }
+    
+    logger.info('Graceful shutdown completed');
+    process.exit(0);
+    
+  } catch (error) {
+    logger.error('Error during graceful shutdown', { error: error.message });
+    process.exit(1);
+  }
+};
+
+// Handle shutdown signals
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// Handle unhandled rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection', { 
+    reason: reason?.message || reason,
+    stack: reason?.stack,
+    promise: promise.toString()
+  });
+  
+  // Don't exit immediately, let the app handle it gracefully
+  setTimeout(() => {
+    logger.error('Exiting due to unhandled rejection');
+    process.exit(1);
+  }, 1000);
+});
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception', { 
+    error: error.message, 
+    stack: error.stack 
+  });
+  
+  // Exit immediately for uncaught exceptions
+  process.exit(1);
+});
+
 module.exports = server;
\ No newline at end of file
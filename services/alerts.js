@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+
+const ALERT_FREQUENCIES = ['instant', 'daily'];
+const MAX_ALERTS_PER_USER = 5;
+
+class AlertService {
+  get frequencies() {
+    return ALERT_FREQUENCIES;
+  }
+
+  // Returns the new alert, or null when the user already has the maximum
+  async createAlert(identifier, filters, frequency = 'daily') {
+    const { rows: [{ count }] } = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM job_alerts WHERE user_identifier = $1 AND active',
+      [String(identifier)]
+    );
+    if (count >= MAX_ALERTS_PER_USER) {
+      return null;
+    }
+    const { rows: [alert] } = await pool.query(
+      `INSERT INTO job_alerts (id, user_identifier, filters, frequency)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [uuidv4(), String(identifier), filters, ALERT_FREQUENCIES.includes(frequency) ? frequency : 'daily']
+    );
+    logger.info('Job alert created', { alertId: alert.id, identifier, frequency: alert.frequency });
+    return alert;
+  }
+
+  async listAlerts(identifier) {
+    const { rows } = await pool.query(
+      'SELECT * FROM job_alerts WHERE user_identifier = $1 AND active ORDER BY created_at',
+      [String(identifier)]
+    );
+    return rows;
+  }
+
+  // position is the 1-based number shown by listAlerts; null cancels every alert
+  async unsubscribe(identifier, position = null) {
+    const alerts = await this.listAlerts(identifier);
+    const targets = position ? alerts.slice(position - 1, position) : alerts;
+    if (targets.length === 0) {
+      return 0;
+    }
+    await pool.query(
+      'UPDATE job_alerts SET active = FALSE WHERE id = ANY($1::uuid[])',
+      [targets.map(alert => alert.id)]
+    );
+    logger.info('Job alerts cancelled', { identifier, count: targets.length });
+    return targets.length;
+  }
+
+  async getDueAlerts(frequency) {
+    const { rows } = await pool.query(
+      'SELECT * FROM job_alerts WHERE active AND frequency = $1',
+      [frequency]
+    );
+    return rows;
+  }
+
+  // Records which jobs were sent and advances the alert's checkpoint. Returns the
+  // subset of jobIds not already sent, so a retried scan never repeats a job.
+  async recordNotified(alertId, jobIds, checkedAt) {
+    let fresh = [];
+    if (jobIds.length > 0) {
+      const { rows } = await pool.query(
+        `INSERT INTO job_alert_notifications (alert_id, job_id)
+         SELECT $1, UNNEST($2::uuid[])
+         ON CONFLICT DO NOTHING
+         RETURNING job_id`,
+        [alertId, jobIds]
+      );
+      fresh = rows.map(row => row.job_id);
+    }
+    await pool.query('UPDATE job_alerts SET last_checked_at = $2 WHERE id = $1', [alertId, checkedAt]);
+    return fresh;
+  }
+}
+
+module.exports = new AlertService();
\ No newline at end of file
@@ -0,0 +1,153 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+
+const APPLICATION_STATUSES = ['submitted', 'viewed', 'shortlisted', 'rejected', 'hired'];
+
+class ApplicationService {
+  get statuses() {
+    return APPLICATION_STATUSES;
+  }
+
+  // Returns null when the user has already applied to this job. beforeCommit
+  // runs inside the transaction (e.g. to charge a credit) and rolls it back if it throws.
+  async createApplication(identifier, jobId, cvText, score, coverLetter = null, beforeCommit = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [application] } = await client.query(
+        `INSERT INTO applications (id, user_identifier, job_id, cv_text, cv_score, cover_letter)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_identifier, job_id) DO NOTHING
+         RETURNING id, user_identifier, job_id, status, created_at`,
+        [uuidv4(), identifier, jobId, cvText, score, coverLetter]
+      );
+      if (!application) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query(
+        'INSERT INTO application_status_history (application_id, status) VALUES ($1, $2)',
+        [application.id, application.status]
+      );
+      if (beforeCommit) {
+        await beforeCommit(client, application);
+      }
+      await client.query('COMMIT');
+      return application;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async findAppliedJobIds(identifier, jobIds) {
+    if (jobIds.length === 0) return [];
+    const { rows } = await pool.query(
+      'SELECT job_id FROM applications WHERE user_identifier = $1 AND job_id = ANY($2::uuid[])',
+      [String(identifier), jobIds]
+    );
+    return rows.map(row => row.job_id);
+  }
+
+  // Applications since midnight Lagos time
+  async countToday(identifier) {
+    const { rows: [{ count }] } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM applications
+       WHERE user_identifier = $1
+       AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'Africa/Lagos') AT TIME ZONE 'Africa/Lagos'`,
+      [String(identifier)]
+    );
+    return count;
+  }
+
+  async listForCandidate(identifier, limit = 10) {
+    const { rows } = await pool.query(
+      `SELECT a.id, a.status, a.status_updated_at, a.created_at, j.title, j.company, j.location
+       FROM applications a
+       JOIN jobs j ON j.id = a.job_id
+       WHERE a.user_identifier = $1
+       ORDER BY a.created_at DESC
+       LIMIT $2`,
+      [String(identifier), limit]
+    );
+    return rows;
+  }
+
+  async getApplication(applicationId) {
+    const { rows: [application] } = await pool.query(
+      `SELECT id, user_identifier, job_id, cv_text, cv_score, cover_letter, email_status, created_at
+       FROM applications WHERE id = $1`,
+      [applicationId]
+    );
+    return application || null;
+  }
+
+  async setEmailStatus(applicationId, status) {
+    await pool.query('UPDATE applications SET email_status = $2 WHERE id = $1', [applicationId, status]);
+  }
+
+  // recruiterId = null means admin access (any job)
+  async listForJob(jobId, recruiterId) {
+    const { rows } = await pool.query(
+      `SELECT a.id, a.user_identifier, a.status, a.status_updated_at, a.created_at, a.cv_score, a.email_status,
+         c.name, c.email, c.cv_profile AS profile
+       FROM applications a
+       JOIN jobs j ON j.id = a.job_id
+       LEFT JOIN candidates c ON c.user_identifier = a.user_identifier
+       WHERE a.job_id = $1 AND ($2::uuid IS NULL OR j.recruiter_id = $2)
+       ORDER BY a.created_at DESC`,
+      [jobId, recruiterId]
+    );
+    return rows;
+  }
+
+  // Returns { application, changed } or null when the application doesn't exist
+  // or belongs to another recruiter. Setting the current status again is a no-op.
+  async updateStatus(applicationId, recruiterId, status, note = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [current] } = await client.query(
+        `SELECT a.id, a.user_identifier, a.status, j.title, j.company
+         FROM applications a
+         JOIN jobs j ON j.id = a.job_id
+         WHERE a.id = $1 AND ($2::uuid IS NULL OR j.recruiter_id = $2)
+         FOR UPDATE OF a`,
+        [applicationId, recruiterId]
+      );
+      if (!current) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (current.status === status) {
+        await client.query('ROLLBACK');
+        return { application: current, changed: false };
+      }
+
+      const { rows: [updated] } = await client.query(
+        `UPDATE applications SET status = $2, status_updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, user_identifier, status, status_updated_at`,
+        [applicationId, status]
+      );
+      await client.query(
+        'INSERT INTO application_status_history (application_id, status, note) VALUES ($1, $2, $3)',
+        [applicationId, status, note]
+      );
+      await client.query('COMMIT');
+
+      logger.info('Application status updated', { applicationId, from: current.status, to: status });
+      return { application: { ...updated, title: current.title, company: current.company }, changed: true };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new ApplicationService();
\ No newline at end of file
@@ -0,0 +1,195 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+const { countMetric } = require('../utils/metrics');
+
+const SUBSCRIPTION_DAYS = 30;
+
+const EMPTY_ACCOUNT = { credits: 0, subscription_plan: null, subscription_expires_at: null, subscribed: false };
+
+class BillingService {
+  // Credit bundles are one-off payments; the monthly plan renews through
+  // Paystack and lets the user apply without spending credits
+  get plans() {
+    const plans = [
+      { id: 'starter', type: 'credits', credits: config.get('billing.starterCredits'), amount: config.get('paystack.amount') },
+      { id: 'bundle', type: 'credits', credits: config.get('billing.bundleCredits'), amount: config.get('billing.bundleAmount') }
+    ];
+    const planCode = config.get('billing.monthlyPlanCode');
+    if (planCode) {
+      plans.push({ id: 'monthly', type: 'subscription', planCode, amount: config.get('billing.monthlyAmount'), days: SUBSCRIPTION_DAYS });
+    }
+    return plans;
+  }
+
+  getPlan(id) {
+    return this.plans.find(plan => plan.id === id) || null;
+  }
+
+  getPlanByCode(planCode) {
+    return this.plans.find(plan => plan.planCode && plan.planCode === planCode) || null;
+  }
+
+  async getAccount(identifier) {
+    const { rows: [account] } = await pool.query(
+      `SELECT credits, subscription_plan, subscription_expires_at,
+         COALESCE(subscription_expires_at > NOW(), FALSE) AS subscribed
+       FROM billing_accounts WHERE user_identifier = $1`,
+      [String(identifier)]
+    );
+    return account || { ...EMPTY_ACCOUNT };
+  }
+
+  async canApply(identifier) {
+    const account = await this.getAccount(identifier);
+    return account.subscribed || account.credits > 0;
+  }
+
+  // How many applications the balance covers; subscribers are only held to the daily limit
+  async availableApplications(identifier) {
+    const account = await this.getAccount(identifier);
+    return account.subscribed ? Infinity : account.credits;
+  }
+
+  async findByCustomerCode(customerCode) {
+    if (!customerCode) return null;
+    const { rows: [account] } = await pool.query(
+      'SELECT user_identifier FROM billing_accounts WHERE paystack_customer_code = $1',
+      [customerCode]
+    );
+    return account ? account.user_identifier : null;
+  }
+
+  // Adds credits or extends the subscription once per Paystack reference.
+  // Returns the updated account, or null when the reference was already applied.
+  async applyPurchase(identifier, plan, reference, customerCode = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'INSERT INTO billing_accounts (user_identifier) VALUES ($1) ON CONFLICT (user_identifier) DO NOTHING',
+        [String(identifier)]
+      );
+      const { rows: [account] } = await client.query(
+        `UPDATE billing_accounts SET
+           credits = credits + $2,
+           subscription_plan = COALESCE($3, subscription_plan),
+           subscription_expires_at = CASE WHEN $4::int > 0
+             THEN GREATEST(COALESCE(subscription_expires_at, NOW()), NOW()) + make_interval(days => $4::int)
+             ELSE subscription_expires_at END,
+           paystack_customer_code = COALESCE($5, paystack_customer_code),
+           updated_at = NOW()
+         WHERE user_identifier = $1
+         RETURNING credits, subscription_plan, subscription_expires_at, COALESCE(subscription_expires_at > NOW(), FALSE) AS subscribed`,
+        [
+          String(identifier),
+          plan.type === 'credits' ? plan.credits : 0,
+          plan.type === 'subscription' ? plan.id : null,
+          plan.type === 'subscription' ? plan.days : 0,
+          customerCode
+        ]
+      );
+      const { rows: [entry] } = await client.query(
+        `INSERT INTO credit_ledger (user_identifier, change, balance, reason, reference)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (reason, reference) DO NOTHING
+         RETURNING id`,
+        [
+          String(identifier),
+          plan.type === 'credits' ? plan.credits : 0,
+          account.credits,
+          plan.type === 'credits' ? 'purchase' : 'subscription',
+          reference
+        ]
+      );
+      if (!entry) {
+        await client.query('ROLLBACK');
+        logger.warn('Purchase already applied', { identifier, reference });
+        return null;
+      }
+      await client.query('COMMIT');
+
+      logger.info('Purchase applied', { identifier, plan: plan.id, reference, credits: account.credits });
+      countMetric('billing.purchase', [`plan:${plan.id}`]);
+      return account;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Runs inside the caller's transaction so the application is only created if
+  // the credit is spent. Subscribers aren't charged.
+  async chargeApplication(client, identifier, applicationId) {
+    const { rows: [account] } = await client.query(
+      `SELECT credits, COALESCE(subscription_expires_at > NOW(), FALSE) AS subscribed
+       FROM billing_accounts WHERE user_identifier = $1
+       FOR UPDATE`,
+      [String(identifier)]
+    );
+    if (account?.subscribed) {
+      return { charged: false, credits: account.credits };
+    }
+    if (!account || account.credits < 1) {
+      const error = new Error('Insufficient credits');
+      error.code = 'INSUFFICIENT_CREDITS';
+      throw error;
+    }
+    const { rows: [updated] } = await client.query(
+      'UPDATE billing_accounts SET credits = credits - 1, updated_at = NOW() WHERE user_identifier = $1 RETURNING credits',
+      [String(identifier)]
+    );
+    await client.query(
+      `INSERT INTO credit_ledger (user_identifier, change, balance, reason, reference)
+       VALUES ($1, -1, $2, 'application', $3)`,
+      [String(identifier), updated.credits, applicationId]
+    );
+    return { charged: true, credits: updated.credits };
+  }
+
+  // Gives back the credit spent on an application the recruiter never received.
+  // Returns false when nothing was charged (subscribers) or it was already refunded.
+  async refundApplication(identifier, applicationId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [charge] } = await client.query(
+        "SELECT 1 FROM credit_ledger WHERE reason = 'application' AND reference = $1",
+        [String(applicationId)]
+      );
+      if (!charge) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      const { rows: [account] } = await client.query(
+        'UPDATE billing_accounts SET credits = credits + 1, updated_at = NOW() WHERE user_identifier = $1 RETURNING credits',
+        [String(identifier)]
+      );
+      const { rows: [entry] } = await client.query(
+        `INSERT INTO credit_ledger (user_identifier, change, balance, reason, reference)
+         VALUES ($1, 1, $2, 'refund', $3)
+         ON CONFLICT (reason, reference) DO NOTHING
+         RETURNING id`,
+        [String(identifier), account.credits, String(applicationId)]
+      );
+      if (!entry) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      await client.query('COMMIT');
+
+      logger.info('Application credit refunded', { identifier, applicationId, credits: account.credits });
+      countMetric('billing.refund');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new BillingService();
\ No newline at end of file
@@ -1,352 +1,1073 @@
-const { Pool } = require('pg');
-const Redis = require('ioredis');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
-const config = require('../config');
-const logger = require('../utils/logger');
-const { trackMetric } = require('../utils/metrics');
-const openaiService = require('./openai');
-const paystackService = require('./paystack');
-const { Queue } = require('bullmq');
-const { v4: uuidv4 } = require('uuid');
-const TelegramBot = require('node-telegram-bot-api');
-
-const pool = new Pool({
-  host: config.get('database.host'),
-  port: config.get('database.port'),
-  database: config.get('database.name'),
-  user: config.get('database.user'),
-  password: config.get('database.password'),
-  max: config.get('database.maxConnections')
-});
-
-const redis = new Redis({
-  host: config.get('redis.host'),
-  port: config.get('redis.port'),
-  password: config.get('redis.password'),
-  maxRetriesPerRequest: null   // ✅ IMPORTANT for BullMQ!
-});
-
-const cvQueue = new Queue('cv-processing', { connection: redis });
-
-const transporter = nodemailer.createTransport({
-  host: config.get('SMTP_HOST'),
-  port: Number(config.get('SMTP_PORT')),
-  secure: false,
-  auth: {
-    user: config.get('SMTP_USER'),
-    pass: config.get('SMTP_PASS')
-  }
-});
-
-// ✅ Only create Telegram bot if token exists and is valid
-let telegramBot = null;
-const telegramToken = config.get('telegram.token');
-if (telegramToken && telegramToken.trim() !== '' && telegramToken !== 'your-telegram-token') {
-  try {
-    telegramBot = new TelegramBot(telegramToken, { polling: false });
-    logger.info('Telegram bot initialized in services/bot.js');
-  } catch (error) {
-    logger.error('Failed to initialize Telegram bot in services/bot.js', { error: error.message });
-  }
-} else {
-  logger.info('Telegram bot not initialized - no valid token provided');
-}
-
-class CVJobMatchingBot {
-  async handleWhatsAppMessage(phone, message, file = null) {
-    try {
-      if (file) {
-        const paymentStatus = await this.checkPaymentStatus(phone);
-        if (paymentStatus !== 'completed') {
-          const paymentUrl = await this.initiatePayment(phone);
-          return this.sendWhatsAppMessage(phone, `Please complete the payment of ₦${(config.get('paystack.amount') / 100).toFixed(2)} before uploading your CV: ${paymentUrl}`);
-        }
-        if (file.buffer.length > 5 * 1024 * 1024) {
-          return this.sendWhatsAppMessage(phone, 'File is too large. Please upload a CV smaller than 5MB.');
-        }
-        const job = await cvQueue.add('process-cv', { file, identifier: phone });
-        const cvText = await job.waitUntilFinished(cvQueue);
-        await redis.set(`cv:${phone}`, cvText, 'EX', 86400);
-        await redis.set(`email:${phone}`, file.email || `${phone}@example.com`, 'EX', 86400);
-        await redis.set(`state:${phone}`, 'awaiting_cover_letter', 'EX', 86400);
-        return this.sendWhatsAppMessage(phone, 'CV uploaded successfully! Please provide a cover letter for your application or reply "generate" to create one.');
-      }
-
-      const state = await redis.get(`state:${phone}`);
-      if (state === 'awaiting_cover_letter' && message) {
-        let coverLetter = message;
-        if (message.toLowerCase() === 'generate') {
-          const cvText = await redis.get(`cv:${phone}`);
-          coverLetter = await openaiService.generateCoverLetter(cvText);
-        }
-        await redis.set(`cover_letter:${phone}`, coverLetter, 'EX', 86400);
-        await redis.del(`state:${phone}`);
-        const pendingJobs = await redis.get(`pending_jobs:${phone}`);
-        if (pendingJobs) {
-          let jobs = [];
-          try {
-            jobs = JSON.parse(pendingJobs);
-          } catch (e) {
-            logger.error('Failed to parse pending jobs', { pendingJobs, error: e.message });
-          }
-          await redis.del(`pending_jobs:${phone}`);
-          return this.applyToJobs(phone, jobs);
-        }
-        return this.sendWhatsAppMessage(phone, 'Cover letter saved! You can now search for jobs or apply.');
-      }
-
-      const intent = await openaiService.parseJobQuery(message);
-      return await this.processIntent(phone, intent);
-    } catch (error) {
-      logger.error('WhatsApp message processing error', { phone, error });
-      return this.sendWhatsAppMessage(phone, 'Sorry, an error occurred. Please try again.');
-    }
-  }
-
-  async handleTelegramMessage(chatId, message, file = null) {
-    try {
-      if (file) {
-        const paymentStatus = await this.checkPaymentStatus(chatId);
-        if (paymentStatus !== 'completed') {
-          const paymentUrl = await this.initiatePayment(chatId);
-          return this.sendTelegramMessage(chatId, `Please complete the payment of ₦${(config.get('paystack.amount') / 100).toFixed(2)} before uploading your CV: ${paymentUrl}`);
-        }
-        if (file.buffer.length > 5 * 1024 * 1024) {
-          return this.sendTelegramMessage(chatId, 'File is too large. Please upload a CV smaller than 5MB.');
-        }
-        const job = await cvQueue.add('process-cv', { file, identifier: chatId });
-        const cvText = await job.waitUntilFinished(cvQueue);
-        await redis.set(`cv:${chatId}`, cvText, 'EX', 86400);
-        await redis.set(`email:${chatId}`, file.email || `${chatId}@example.com`, 'EX', 86400);
-        await redis.set(`state:${chatId}`, 'awaiting_cover_letter', 'EX', 86400);
-        return this.sendTelegramMessage(chatId, 'CV uploaded successfully! Please provide a cover letter for your application or reply "generate" to create one.');
-      }
-
-      const state = await redis.get(`state:${chatId}`);
-      if (state === 'awaiting_cover_letter' && message) {
-        let coverLetter = message;
-        if (message.toLowerCase() === 'generate') {
-          const cvText = await redis.get(`cv:${chatId}`);
-          coverLetter = await openaiService.generateCoverLetter(cvText);
-        }
-        await redis.set(`cover_letter:${chatId}`, coverLetter, 'EX', 86400);
-        await redis.del(`state:${chatId}`);
-        const pendingJobs = await redis.get(`pending_jobs:${chatId}`);
-        if (pendingJobs) {
-          let jobs = [];
-          try {
-            jobs = JSON.parse(pendingJobs);
-          } catch (e) {
-            logger.error('Failed to parse pending jobs', { pendingJobs, error: e.message });
-          }
-          await redis.del(`pending_jobs:${chatId}`);
-          return this.applyToJobs(chatId, jobs);
-        }
-        return this.sendTelegramMessage(chatId, 'Cover letter saved! You can now search for jobs or apply.');
-      }
-
-      const intent = await openaiService.parseJobQuery(message);
-      return await this.processIntent(chatId, intent);
-    } catch (error) {
-      logger.error('Telegram message processing error', { chatId, error });
-      return this.sendTelegramMessage(chatId, 'Sorry, an error occurred. Please try again.');
-    }
-  }
-
-  async checkPaymentStatus(identifier) {
-    const { rows: [payment] } = await pool.query('SELECT payment_status FROM payments WHERE user_identifier = $1', [identifier]);
-    return payment ? payment.payment_status : 'pending';
-  }
-
-  async initiatePayment(identifier) {
-    const email = await redis.get(`email:${identifier}`) || `${identifier}@example.com`;
-    const reference = `${uuidv4()}_${identifier}`;
-    await pool.query(
-      'INSERT INTO payments (user_identifier, payment_status, payment_reference) VALUES ($1, $2, $3) ON CONFLICT (user_identifier) DO UPDATE SET payment_reference = $3',
-      [identifier, 'pending', reference]
-    );
-    return paystackService.initializePayment(identifier, reference, email);
-  }
-
-  async processIntent(identifier, intent) {
-    switch (intent.action) {
-      case 'search_jobs': {
-        const cacheKey = `jobs:${JSON.stringify(intent.filters)}`;
-        const cached = await redis.get(cacheKey);
-        if (cached) {
-          let parsed;
-          try {
-            parsed = JSON.parse(cached);
-          } catch (e) {
-            logger.error('Failed to parse cached jobs', { cached, error: e.message });
-          }
-          if (parsed) {
-            await redis.set(`last_jobs:${identifier}`, JSON.stringify(parsed.rows), 'EX', 3600);
-            return this.sendMessage(identifier, parsed.response);
-          }
-        }
-        const { title, location, company, remote } = intent.filters;
-        const query = `
-          SELECT * FROM jobs 
-          WHERE ($1::text IS NULL OR title ILIKE $1)
-          AND ($2::text IS NULL OR location ILIKE $2)
-          AND ($3::text IS NULL OR company ILIKE $3)
-          AND ($4::boolean IS NULL OR is_remote = $4)
-          LIMIT 5`;
-        const { rows } = await pool.query(query, [
-          title ? `%${title}%` : null,
-          location ? `%${location}%` : null,
-          company ? `%${company}%` : null,
-          typeof remote === 'boolean' ? remote : null
-        ]);
-        if (rows.length === 0) {
-          return this.sendMessage(identifier, 'No jobs found. Try different filters.');
-        }
-        const response = `Found ${rows.length} jobs:\n${rows.map((job, i) => `${i + 1}. ${job.title} at ${job.company} (${job.location})`).join('\n')}\nReply with 'apply all' or 'apply <number>' (e.g., 'apply 1').`;
-        await redis.set(`last_jobs:${identifier}`, JSON.stringify(rows), 'EX', 3600);
-        await redis.set(cacheKey, JSON.stringify({ response, rows }), 'EX', 3600);
-        return this.sendMessage(identifier, response);
-      }
-      case 'apply_job': {
-        const paymentStatus = await this.checkPaymentStatus(identifier);
-        if (paymentStatus !== 'completed') {
-          const paymentUrl = await this.initiatePayment(identifier);
-          let jobIds = [];
-          if (intent.applyAll) {
-            const lastJobsRaw = await redis.get(`last_jobs:${identifier}`);
-            if (lastJobsRaw) {
-              try {
-                jobIds = JSON.parse(lastJobsRaw).map(job => job.id);
-              } catch (e) {
-                logger.error('Failed to parse last_jobs', { lastJobsRaw, error: e.message });
-              }
-            }
-          } else if (intent.jobId) {
-            jobIds = [intent.jobId];
-          }
-          await redis.set(`pending_jobs:${identifier}`, JSON.stringify(jobIds), 'EX', 86400);
-          return this.sendMessage(identifier, `Please pay ₦${(config.get('paystack.amount') / 100).toFixed(2)} to proceed with CV upload and application: ${paymentUrl}`);
-        }
-        const cvText = await redis.get(`cv:${identifier}`);
-        if (!cvText) {
-          return this.sendMessage(identifier, 'Please upload your CV (PDF or DOCX, max 5MB) in this chat.');
-        }
-        const coverLetter = await redis.get(`cover_letter:${identifier}`);
-        if (!coverLetter) {
-          await redis.set(`state:${identifier}`, 'awaiting_cover_letter', 'EX', 86400);
-          return this.sendMessage(identifier, 'Please provide a cover letter for your application or reply "generate" to create one.');
-        }
-        let jobIds = [];
-        if (intent.applyAll) {
-          const lastJobsRaw = await redis.get(`last_jobs:${identifier}`);
-          if (lastJobsRaw) {
-            try {
-              jobIds = JSON.parse(lastJobsRaw).map(job => job.id);
-            } catch (e) {
-              logger.error('Failed to parse last_jobs', { lastJobsRaw, error: e.message });
-            }
-          }
-        } else if (intent.jobId) {
-          jobIds = [intent.jobId];
-        }
-        return this.applyToJobs(identifier, jobIds);
-      }
-      default:
-        return this.sendMessage(identifier, intent.response || 'I didn\'t understand that. Try "find jobs" or "upload CV".');
-    }
-  }
-
-  async applyToJobs(identifier, jobIds) {
-    const cvText = await redis.get(`cv:${identifier}`);
-    const coverLetter = await redis.get(`cover_letter:${identifier}`);
-    const email = await redis.get(`email:${identifier}`);
-    const applications = [];
-    for (const jobId of jobIds) {
-      const { rows: [job] } = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-      if (!job) continue;
-      const analysis = await openaiService.analyzeCV(cvText);
-      const applicationId = uuidv4();
-      await pool.query(
-        'INSERT INTO applications (id, user_identifier, job_id, cv_text, cv_score) VALUES ($1, $2, $3, $4, $5)',
-        [applicationId, identifier, jobId, cvText, analysis]
-      );
-      await this.sendEmailToRecruiter(job.email, job.title, cvText, coverLetter, email);
-      applications.push({ id: applicationId, title: job.title });
-    }
-    if (applications.length === 0) {
-      return this.sendMessage(identifier, 'No valid jobs to apply to.');
-    }
-    const response = `Applied to ${applications.length} job(s):\n${applications.map(app => `- ${app.title} (ID: ${app.id})`).join('\n')}`;
-    return this.sendMessage(identifier, response);
-  }
-
-  async sendEmailToRecruiter(recruiterEmail, jobTitle, cvText, coverLetter, applicantEmail) {
-    try {
-      await transporter.sendMail({
-        from: config.get('SMTP_USER'),
-        to: recruiterEmail,
-        subject: `New Application for ${jobTitle}`,
-        text: `A new application has been submitted for ${jobTitle}.\n\nApplicant Email: ${applicantEmail}\n\nCover Letter:\n${coverLetter}\n\nCV:\n${cvText}`
-      });
-      logger.info('Email sent to recruiter', { recruiterEmail, jobTitle });
-    } catch (error) {
-      logger.error('Failed to send email to recruiter', { recruiterEmail, error });
-    }
-  }
-
-  async processPayment(reference) {
-    const [, identifier] = reference.split('_');
-    const paymentSuccess = await paystackService.verifyPayment(reference);
-    if (paymentSuccess) {
-      await pool.query(
-        'UPDATE payments SET payment_status = $1 WHERE user_identifier = $2 AND payment_reference = $3',
-        ['completed', identifier, reference]
-      );
-      const pendingJobs = await redis.get(`pending_jobs:${identifier}`);
-      return this.sendMessage(identifier, `Payment successful! Please upload your CV (PDF or DOCX, max 5MB) in this chat${pendingJobs ? ' to proceed with your application(s)' : ' to apply for jobs'}.`);
-    } else {
-      return this.sendMessage(identifier, 'Payment failed. Please try again.');
-    }
-  }
-
-  async sendWhatsAppMessage(phone, message) {
-    try {
-      await axios.post('https://gate.whapi.cloud/messages/text', {
-        to: phone,
-        body: message
-      }, {
-        headers: { Authorization: `Bearer ${config.get('whatsapp.token')}` }
-      });
-      return message;
-    } catch (error) {
-      logger.error('WhatsApp message failed', { phone, error: error.message });
-      throw error;
-    }
-  }
-
-  // ✅ This is the method you were looking for!
-  async sendTelegramMessage(chatId, message) {
-    if (!telegramBot) {
-      logger.warn('Telegram bot not initialized, cannot send message', { chatId });
-      return 'Telegram bot not available.';
-    }
-    try {
-      await telegramBot.sendMessage(chatId, message);
-      return message;
-    } catch (error) {
-      logger.error('Telegram message failed', { chatId, error: error.message });
-      throw error;
-    }
-  }
-
-  async sendMessage(identifier, message) {
-    if (identifier.startsWith('+')) {
-      return this.sendWhatsAppMessage(identifier, message);
-    } else {
-      return this.sendTelegramMessage(identifier, message);
-    }
-  }
-}
-
+const Redis = require('ioredis');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const openaiService = require('./openai');
+const paystackService = require('./paystack');
+const candidateService = require('./candidates');
+const jobService = require('./jobs');
+const applicationService = require('./applications');
+const alertService = require('./alerts');
+const storage = require('./storage');
+const billingService = require('./billing');
+const paymentService = require('./payments');
+const conversation = require('./conversation');
+const { getAdapter, parseIdentifier } = require('../channels');
+const { applicationEmail } = require('../utils/emailTemplates');
+const { renderCoverLetterPdf } = require('../utils/pdf');
+const { currentRole } = require('../utils/cvProfile');
+const { parseCommand } = require('../utils/commands');
+const { t, detectLanguage, resolveLanguage, languageName, LANGUAGES, DEFAULT_LANGUAGE } = require('../locales');
+const { Queue } = require('bullmq');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const crypto = require('crypto');
+const path = require('path');
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null   // ✅ IMPORTANT for BullMQ!
+});
+
+const cvQueue = new Queue('cv-processing', { connection: redis });
+const emailQueue = new Queue('application-emails', { connection: redis });
+
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_MAX_RESULTS = 100;
+const SEARCH_RANKED_LIMIT = 20;
+const MAX_CV_SIZE = 5 * 1024 * 1024;
+const MAX_COVER_LETTER_REVISIONS = 5;
+const COVER_LETTER_EXCERPT_LENGTH = 160;
+const CONFIRM_REPLIES = ['confirm', 'yes', 'ok', 'okay', 'go ahead', 'continue'];
+// Retries span about an hour (1, 2, 4, 8, 16 and 32 minutes) before the
+// application is marked unsent and its credit refunded
+const EMAIL_ATTEMPTS = 7;
+const EMAIL_RETRY_DELAY_MS = 60 * 1000;
+
+const transporter = nodemailer.createTransport({
+  host: config.get('SMTP_HOST'),
+  port: Number(config.get('SMTP_PORT')),
+  secure: false,
+  auth: {
+    user: config.get('SMTP_USER'),
+    pass: config.get('SMTP_PASS')
+  }
+});
+
+// Cuts on a word boundary so the preview doesn't end mid-word
+const excerpt = (text, length) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  return `${clean.slice(0, length).replace(/\s+\S*$/, '')}...`;
+};
+
+class CVJobMatchingBot {
+  async handleInbound(inbound) {
+    const { identifier } = inbound;
+    switch (inbound.type) {
+      case 'text':
+        return this.handleMessage(identifier, inbound.text);
+      case 'document':
+        return this.handleMessage(identifier, null, inbound.file);
+      case 'invalid_document':
+        return this.reply(identifier, 'invalidDocument');
+      default:
+        return this.reply(identifier, 'unsupportedMessage');
+    }
+  }
+
+  async handleMessage(identifier, message, file = null) {
+    try {
+      if (file) {
+        if (file.size && file.size > MAX_CV_SIZE) {
+          return this.reply(identifier, 'cvTooLarge');
+        }
+        const { channel } = parseIdentifier(identifier);
+        const buffer = await getAdapter(channel).downloadFile(file.ref);
+        if (buffer.length > MAX_CV_SIZE) {
+          return this.reply(identifier, 'cvTooLarge');
+        }
+        const fileKey = await storage.save(`cvs/${uuidv4()}${this.safeExtension(file.originalname)}`, buffer);
+        // workers/cv.js calls completeCvUpload or failCvUpload when the job settles
+        try {
+          await cvQueue.add('process-cv', {
+            fileKey,
+            identifier,
+            file: { originalname: file.originalname, email: file.email || null, name: file.name || null }
+          }, { removeOnComplete: true, removeOnFail: 1000 });
+        } catch (error) {
+          await storage.remove(fileKey).catch(() => {});
+          throw error;
+        }
+        countMetric('cv.queued', [`channel:${channel}`]);
+        return this.reply(identifier, 'cvProcessing');
+      }
+
+      // A message written in Pidgin, Yoruba, Hausa or Igbo sets the reply
+      // language unless the user has already picked one
+      await this.rememberLanguage(identifier, detectLanguage(message));
+
+      // cancel and back work in every state, before free text is captured
+      const command = parseCommand(message);
+      if (command?.action === 'cancel' || command?.action === 'back') {
+        return await this.processIntent(identifier, command);
+      }
+
+      const current = await conversation.get(identifier);
+      if (current.state === 'awaiting_cover_letter' && message) {
+        let coverLetter = message;
+        if (message.toLowerCase() === 'generate') {
+          const candidate = await candidateService.getCandidate(identifier);
+          coverLetter = await openaiService.generateCoverLetter(candidate?.cv_text);
+        }
+        await candidateService.saveCoverLetter(identifier, coverLetter);
+        const jobIds = this.pendingJobIds(current);
+        if (jobIds.length > 0) {
+          return this.applyToJobs(identifier, jobIds);
+        }
+        await conversation.reset(identifier);
+        return this.reply(identifier, 'coverLetterSaved');
+      }
+
+      if (current.state === 'confirming_application' && message) {
+        const handled = await this.handleApplicationConfirmation(identifier, message, current.data.jobIds);
+        if (handled !== null) return handled;
+      }
+
+      if (current.state === 'reviewing_cover_letter' && message) {
+        const handled = await this.handleCoverLetterReview(identifier, message, current.data.review, command);
+        if (handled !== null) return handled;
+      }
+
+      // Common commands skip the LLM round trip entirely
+      const intent = command || await openaiService.parseJobQuery(message);
+      await this.rememberLanguage(identifier, intent.messageLanguage);
+      countMetric('intent.parsed', [`source:${command ? 'rules' : 'llm'}`, `action:${intent.action}`]);
+      return await this.processIntent(identifier, intent);
+    } catch (error) {
+      logger.error('Message processing error', { identifier, error: error.message });
+      return this.reply(identifier, 'error');
+    }
+  }
+
+  // Paystack requires an email; users who never shared one get a stable placeholder
+  placeholderEmail(identifier) {
+    return `${String(identifier).replace(/[^a-zA-Z0-9]/g, '')}@example.com`;
+  }
+
+  async initiatePayment(identifier, plan = billingService.getPlan('starter')) {
+    const candidate = await candidateService.getCandidate(identifier);
+    const email = candidate?.email || this.placeholderEmail(identifier);
+    const reference = uuidv4();
+    await paymentService.createPayment(identifier, reference, plan);
+    return paystackService.initializePayment(identifier, reference, email, { amount: plan.amount, plan: plan.planCode });
+  }
+
+  async processIntent(identifier, intent) {
+    switch (intent.action) {
+      case 'search_jobs': {
+        const { rows, total } = await this.findJobs(intent.filters || {});
+        if (rows.length === 0) {
+          return this.reply(identifier, 'noJobsFound');
+        }
+        const candidate = await candidateService.getCandidate(identifier);
+        const cvText = candidate?.cv_text;
+        // Only the top results by search relevance are ranked against the CV to bound LLM calls
+        const jobs = cvText
+          ? [...await this.rankJobsForCV(candidate, rows.slice(0, SEARCH_RANKED_LIMIT)), ...rows.slice(SEARCH_RANKED_LIMIT)]
+          : rows;
+        const listed = jobs.map(({ id, title, company, location, match }) => ({ id, title, company, location, match }));
+        await redis.set(`last_jobs:${identifier}`, JSON.stringify(listed), 'EX', 3600);
+        await redis.set(`last_search:${identifier}`, JSON.stringify({ total, ranked: !!cvText, page: 0 }), 'EX', 3600);
+        return this.showJobsPage(identifier, 1);
+      }
+      case 'more_jobs': {
+        const page = Number(intent.page);
+        return this.showJobsPage(identifier, Number.isInteger(page) && page > 0 ? page : null);
+      }
+      case 'apply_job': {
+        const jobIds = await this.resolveJobIds(identifier, intent);
+        return this.startApplication(identifier, jobIds);
+      }
+      case 'my_applications': {
+        const applications = await applicationService.listForCandidate(identifier);
+        if (applications.length === 0) {
+          return this.reply(identifier, 'noApplications');
+        }
+        const language = await this.getLanguage(identifier);
+        const lines = applications.map((app, i) => t(language, 'applicationLine', {
+          number: i + 1,
+          title: app.title,
+          company: app.company,
+          status: t(language, `status.${app.status}`),
+          updated: new Date(app.status_updated_at).toISOString().slice(0, 10)
+        }));
+        return this.reply(identifier, 'applicationsList', { lines });
+      }
+      case 'create_alert': {
+        const filters = intent.filters || {};
+        if (!filters.title && !filters.location && !filters.company && typeof filters.remote !== 'boolean') {
+          return this.reply(identifier, 'alertNeedsFilters');
+        }
+        const alert = await alertService.createAlert(identifier, filters, intent.frequency);
+        if (!alert) {
+          return this.reply(identifier, 'alertLimitReached');
+        }
+        const language = await this.getLanguage(identifier);
+        return this.reply(identifier, 'alertSaved', { filters: this.describeFilters(filters, language), frequency: alert.frequency });
+      }
+      case 'list_alerts': {
+        const alerts = await alertService.listAlerts(identifier);
+        if (alerts.length === 0) {
+          return this.reply(identifier, 'noAlerts');
+        }
+        const language = await this.getLanguage(identifier);
+        const lines = alerts.map((alert, i) => `${i + 1}. ${this.describeFilters(alert.filters, language)} (${t(language, `frequency.${alert.frequency}`)})`);
+        return this.reply(identifier, 'alertsList', { lines });
+      }
+      case 'unsubscribe': {
+        const position = Number(intent.alertNumber);
+        const removed = await alertService.unsubscribe(identifier, Number.isInteger(position) && position > 0 ? position : null);
+        if (removed === 0) {
+          return this.reply(identifier, 'noMatchingAlerts');
+        }
+        return this.reply(identifier, 'alertsRemoved', { count: removed });
+      }
+      case 'view_cv': {
+        const candidate = await candidateService.getCandidate(identifier);
+        if (!candidate?.cv_text) {
+          return this.reply(identifier, 'noCvOnFile');
+        }
+        return this.reply(identifier, 'profile', this.profileDetails(candidate));
+      }
+      case 'replace_cv':
+        return this.reply(identifier, 'replaceCv');
+      case 'delete_cv': {
+        const existing = await candidateService.getCandidate(identifier);
+        const deleted = await candidateService.deleteCV(identifier);
+        if (deleted && existing?.cv_file_key) {
+          await storage.remove(existing.cv_file_key).catch((error) => {
+            logger.warn('Failed to remove deleted CV file', { identifier, error: error.message });
+          });
+        }
+        await conversation.reset(identifier);
+        return this.reply(identifier, deleted ? 'cvDeleted' : 'noCv');
+      }
+      case 'balance': {
+        const account = await billingService.getAccount(identifier);
+        return this.reply(identifier, 'balance', this.balanceParams(account), { buttons: [{ id: 'plans', label: 'plans' }] });
+      }
+      case 'buy_plan': {
+        const language = await this.getLanguage(identifier);
+        const describe = option => t(language, `plans.${option.id}`, { credits: option.credits, amount: this.formatAmount(option.amount) });
+        const plan = billingService.getPlan(intent.plan);
+        if (!plan) {
+          const plans = billingService.plans;
+          return this.reply(identifier, 'plansList', { lines: plans.map(describe) }, {
+            buttons: plans.map(option => ({ id: `buy ${option.id}`, label: option.id }))
+          });
+        }
+        const paymentUrl = await this.initiatePayment(identifier, plan);
+        return this.reply(identifier, 'planPayment', { description: describe(plan), url: paymentUrl });
+      }
+      case 'help':
+        return this.reply(identifier, 'help');
+      case 'set_language': {
+        const language = resolveLanguage(intent.language);
+        if (!language) {
+          const options = Object.values(LANGUAGES).map(({ name }) => name).join(', ');
+          return this.reply(identifier, 'languageUnknown', { options });
+        }
+        await this.setLanguage(identifier, language);
+        return this.reply(identifier, 'languageSet', { name: languageName(language) });
+      }
+      case 'cancel': {
+        const current = await conversation.get(identifier);
+        if (current.state === 'idle') {
+          return this.reply(identifier, 'nothingToCancel');
+        }
+        await conversation.reset(identifier);
+        const review = current.data.review;
+        if (current.state === 'reviewing_cover_letter' && review) {
+          review.skipped.push(review.current.title, ...await this.jobTitles(review.queue));
+          return this.sendMessage(identifier, this.formatReviewSummary(review, await this.getLanguage(identifier)));
+        }
+        return this.reply(identifier, 'cancelled');
+      }
+      case 'back': {
+        const previous = await conversation.back(identifier);
+        if (!previous) {
+          return this.reply(identifier, 'nothingToGoBack');
+        }
+        return this.promptForState(identifier, previous);
+      }
+      default:
+        return intent.response
+          ? this.sendMessage(identifier, intent.response)
+          : this.reply(identifier, 'notUnderstood');
+    }
+  }
+
+  // Search results are cached per filter set and shared across users; ranking
+  // against a CV happens afterwards so the cache stays user-independent.
+  async findJobs(filters) {
+    const cacheKey = `jobs:${JSON.stringify(filters)}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      let parsed;
+      try {
+        parsed = JSON.parse(cached);
+      } catch (e) {
+        logger.error('Failed to parse cached jobs', { cached, error: e.message });
+      }
+      if (parsed && Array.isArray(parsed.rows)) {
+        return parsed;
+      }
+    }
+    const result = await jobService.searchJobs(filters, { limit: SEARCH_MAX_RESULTS });
+    if (result.rows.length > 0) {
+      await redis.set(cacheKey, JSON.stringify(result), 'EX', 3600);
+    }
+    return result;
+  }
+
+  async getLastSearch(identifier) {
+    const [jobsRaw, searchRaw] = await Promise.all([
+      redis.get(`last_jobs:${identifier}`),
+      redis.get(`last_search:${identifier}`)
+    ]);
+    if (!jobsRaw || !searchRaw) return null;
+    try {
+      return { jobs: JSON.parse(jobsRaw), search: JSON.parse(searchRaw) };
+    } catch (e) {
+      logger.error('Failed to parse last search', { identifier, error: e.message });
+      return null;
+    }
+  }
+
+  // Numbering runs across pages (page 2 starts at 6) so "apply 7" always
+  // refers to the same job. page = null means the page after the last one shown.
+  async showJobsPage(identifier, page) {
+    const last = await this.getLastSearch(identifier);
+    if (!last || last.jobs.length === 0) {
+      return this.reply(identifier, 'noRecentSearch');
+    }
+    const { jobs, search } = last;
+    const pageCount = Math.ceil(jobs.length / SEARCH_PAGE_SIZE);
+    const target = page || search.page + 1;
+    if (target > pageCount) {
+      return this.reply(identifier, 'noMoreResults', { count: jobs.length, total: search.total });
+    }
+
+    const start = (target - 1) * SEARCH_PAGE_SIZE;
+    const pageJobs = jobs.slice(start, start + SEARCH_PAGE_SIZE);
+    await redis.set(`last_search:${identifier}`, JSON.stringify({ ...search, page: target }), 'EX', 3600);
+
+    const language = await this.getLanguage(identifier);
+    const hasMore = target < pageCount;
+    const header = target === 1
+      ? t(language, 'jobsFirstPage', { total: search.total, ranked: search.ranked })
+      : t(language, 'jobsPage', { from: start + 1, to: start + pageJobs.length, total: search.total });
+    const lines = pageJobs.map((job, i) => this.formatJobLine(language, job, start + i + 1));
+    const footer = t(language, 'jobsFooter', { first: start + 1, more: hasMore ? SEARCH_PAGE_SIZE : 0 });
+
+    const buttons = [{ id: 'apply all', title: t(language, 'button.applyAll') }];
+    if (hasMore) buttons.push({ id: 'more', title: t(language, 'button.more') });
+    return this.sendMessage(identifier, `${header}\n${lines.join('\n')}\n${footer}`, { buttons });
+  }
+
+  // Maps "apply all" to the jobs on the current page and "apply <n>" to the
+  // n-th job of the last search; raw job UUIDs are passed through.
+  async resolveJobIds(identifier, intent) {
+    const last = await this.getLastSearch(identifier);
+    if (intent.applyAll) {
+      if (!last) return [];
+      const page = Math.max(last.search.page, 1);
+      return last.jobs.slice((page - 1) * SEARCH_PAGE_SIZE, page * SEARCH_PAGE_SIZE).map(job => job.id);
+    }
+    if (intent.jobId === undefined || intent.jobId === null) {
+      return [];
+    }
+    const position = Number(intent.jobId);
+    if (Number.isInteger(position) && position > 0) {
+      const job = last?.jobs[position - 1];
+      return job ? [job.id] : [];
+    }
+    return uuidValidate(String(intent.jobId)) ? [String(intent.jobId)] : [];
+  }
+
+  // Matches are queued no faster than the worker runs them, so none of them
+  // waits in the queue past the task timeout. Unscored jobs go last.
+  async rankJobsForCV(candidate, jobs) {
+    const batchSize = config.get('llm.concurrency');
+    const scored = [];
+    for (let i = 0; i < jobs.length; i += batchSize) {
+      scored.push(...await Promise.all(jobs.slice(i, i + batchSize).map(async (job) => ({
+        ...job,
+        match: await this.getJobMatch(candidate, job)
+      }))));
+    }
+    return scored.sort((a, b) => (b.match.score ?? -1) - (a.match.score ?? -1));
+  }
+
+  // Match scores are cached per CV content and job so re-running a search or
+  // applying to a ranked job doesn't call the LLM again. The parsed profile is
+  // derived from the same text, so it doesn't need to be part of the key.
+  async getJobMatch(candidate, job) {
+    const cvText = candidate.cv_text;
+    const cvHash = crypto.createHash('sha256').update(cvText).digest('hex').slice(0, 16);
+    const cacheKey = `match:${cvHash}:${job.id}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      try {
+        return JSON.parse(cached);
+      } catch (e) {
+        logger.error('Failed to parse cached match', { cacheKey, error: e.message });
+      }
+    }
+    const match = await openaiService.matchCVToJob(cvText, job, candidate.cv_profile);
+    // A failed match is retried on the next search instead of being remembered
+    if (!match.fallback) {
+      await redis.set(cacheKey, JSON.stringify(match), 'EX', 86400);
+    }
+    return match;
+  }
+
+  safeExtension(filename) {
+    const match = path.extname(filename || '').toLowerCase().match(/^\.[a-z0-9]{1,5}$/);
+    return match ? match[0] : '';
+  }
+
+  // Follow-up for a processed CV upload. Jobs the user was applying to when
+  // asked for a CV are carried over from the conversation at this point.
+  async completeCvUpload({ identifier, fileKey, file = {} }, result) {
+    try {
+      const candidate = await this.storeCV(identifier, { ...file, fileKey, mime: result.mime }, result.text);
+      const current = await conversation.get(identifier);
+      const jobIds = this.pendingJobIds(current);
+      // Only ask for a cover letter when an application is waiting on it; the
+      // next message would otherwise be taken as the letter. Applying later
+      // asks for one if none is saved.
+      if (jobIds.length === 0) {
+        await conversation.reset(identifier);
+        return await this.reply(identifier, 'cvSaved', { hasCoverLetter: !!candidate?.cover_letter });
+      }
+      await conversation.transition(identifier, 'awaiting_cover_letter', { jobIds });
+      return await this.reply(identifier, 'cvUploaded', {}, { buttons: [{ id: 'generate', label: 'generate' }] });
+    } catch (error) {
+      logger.error('Failed to store processed CV', { identifier, error: error.message });
+      return this.failCvUpload({ identifier, fileKey }, error);
+    }
+  }
+
+  async failCvUpload({ identifier, fileKey }, error) {
+    await storage.remove(fileKey).catch(() => {});
+    countMetric('cv.failed');
+    // Thrown by workers/cv.js when the content isn't a supported document or image
+    if (error?.message === 'Unsupported file type') {
+      return this.reply(identifier, 'invalidDocument');
+    }
+    return this.reply(identifier, 'cvProcessingFailed');
+  }
+
+  // Replacing a CV also removes the previous original file from storage. The
+  // name on the CV is preferred to the chat display name; its email is only
+  // used if the user hasn't given one another way.
+  async storeCV(identifier, file, cvText) {
+    const previous = await candidateService.getCandidate(identifier);
+    const [analysis, profile] = await Promise.all([
+      openaiService.analyzeCV(cvText),
+      openaiService.parseCV(cvText)
+    ]);
+    const candidate = await candidateService.saveCV(identifier, {
+      channel: parseIdentifier(identifier).channel,
+      cvText,
+      analysis,
+      profile,
+      filename: file.originalname,
+      fileKey: file.fileKey,
+      mime: file.mime,
+      email: file.email || (previous?.email ? null : profile.email),
+      name: profile.name || file.name || null
+    });
+    if (previous?.cv_file_key && previous.cv_file_key !== file.fileKey) {
+      await storage.remove(previous.cv_file_key).catch((error) => {
+        logger.warn('Failed to remove replaced CV file', { identifier, error: error.message });
+      });
+    }
+    return candidate;
+  }
+
+  profileDetails(candidate) {
+    const analysis = candidate.cv_analysis || {};
+    // CVs uploaded before profiles were parsed only have the analysis
+    const profile = candidate.cv_profile || {};
+    return {
+      name: candidate.name,
+      email: candidate.email,
+      phone: profile.phone || null,
+      location: profile.location || null,
+      role: currentRole(profile),
+      nysc: profile.nysc || null,
+      keySkills: (profile.skills || []).slice(0, 10).join(', ') || null,
+      filename: candidate.cv_filename || 'CV',
+      uploaded: candidate.cv_uploaded_at ? new Date(candidate.cv_uploaded_at).toISOString().slice(0, 10) : null,
+      skills: analysis.skills ?? '-',
+      experience: analysis.experience ?? '-',
+      education: analysis.education ?? '-',
+      summary: analysis.summary
+    };
+  }
+
+  formatJobLine(language, job, number) {
+    return t(language, 'jobLine', {
+      number,
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      score: job.match?.score ?? undefined
+    });
+  }
+
+  async getRemainingApplications(identifier, candidate = null) {
+    const limit = candidate?.daily_application_limit ?? config.get('applications.dailyLimit');
+    const used = await applicationService.countToday(identifier);
+    return { limit, remaining: Math.max(limit - used, 0) };
+  }
+
+  // Asks for whatever is still missing (payment, CV, cover letter) before applying
+  async startApplication(identifier, jobIds) {
+    if (!await billingService.canApply(identifier)) {
+      const plan = billingService.getPlan('starter');
+      const paymentUrl = await this.initiatePayment(identifier, plan);
+      await conversation.transition(identifier, 'awaiting_payment', { jobIds, paymentUrl });
+      return this.reply(identifier, 'paymentRequiredForApply', { amount: this.formatAmount(plan.amount), credits: plan.credits, url: paymentUrl });
+    }
+    const candidate = await candidateService.getCandidate(identifier);
+    const { limit, remaining } = await this.getRemainingApplications(identifier, candidate);
+    if (remaining === 0) {
+      return this.reply(identifier, 'dailyLimitReached', { limit });
+    }
+    if (!candidate?.cv_text) {
+      await conversation.transition(identifier, 'awaiting_cv', { jobIds });
+      return this.reply(identifier, 'uploadCv');
+    }
+    if (!candidate.cover_letter) {
+      await conversation.transition(identifier, 'awaiting_cover_letter', { jobIds });
+      return this.reply(identifier, 'coverLetterPrompt');
+    }
+    return this.applyToJobs(identifier, jobIds);
+  }
+
+  // Filters out closed, already-applied and over-limit jobs, then asks the
+  // user to confirm what will be shared before any cover letter is drafted
+  async applyToJobs(identifier, jobIds) {
+    const candidate = await candidateService.getCandidate(identifier);
+    if (!candidate?.cv_text) {
+      await conversation.transition(identifier, 'awaiting_cv', { jobIds });
+      return this.reply(identifier, 'uploadCv');
+    }
+    const uniqueJobIds = [...new Set(jobIds)];
+    const alreadyApplied = await applicationService.findAppliedJobIds(identifier, uniqueJobIds);
+    const { limit, remaining } = await this.getRemainingApplications(identifier, candidate);
+    const available = await billingService.availableApplications(identifier);
+    const eligible = [];
+    const duplicates = [];
+    const overLimit = [];
+    const noCredits = [];
+    for (const jobId of uniqueJobIds) {
+      const job = await jobService.getOpenJob(jobId);
+      if (!job) continue;
+      if (alreadyApplied.includes(job.id)) {
+        duplicates.push(job.title);
+      } else if (eligible.length >= remaining) {
+        overLimit.push(job.title);
+      } else if (eligible.length >= available) {
+        noCredits.push(job.title);
+      } else {
+        eligible.push(job.id);
+      }
+    }
+    if (eligible.length === 0) {
+      await conversation.reset(identifier);
+    }
+    if (eligible.length === 0 && duplicates.length === 0 && overLimit.length === 0 && noCredits.length === 0) {
+      return this.reply(identifier, 'noValidJobs');
+    }
+
+    const language = await this.getLanguage(identifier);
+    const notes = [];
+    if (duplicates.length > 0) {
+      notes.push(t(language, 'alreadyApplied', { titles: duplicates }));
+    }
+    if (overLimit.length > 0) {
+      notes.push(t(language, 'overLimit', { limit, titles: overLimit }));
+    }
+    if (noCredits.length > 0) {
+      notes.push(t(language, 'notEnoughCredits', { titles: noCredits }));
+    }
+    if (eligible.length === 0) {
+      return this.sendMessage(identifier, notes.join('\n\n'));
+    }
+    if (notes.length > 0) {
+      await this.sendMessage(identifier, notes.join('\n\n'));
+    }
+    await conversation.transition(identifier, 'confirming_application', { jobIds: eligible });
+    return this.sendApplicationConfirmation(identifier, eligible);
+  }
+
+  // Nothing is emailed until the user has seen the jobs, the letter and the
+  // contact details recruiters will get
+  async sendApplicationConfirmation(identifier, jobIds) {
+    const candidate = await candidateService.getCandidate(identifier);
+    const jobs = (await Promise.all(jobIds.map(jobId => jobService.getOpenJob(jobId)))).filter(Boolean);
+    const language = await this.getLanguage(identifier);
+    return this.reply(identifier, 'confirmApplication', {
+      lines: jobs.map(job => t(language, 'confirmJobLine', job)),
+      excerpt: excerpt(candidate?.cover_letter, COVER_LETTER_EXCERPT_LENGTH),
+      email: candidate?.email
+    }, {
+      buttons: [
+        { id: 'confirm', label: 'confirm' },
+        { id: 'cancel', label: 'cancel' }
+      ]
+    });
+  }
+
+  // Returns null for anything other than a confirmation so the message is handled normally
+  async handleApplicationConfirmation(identifier, message, jobIds = []) {
+    if (!CONFIRM_REPLIES.includes(message.trim().toLowerCase())) {
+      return null;
+    }
+    countMetric('applications.confirmed', [`jobs:${jobIds.length}`]);
+    return this.draftNextCoverLetter(identifier, { queue: [...jobIds], total: jobIds.length, applied: [], skipped: [] });
+  }
+
+  async draftNextCoverLetter(identifier, review) {
+    while (review.queue.length > 0) {
+      const jobId = review.queue.shift();
+      const job = await jobService.getOpenJob(jobId);
+      if (!job) continue;
+      const candidate = await candidateService.getCandidate(identifier);
+      const letter = await openaiService.generateCoverLetter(candidate.cv_text, job, candidate.cover_letter);
+      const next = {
+        ...review,
+        current: { jobId: job.id, title: job.title, company: job.company },
+        letter,
+        revisions: 0
+      };
+      await conversation.transition(identifier, 'reviewing_cover_letter', { review: next });
+      return this.sendCoverLetterDraft(identifier, next);
+    }
+
+    await conversation.reset(identifier);
+    return this.sendMessage(identifier, this.formatReviewSummary(review, await this.getLanguage(identifier)));
+  }
+
+  sendCoverLetterDraft(identifier, review) {
+    return this.reply(identifier, 'coverLetterDraft', {
+      title: review.current.title,
+      company: review.current.company,
+      position: review.total - review.queue.length,
+      total: review.total,
+      letter: review.letter
+    }, {
+      buttons: [
+        { id: 'send', label: 'send' },
+        { id: 'skip', label: 'skip' },
+        { id: 'make it shorter', label: 'shorter' }
+      ]
+    });
+  }
+
+  formatReviewSummary(review, language = DEFAULT_LANGUAGE) {
+    const sections = [];
+    if (review.applied.length > 0) {
+      sections.push(t(language, 'appliedSummary', { lines: review.applied.map(app => t(language, 'appliedLine', app)) }));
+    }
+    if (review.skipped.length > 0) {
+      sections.push(t(language, 'notAppliedSummary', { titles: review.skipped }));
+    }
+    if (review.applied.length > 0) {
+      sections.push(t(language, 'checkStatusHint'));
+    }
+    return sections.join('\n\n') || t(language, 'noApplicationsSent');
+  }
+
+  // Returns null if there is no review in progress so the message is handled normally
+  // Free text is a change to the letter; a recognised command (apply, balance,
+  // help...) is not, so it gets the review prompt again instead of a revision
+  async handleCoverLetterReview(identifier, message, review, command = null) {
+    if (!review) {
+      await conversation.reset(identifier);
+      return null;
+    }
+
+    const reply = message.trim().toLowerCase();
+    if (['send', 'approve', 'ok', 'yes'].includes(reply)) {
+      let application;
+      try {
+        application = await this.submitApplication(identifier, review.current.jobId, review.letter);
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_CREDITS') throw error;
+        // Credits ran out mid-review (e.g. spent from another chat); nothing else can be sent
+        review.skipped.push(review.current.title, ...await this.jobTitles(review.queue));
+        review.queue = [];
+        await this.reply(identifier, 'creditsExhausted');
+        return this.draftNextCoverLetter(identifier, review);
+      }
+      if (application) {
+        review.applied.push(application);
+      } else {
+        review.skipped.push(review.current.title);
+      }
+      return this.draftNextCoverLetter(identifier, review);
+    }
+    if (reply === 'skip') {
+      review.skipped.push(review.current.title);
+      return this.draftNextCoverLetter(identifier, review);
+    }
+    if (command) {
+      return this.reply(identifier, 'reviewPending', { title: review.current.title });
+    }
+
+    if (review.revisions >= MAX_COVER_LETTER_REVISIONS) {
+      return this.reply(identifier, 'revisionLimit', { count: review.revisions });
+    }
+    const job = await jobService.getOpenJob(review.current.jobId);
+    review.letter = await openaiService.reviseCoverLetter(review.letter, message, job);
+    review.revisions += 1;
+    await conversation.transition(identifier, 'reviewing_cover_letter', { review });
+    return this.sendCoverLetterDraft(identifier, review);
+  }
+
+  async jobTitles(jobIds) {
+    const jobs = await Promise.all(jobIds.map(jobId => jobService.getOpenJob(jobId)));
+    return jobs.filter(Boolean).map(job => job.title);
+  }
+
+  // Returns null if the job closed or the user applied in the meantime
+  async submitApplication(identifier, jobId, coverLetter) {
+    const candidate = await candidateService.getCandidate(identifier);
+    const job = await jobService.getOpenJob(jobId);
+    if (!candidate?.cv_text || !job) return null;
+    const scored = await this.getJobMatch(candidate, job);
+    // Without a real score the application is stored and sent unscored
+    const match = scored.fallback ? null : scored;
+    const application = await applicationService.createApplication(
+      identifier, job.id, candidate.cv_text, match, coverLetter,
+      (client, created) => billingService.chargeApplication(client, identifier, created.id)
+    );
+    if (!application) return null;
+    // workers/emails.js delivers it and retries if SMTP fails
+    try {
+      await emailQueue.add('send', { applicationId: application.id }, {
+        jobId: `application-${application.id}`,
+        attempts: EMAIL_ATTEMPTS,
+        backoff: { type: 'exponential', delay: EMAIL_RETRY_DELAY_MS },
+        removeOnComplete: true,
+        removeOnFail: 1000
+      });
+    } catch (error) {
+      // Nothing would ever send it, so it's refunded and reported as not applied
+      logger.error('Failed to queue application email', { applicationId: application.id, error: error.message });
+      await this.failApplicationEmail(application.id, { notify: false });
+      return null;
+    }
+    return { id: application.id, title: job.title, score: match ? match.score : null };
+  }
+
+  // Called by workers/emails.js; throws so the job is retried
+  async deliverApplicationEmail(applicationId) {
+    const application = await applicationService.getApplication(applicationId);
+    if (!application || application.email_status !== 'pending') return;
+    const job = await jobService.getJob(application.job_id, null);
+    const candidate = await candidateService.getCandidate(application.user_identifier);
+    if (!job || !candidate) {
+      throw new Error('Job or candidate for application no longer exists');
+    }
+    // The CV text as it was when the user applied
+    await this.sendEmailToRecruiter(job, { ...candidate, cv_text: application.cv_text }, application.cover_letter, application.cv_score);
+    await applicationService.setEmailStatus(applicationId, 'sent');
+  }
+
+  // The recruiter never got the application: it is marked unsent, the credit
+  // it cost is refunded and the user is told
+  async failApplicationEmail(applicationId, { notify = true } = {}) {
+    const application = await applicationService.getApplication(applicationId);
+    if (!application || application.email_status !== 'pending') return;
+    await applicationService.setEmailStatus(applicationId, 'failed');
+    const refunded = await billingService.refundApplication(application.user_identifier, applicationId);
+    countMetric('applications.email_failed', [`refunded:${refunded}`]);
+    if (notify) {
+      const job = await jobService.getJob(application.job_id, null);
+      await this.reply(application.user_identifier, 'applicationNotSent', { title: job ? job.title : '', refunded });
+    }
+  }
+
+  describeFilters(filters = {}, language = DEFAULT_LANGUAGE) {
+    return t(language, 'filters', { ...filters, remote: filters.remote === true });
+  }
+
+  // Alert results become the user's "last search" so "apply 1" works on them
+  async sendJobAlert(alert, jobs) {
+    const identifier = alert.user_identifier;
+    const listed = jobs.map(({ id, title, company, location }) => ({ id, title, company, location }));
+    await redis.set(`last_jobs:${identifier}`, JSON.stringify(listed), 'EX', 86400);
+    await redis.set(`last_search:${identifier}`, JSON.stringify({ total: listed.length, ranked: false, page: 1 }), 'EX', 86400);
+    const language = await this.getLanguage(identifier);
+    const lines = listed.map((job, i) => this.formatJobLine(language, job, i + 1));
+    return this.reply(identifier, 'newAlertJobs', { filters: this.describeFilters(alert.filters, language), lines });
+  }
+
+  async notifyApplicationStatus(application) {
+    const { status, title, company } = application;
+    const key = ['viewed', 'shortlisted', 'rejected', 'hired'].includes(status) ? status : 'other';
+    try {
+      await this.reply(application.user_identifier, `statusChanged.${key}`, { status, title, company });
+    } catch (error) {
+      logger.error('Failed to notify candidate of status change', { applicationId: application.id, error: error.message });
+    }
+  }
+
+  // CVs uploaded before files were kept in storage only have extracted text
+  async cvAttachment(candidate) {
+    if (candidate.cv_file_key) {
+      try {
+        return {
+          filename: candidate.cv_filename || `CV${this.safeExtension(candidate.cv_file_key)}`,
+          content: await storage.read(candidate.cv_file_key),
+          contentType: candidate.cv_mime || undefined
+        };
+      } catch (error) {
+        logger.error('Failed to read CV file for attachment', { identifier: candidate.user_identifier, error: error.message });
+      }
+    }
+    return { filename: 'CV.txt', content: candidate.cv_text, contentType: 'text/plain' };
+  }
+
+  async sendEmailToRecruiter(job, candidate, coverLetter, match = null) {
+    try {
+      const applicant = {
+        name: candidate.name,
+        email: candidate.email || this.placeholderEmail(candidate.user_identifier),
+        profile: candidate.cv_profile
+      };
+      const { subject, html, text } = applicationEmail({ job, applicant, match, coverLetter });
+      const attachments = [await this.cvAttachment(candidate)];
+      if (coverLetter) {
+        attachments.push({
+          filename: 'Cover Letter.pdf',
+          content: await renderCoverLetterPdf({ applicantName: candidate.name, jobTitle: job.title, company: job.company, coverLetter }),
+          contentType: 'application/pdf'
+        });
+      }
+      await transporter.sendMail({
+        from: config.get('SMTP_USER'),
+        to: job.email,
+        subject,
+        html,
+        text,
+        attachments
+      });
+      logger.info('Email sent to recruiter', { recruiterEmail: job.email, jobTitle: job.title });
+    } catch (error) {
+      logger.error('Failed to send email to recruiter', { recruiterEmail: job.email, error: error.message });
+      throw error;
+    }
+  }
+
+  // Safe to call more than once for the same reference (webhook retries,
+  // reconciliation): the user is only credited and notified the first time
+  async processPayment(reference, data = {}) {
+    const payment = await paymentService.getPayment(reference);
+    if (!payment) {
+      return this.processRenewal(reference, data);
+    }
+    if (payment.payment_status !== 'pending') {
+      logger.info('Payment already settled', { reference, status: payment.payment_status });
+      return null;
+    }
+    const identifier = payment.user_identifier;
+    const transaction = await paystackService.verifyTransaction(reference);
+    if (!transaction) {
+      // Thrown so the queued webhook is retried
+      throw new Error(`Could not verify Paystack payment ${reference}`);
+    }
+    await paymentService.record('verification', {
+      reference,
+      identifier,
+      plan: payment.plan,
+      ...paymentService.fromPaystack(transaction),
+      payload: transaction
+    });
+    if (transaction.status === 'success') {
+      if (!paymentService.matchesCharge(transaction, payment)) {
+        logger.error('Paystack charge does not match payment', {
+          reference,
+          expected: { amount: payment.amount, currency: payment.currency },
+          charged: { amount: transaction.amount, currency: transaction.currency }
+        });
+        countMetric('payments.mismatch', [`plan:${payment.plan}`]);
+        await paymentService.setStatus(reference, 'mismatched');
+        return this.reply(identifier, 'paymentNeedsReview');
+      }
+      const plan = billingService.getPlan(payment.plan);
+      if (!plan) {
+        throw new Error(`Unknown plan ${payment.plan} for payment ${reference}`);
+      }
+      // Marked completed only once credited, so a crash in between is retried by reconciliation
+      const account = await billingService.applyPurchase(identifier, plan, reference, data.customer?.customer_code);
+      await paymentService.setStatus(reference, 'completed');
+      if (!account) {
+        return null;
+      }
+      const current = await conversation.get(identifier);
+      const jobIds = current.state === 'awaiting_payment' ? this.pendingJobIds(current) : [];
+      await this.reply(identifier, 'paymentSuccessful', { ...this.balanceParams(account), pending: jobIds.length > 0 });
+      if (jobIds.length > 0) {
+        return this.startApplication(identifier, jobIds);
+      }
+      if (current.state === 'awaiting_payment') {
+        await conversation.reset(identifier);
+      }
+      return null;
+    } else if (paymentService.isFailed(transaction.status)) {
+      await paymentService.setStatus(reference, 'failed');
+      return this.reply(identifier, 'paymentFailed');
+    }
+    // Still in progress; reconciliation checks it again later
+    return null;
+  }
+
+  // Monthly renewals are charged by Paystack under its own reference, so the
+  // user is found by the customer code saved with their first payment
+  async processRenewal(reference, data = {}) {
+    const plan = billingService.getPlanByCode(data.plan?.plan_code);
+    const identifier = await billingService.findByCustomerCode(data.customer?.customer_code);
+    if (!plan || !identifier) {
+      logger.warn('Paystack payment does not match any user', { reference });
+      return null;
+    }
+    const transaction = await paystackService.verifyTransaction(reference);
+    if (!transaction) {
+      throw new Error(`Could not verify Paystack payment ${reference}`);
+    }
+    await paymentService.record('verification', {
+      reference,
+      identifier,
+      plan: plan.id,
+      ...paymentService.fromPaystack(transaction),
+      payload: transaction
+    });
+    if (transaction.status !== 'success') {
+      return null;
+    }
+    if (!paymentService.matchesCharge(transaction, { amount: plan.amount })) {
+      logger.error('Paystack renewal does not match plan', { reference, plan: plan.id, amount: transaction.amount, currency: transaction.currency });
+      countMetric('payments.mismatch', [`plan:${plan.id}`]);
+      return null;
+    }
+    const account = await billingService.applyPurchase(identifier, plan, reference);
+    if (!account) {
+      return null;
+    }
+    return this.reply(identifier, 'subscriptionRenewed', this.balanceParams(account));
+  }
+
+  balanceParams(account) {
+    return {
+      credits: account.credits,
+      until: account.subscribed ? new Date(account.subscription_expires_at).toISOString().slice(0, 10) : null
+    };
+  }
+
+  // Jobs the user asked to apply to that are still waiting on payment, a CV,
+  // a cover letter or review
+  pendingJobIds(current) {
+    const { jobIds, review } = current.data || {};
+    if (review) return [review.current.jobId, ...review.queue];
+    return jobIds || [];
+  }
+
+  // Repeats what the current step is waiting for, after "back" or as a reminder
+  async promptForState(identifier, current) {
+    switch (current.state) {
+      case 'awaiting_payment': {
+        const plan = billingService.getPlan('starter');
+        return this.reply(identifier, 'paymentRequiredForApply', { amount: this.formatAmount(plan.amount), credits: plan.credits, url: current.data.paymentUrl });
+      }
+      case 'awaiting_cv':
+        return this.reply(identifier, 'uploadCv');
+      case 'awaiting_cover_letter':
+        return this.reply(identifier, 'coverLetterPrompt', {}, { buttons: [{ id: 'generate', label: 'generate' }] });
+      case 'confirming_application':
+        return this.sendApplicationConfirmation(identifier, current.data.jobIds);
+      case 'reviewing_cover_letter':
+        return this.sendCoverLetterDraft(identifier, current.data.review);
+      default:
+        return this.reply(identifier, 'help');
+    }
+  }
+
+  async remindConversation(identifier, current) {
+    await this.reply(identifier, 'stateReminder');
+    return this.promptForState(identifier, current);
+  }
+
+  // Paystack amounts are in kobo
+  formatAmount(kobo) {
+    return (kobo / 100).toFixed(2);
+  }
+
+  // Returns the language the user chose (or that was detected), or null if none yet
+  async getLanguagePreference(identifier) {
+    const cached = await redis.get(`language:${identifier}`);
+    if (cached !== null) return cached || null;
+    const candidate = await candidateService.getCandidate(identifier);
+    const language = candidate?.language || '';
+    await redis.set(`language:${identifier}`, language, 'EX', 86400);
+    return language || null;
+  }
+
+  async getLanguage(identifier) {
+    return (await this.getLanguagePreference(identifier)) || DEFAULT_LANGUAGE;
+  }
+
+  async setLanguage(identifier, language) {
+    await candidateService.setLanguage(identifier, parseIdentifier(identifier).channel, language);
+    await redis.set(`language:${identifier}`, language, 'EX', 86400);
+  }
+
+  // Detected languages only fill in a missing preference, never override a
+  // choice. English is the default anyway, and storing it from a greeting like
+  // "hi" would stop a later Pidgin or Yoruba message from being picked up.
+  async rememberLanguage(identifier, language) {
+    if (!language || !LANGUAGES[language] || language === DEFAULT_LANGUAGE) return;
+    if (await this.getLanguagePreference(identifier)) return;
+    await this.setLanguage(identifier, language);
+    logger.info('Reply language detected', { identifier, language });
+  }
+
+  // Sends a message from the locale catalogue in the user's language; button
+  // ids stay as the English commands the parser understands
+  async reply(identifier, key, params = {}, { buttons = null } = {}) {
+    const language = await this.getLanguage(identifier);
+    return this.sendMessage(identifier, t(language, key, params), {
+      buttons: buttons && buttons.map(({ id, label }) => ({ id, title: t(language, `button.${label}`) }))
+    });
+  }
+
+  async sendMessage(identifier, message, { buttons = null } = {}) {
+    const { channel, userId } = parseIdentifier(identifier);
+    const adapter = getAdapter(channel);
+    if (buttons && buttons.length > 0) {
+      return adapter.sendButtons(userId, message, buttons);
+    }
+    return adapter.sendText(userId, message);
+  }
+}
+
 module.exports = new CVJobMatchingBot();
\ No newline at end of file
@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+
+class CandidateService {
+  async getCandidate(identifier) {
+    const { rows: [candidate] } = await pool.query(
+      'SELECT * FROM candidates WHERE user_identifier = $1',
+      [String(identifier)]
+    );
+    return candidate || null;
+  }
+
+  // Uploading a new CV replaces the previous one and its analysis. Email and
+  // name are only overwritten when the channel actually supplied them.
+  async saveCV(identifier, { channel, cvText, analysis, profile = null, filename, fileKey = null, mime = null, email = null, name = null }) {
+    const { rows: [candidate] } = await pool.query(
+      `INSERT INTO candidates (user_identifier, channel, name, email, cv_text, cv_analysis, cv_profile, cv_filename, cv_file_key, cv_mime, cv_uploaded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       ON CONFLICT (user_identifier) DO UPDATE SET
+         channel = EXCLUDED.channel,
+         name = COALESCE(EXCLUDED.name, candidates.name),
+         email = COALESCE(EXCLUDED.email, candidates.email),
+         cv_text = EXCLUDED.cv_text,
+         cv_analysis = EXCLUDED.cv_analysis,
+         cv_profile = EXCLUDED.cv_profile,
+         cv_filename = EXCLUDED.cv_filename,
+         cv_file_key = EXCLUDED.cv_file_key,
+         cv_mime = EXCLUDED.cv_mime,
+         cv_uploaded_at = NOW(),
+         updated_at = NOW()
+       RETURNING *`,
+      [String(identifier), channel, name, email, cvText, analysis, profile, filename, fileKey, mime]
+    );
+    logger.info('Candidate CV saved', { identifier, channel });
+    return candidate;
+  }
+
+  async saveCoverLetter(identifier, coverLetter) {
+    await pool.query(
+      'UPDATE candidates SET cover_letter = $2, updated_at = NOW() WHERE user_identifier = $1',
+      [String(identifier), coverLetter]
+    );
+  }
+
+  // Users can pick a language before they ever upload a CV, so this creates
+  // the candidate row if needed
+  async setLanguage(identifier, channel, language) {
+    await pool.query(
+      `INSERT INTO candidates (user_identifier, channel, language)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_identifier) DO UPDATE SET language = EXCLUDED.language, updated_at = NOW()`,
+      [String(identifier), channel, language]
+    );
+    logger.info('Candidate language saved', { identifier, language });
+  }
+
+  // Removes the CV and everything derived from it but keeps the candidate row
+  // so channel and contact details survive for payments and notifications
+  async deleteCV(identifier) {
+    const { rowCount } = await pool.query(
+      `UPDATE candidates SET cv_text = NULL, cv_analysis = NULL, cv_profile = NULL, cv_filename = NULL,
+         cv_file_key = NULL, cv_mime = NULL, cv_uploaded_at = NULL, cover_letter = NULL, updated_at = NOW()
+       WHERE user_identifier = $1 AND cv_text IS NOT NULL`,
+      [String(identifier)]
+    );
+    if (rowCount > 0) logger.info('Candidate CV deleted', { identifier });
+    return rowCount > 0;
+  }
+}
+
+module.exports = new CandidateService();
\ No newline at end of file
@@ -0,0 +1,133 @@
+const Redis = require('ioredis');
+const { Queue } = require('bullmq');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+const timeoutQueue = new Queue('conversation-timeouts', { connection: redis });
+
+// Where each state may go next. "idle" is always reachable (cancel, timeout,
+// flow finished) and staying in the same state just updates its data.
+const TRANSITIONS = {
+  idle: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_payment: ['awaiting_cv', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_cv: ['awaiting_payment', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_cover_letter: ['awaiting_payment', 'awaiting_cv', 'confirming_application'],
+  confirming_application: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'reviewing_cover_letter'],
+  reviewing_cover_letter: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'confirming_application']
+};
+
+const STATE_TTL_SECONDS = 24 * 60 * 60;
+const REMINDER_AFTER_SECONDS = 6 * 60 * 60;
+const MAX_HISTORY = 5;
+
+const IDLE = { state: 'idle', data: {}, history: [], version: 0 };
+
+// BullMQ job ids can't contain ':', which every identifier does
+const timeoutJobId = (name, identifier) => `${name}-${encodeURIComponent(identifier)}`;
+
+class ConversationService {
+  async get(identifier) {
+    const raw = await redis.get(`conversation:${identifier}`);
+    if (!raw) return { ...IDLE };
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.error('Failed to parse conversation state', { identifier, error: error.message });
+      return { ...IDLE };
+    }
+  }
+
+  canTransition(from, to) {
+    return to === 'idle' || to === from || (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Moves to a new state, remembering the current one for "back". Re-entering
+  // the current state replaces its data without adding a history entry.
+  async transition(identifier, to, data = {}) {
+    const current = await this.get(identifier);
+    if (!this.canTransition(current.state, to)) {
+      throw new Error(`Invalid conversation transition ${current.state} -> ${to}`);
+    }
+    let history = current.history;
+    if (to === 'idle') {
+      history = [];
+    } else if (to !== current.state && current.state !== 'idle') {
+      history = [...history, { state: current.state, data: current.data }].slice(-MAX_HISTORY);
+    }
+    const next = { state: to, data, history, version: await this.nextVersion(identifier) };
+
+    await this.save(identifier, next);
+    if (to !== current.state) {
+      countMetric('conversation.transition', [`from:${current.state}`, `to:${to}`]);
+    }
+    return next;
+  }
+
+  async reset(identifier) {
+    return this.transition(identifier, 'idle');
+  }
+
+  // Returns the restored state, or null when there is nothing to go back to.
+  // Leaving a cover letter review goes back to the confirmation step for the
+  // jobs that haven't been sent yet.
+  async back(identifier) {
+    const current = await this.get(identifier);
+    const history = [...current.history];
+    let previous = history.pop();
+    if (current.state === 'reviewing_cover_letter' && current.data.review) {
+      const { review } = current.data;
+      if (previous && previous.state !== 'confirming_application') history.push(previous);
+      previous = { state: 'confirming_application', data: { jobIds: [review.current.jobId, ...review.queue] } };
+    }
+    if (!previous) return null;
+
+    const next = { state: previous.state, data: previous.data, history, version: await this.nextVersion(identifier) };
+    await this.save(identifier, next);
+    countMetric('conversation.transition', [`from:${current.state}`, `to:${next.state}`, 'via:back']);
+    return next;
+  }
+
+  // Every change gets a new version, so reminder and expiry jobs scheduled for
+  // an older one find it stale and do nothing. The counter outlives the state
+  // so a new conversation never reuses the version of a cancelled one.
+  async nextVersion(identifier) {
+    const key = `conversation_version:${identifier}`;
+    const version = await redis.incr(key);
+    await redis.expire(key, STATE_TTL_SECONDS * 2);
+    return version;
+  }
+
+  async save(identifier, conversation) {
+    await this.clearTimeouts(identifier);
+    if (conversation.state === 'idle') {
+      await redis.del(`conversation:${identifier}`);
+      return;
+    }
+    await redis.set(`conversation:${identifier}`, JSON.stringify(conversation), 'EX', STATE_TTL_SECONDS + 3600);
+    const job = { identifier, version: conversation.version };
+    const options = { removeOnComplete: true, removeOnFail: 100 };
+    await timeoutQueue.add('remind', job, { ...options, jobId: timeoutJobId('remind', identifier), delay: REMINDER_AFTER_SECONDS * 1000 });
+    await timeoutQueue.add('expire', job, { ...options, jobId: timeoutJobId('expire', identifier), delay: STATE_TTL_SECONDS * 1000 });
+  }
+
+  // Each user has at most one pending reminder and expiry; the pair for the
+  // previous state is removed before the next one is scheduled
+  async clearTimeouts(identifier) {
+    await Promise.all(['remind', 'expire'].map(name => timeoutQueue.remove(timeoutJobId(name, identifier))));
+  }
+
+  async isCurrent(identifier, version) {
+    const conversation = await this.get(identifier);
+    return conversation.state !== 'idle' && conversation.version === version ? conversation : null;
+  }
+}
+
+module.exports = new ConversationService();
\ No newline at end of file
@@ -0,0 +1,127 @@
+const Redis = require('ioredis');
+const { Queue } = require('bullmq');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Accepted messages wait here for workers/inbound.js, so nothing acknowledged
+// to the provider is lost if the process restarts
+const inboundQueue = new Queue('inbound', { connection: redis });
+
+// Providers retry for minutes to hours, so a day covers any redelivery
+const DEDUP_TTL_SECONDS = 24 * 60 * 60;
+// The lock is renewed while its holder runs, so the TTL only bounds how long a
+// crashed instance's lock outlives it
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_RENEW_MS = 10 * 1000;
+const LOCK_RETRY_MS = 100;
+// One message can chain several LLM calls of up to two minutes each
+const LOCK_WAIT_MS = 15 * 60 * 1000;
+
+// Only deletes the lock if it still holds our token, so an expired lock taken
+// over by another instance isn't released by us
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Extends the lock only while it still holds our token
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Message ids are only unique per chat on Telegram, so the key includes the user
+const dedupKey = (inbound) => `inbound:${inbound.identifier}:${inbound.messageId}`;
+
+class InboundService {
+  constructor() {
+    // Tail of each user's chain of pending work in this process
+    this.chains = new Map();
+    this.lockTtlMs = LOCK_TTL_MS;
+    this.lockRenewMs = LOCK_RENEW_MS;
+  }
+
+  // Claims the message and queues it. Returns false for a duplicate. If it
+  // can't be queued the claim is dropped, so the provider's retry is accepted.
+  async accept(inbound) {
+    if (!(await this.claim(inbound))) return false;
+    try {
+      await inboundQueue.add('message', inbound, { removeOnComplete: true, removeOnFail: 1000 });
+    } catch (error) {
+      if (inbound.messageId) {
+        await redis.del(dedupKey(inbound)).catch(() => {});
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  // Records the provider message id and returns false if it was already seen
+  async claim(inbound) {
+    if (!inbound.messageId) return true;
+    const claimed = await redis.set(dedupKey(inbound), '1', 'EX', DEDUP_TTL_SECONDS, 'NX');
+    if (!claimed) {
+      countMetric('inbound.duplicate', [`channel:${inbound.channel}`]);
+      logger.info('Duplicate inbound message ignored', { identifier: inbound.identifier, messageId: inbound.messageId });
+      return false;
+    }
+    return true;
+  }
+
+  // Runs fn once every earlier call for the same user has finished. Calls in
+  // this process run in arrival order (the inbound worker starts jobs in queue
+  // order); the Redis lock keeps other instances from handling the same user
+  // at the same time.
+  serialize(identifier, fn) {
+    const previous = this.chains.get(identifier) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.withLock(identifier, fn));
+    this.chains.set(identifier, run);
+    const cleanup = () => {
+      if (this.chains.get(identifier) === run) this.chains.delete(identifier);
+    };
+    run.then(cleanup, cleanup);
+    return run;
+  }
+
+  async withLock(identifier, fn) {
+    const key = `lock:user:${identifier}`;
+    const token = crypto.randomUUID();
+    const waitStarted = Date.now();
+    while (!(await redis.set(key, token, 'PX', this.lockTtlMs, 'NX'))) {
+      if (Date.now() - waitStarted > LOCK_WAIT_MS) {
+        throw new Error(`Timed out waiting for lock on ${identifier}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+    const renewal = setInterval(() => {
+      redis.eval(RENEW_SCRIPT, 1, key, token, this.lockTtlMs).then((renewed) => {
+        if (!renewed) logger.warn('User lock lost while handling', { identifier });
+      }).catch((error) => {
+        logger.warn('Failed to renew user lock', { identifier, error: error.message });
+      });
+    }, this.lockRenewMs);
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      await redis.eval(RELEASE_SCRIPT, 1, key, token).catch((error) => {
+        logger.warn('Failed to release user lock', { identifier, error: error.message });
+      });
+    }
+  }
+}
+
+module.exports = new InboundService();
\ No newline at end of file
@@ -0,0 +1,243 @@
+const sanitizeHtml = require('sanitize-html');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+const { parseCSV } = require('../utils/csv');
+const { isEmail } = require('../utils/validation');
+const { expandLocation, expandTitle } = require('../utils/synonyms');
+
+const REQUIRED_FIELDS = ['title', 'company', 'location', 'email'];
+const MAX_FIELD_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 10000;
+const MAX_IMPORT_ROWS = 1000;
+// pg_trgm similarity above which a fuzzy match counts as a hit
+const FUZZY_THRESHOLD = 0.3;
+// Everything except search_vector, which is internal to Postgres search
+const JOB_COLUMNS = 'id, recruiter_id, title, company, location, is_remote, email, description, status, created_at, updated_at, closed_at';
+
+function cleanText(value) {
+  return sanitizeHtml(String(value), { allowedTags: [], allowedAttributes: {} }).trim();
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+  if (['false', 'no', '0', 'n', ''].includes(normalized)) return false;
+  return null;
+}
+
+class JobService {
+  // Returns { job, errors } where job only contains the fields that were supplied.
+  // With partial = true (updates) required fields may be omitted but not blanked.
+  validateJob(input, { partial = false } = {}) {
+    const errors = [];
+    const job = {};
+
+    if (!input || typeof input !== 'object') {
+      return { job, errors: ['Job payload must be an object'] };
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (input[field] === undefined || input[field] === null) {
+        if (!partial) errors.push(`${field} is required`);
+        continue;
+      }
+      const value = cleanText(input[field]);
+      if (!value) {
+        errors.push(`${field} cannot be empty`);
+      } else if (value.length > MAX_FIELD_LENGTH) {
+        errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+      } else {
+        job[field] = value;
+      }
+    }
+
+    if (job.email && !isEmail(job.email)) {
+      errors.push('email must be a valid email address');
+      delete job.email;
+    }
+
+    if (input.description !== undefined && input.description !== null) {
+      const description = cleanText(input.description);
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      } else {
+        job.description = description;
+      }
+    }
+
+    if (input.is_remote !== undefined) {
+      const isRemote = parseBoolean(input.is_remote);
+      if (isRemote === null) {
+        errors.push('is_remote must be a boolean');
+      } else {
+        job.is_remote = isRemote;
+      }
+    } else if (!partial) {
+      job.is_remote = false;
+    }
+
+    return { job, errors };
+  }
+
+  async createJob(recruiterId, job, client = pool) {
+    const { rows: [created] } = await client.query(
+      `INSERT INTO jobs (id, recruiter_id, title, company, location, is_remote, email, description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${JOB_COLUMNS}`,
+      [uuidv4(), recruiterId, job.title, job.company, job.location, job.is_remote, job.email, job.description || null]
+    );
+    logger.info('Job created', { jobId: created.id, recruiterId });
+    return created;
+  }
+
+  // recruiterId = null means admin access (any job)
+  async updateJob(jobId, recruiterId, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return this.getJob(jobId, recruiterId);
+    }
+    const assignments = columns.map((column, i) => `${column} = $${i + 3}`);
+    const { rows: [updated] } = await pool.query(
+      `UPDATE jobs SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND ($2::uuid IS NULL OR recruiter_id = $2)
+       RETURNING ${JOB_COLUMNS}`,
+      [jobId, recruiterId, ...columns.map(column => fields[column])]
+    );
+    if (updated) logger.info('Job updated', { jobId, recruiterId, fields: columns });
+    return updated || null;
+  }
+
+  async closeJob(jobId, recruiterId) {
+    const { rows: [closed] } = await pool.query(
+      `UPDATE jobs SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND ($2::uuid IS NULL OR recruiter_id = $2)
+       RETURNING ${JOB_COLUMNS}`,
+      [jobId, recruiterId]
+    );
+    if (closed) logger.info('Job closed', { jobId, recruiterId });
+    return closed || null;
+  }
+
+  async getJob(jobId, recruiterId) {
+    const { rows: [job] } = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1 AND ($2::uuid IS NULL OR recruiter_id = $2)`,
+      [jobId, recruiterId]
+    );
+    return job || null;
+  }
+
+  async getOpenJob(jobId) {
+    const { rows: [job] } = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1 AND status = 'open'`,
+      [jobId]
+    );
+    return job || null;
+  }
+
+  async listJobs(recruiterId, { status = null, limit = 20, offset = 0 } = {}) {
+    const params = [recruiterId, status];
+    const where = 'WHERE ($1::uuid IS NULL OR recruiter_id = $1) AND ($2::text IS NULL OR status = $2)';
+    const { rows: [{ count }] } = await pool.query(`SELECT COUNT(*)::int AS count FROM jobs ${where}`, params);
+    const { rows } = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM jobs ${where} ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+      [...params, limit, offset]
+    );
+    return { jobs: rows, total: count };
+  }
+
+  // Full-text search over title/company/description with synonym expansion.
+  // Trigram similarity catches typos and near-misses the text search rejects;
+  // results are ordered by combined relevance, newest first on ties.
+  // Alert scans instead take the oldest matches posted since their checkpoint
+  // that haven't been sent for the alert yet.
+  async searchJobs({ title, location, company, remote } = {}, { limit = 100, createdSince = null, oldestFirst = false, unsentForAlert = null } = {}) {
+    const titleQuery = title ? expandTitle(title).join(' or ') : null;
+    const locationPatterns = location
+      ? expandLocation(location).map(term => `\\m${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\M`)
+      : null;
+    const params = [
+      titleQuery,
+      title || null,
+      locationPatterns,
+      location || null,
+      company || null,
+      typeof remote === 'boolean' ? remote : null,
+      createdSince,
+      unsentForAlert
+    ];
+    const from = `
+      FROM jobs, (SELECT CASE WHEN $1::text IS NULL THEN NULL ELSE websearch_to_tsquery('english', $1) END AS query) AS search
+      WHERE status = 'open'
+      AND ($1::text IS NULL OR search_vector @@ search.query OR similarity(title, $2) > ${FUZZY_THRESHOLD})
+      AND ($3::text[] IS NULL OR location ~* ANY($3) OR similarity(location, $4) > ${FUZZY_THRESHOLD})
+      AND ($5::text IS NULL OR company ILIKE '%' || $5 || '%' OR similarity(company, $5) > ${FUZZY_THRESHOLD})
+      AND ($6::boolean IS NULL OR is_remote = $6)
+      AND ($7::timestamptz IS NULL OR created_at >= $7)
+      AND ($8::uuid IS NULL OR NOT EXISTS (
+        SELECT 1 FROM job_alert_notifications n WHERE n.alert_id = $8 AND n.job_id = jobs.id
+      ))`;
+
+    const { rows } = await pool.query(
+      `SELECT ${JOB_COLUMNS},
+         COALESCE(ts_rank_cd(search_vector, search.query), 0) + COALESCE(similarity(title, $2), 0) AS relevance
+       ${from}
+       ORDER BY ${oldestFirst ? 'created_at ASC, id ASC' : 'relevance DESC, created_at DESC'}
+       LIMIT $9`,
+      [...params, limit]
+    );
+    let total = rows.length;
+    if (rows.length === limit) {
+      const { rows: [{ count }] } = await pool.query(`SELECT COUNT(*)::int AS count ${from}`, params);
+      total = count;
+    }
+    return { rows, total };
+  }
+
+  // Validates every row first; valid rows are inserted in one transaction and
+  // invalid rows are reported back with their CSV line number.
+  async importJobs(recruiterId, csvText) {
+    const records = parseCSV(csvText || '');
+    if (records.length === 0) {
+      return { imported: [], errors: [{ row: null, errors: ['CSV contains no job rows'] }] };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { imported: [], errors: [{ row: null, errors: [`CSV exceeds the ${MAX_IMPORT_ROWS} row limit`] }] };
+    }
+
+    const valid = [];
+    const errors = [];
+    records.forEach(({ line, fields }) => {
+      const { job, errors: rowErrors } = this.validateJob(fields);
+      if (rowErrors.length > 0) {
+        errors.push({ row: line, errors: rowErrors });
+      } else {
+        valid.push(job);
+      }
+    });
+
+    const imported = [];
+    if (valid.length > 0) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const job of valid) {
+          imported.push(await this.createJob(recruiterId, job, client));
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    logger.info('Jobs imported from CSV', { recruiterId, imported: imported.length, rejected: errors.length });
+    return { imported, errors };
+  }
+}
+
+module.exports = new JobService();
\ No newline at end of file
@@ -1,95 +1,186 @@
-const axios = require('axios');
-const config = require('../config');
-const logger = require('../utils/logger');
-const { Queue } = require('bullmq');
-const Redis = require('ioredis');
-
-const redis = new Redis({
-  host: config.get('redis.host'),
-  port: config.get('redis.port'),
-  password: config.get('redis.password'),
-  maxRetriesPerRequest: null  // ✅ ADD THIS
-});
-
-const openaiQueue = new Queue('openai-tasks', { connection: redis });
-
-class MistralService {
-  async parseJobQuery(message) {
-    try {
-      const job = await openaiQueue.add('parse-query', { message });
-      const result = await job.waitUntilFinished(openaiQueue);
-
-      if (!result || typeof result !== 'object' || !result.action) {
-        logger.error('Invalid parse-query result', { result });
-        return {
-          action: 'unknown',
-          response: 'I didn\'t understand your request. Try "find jobs in Lagos" or "apply for a job".'
-        };
-      }
-
-      return result;
-
-    } catch (error) {
-      logger.error('Mistral parse-query error', { error: error.message });
-      return {
-        action: 'unknown',
-        response: 'I didn\'t understand your request. Try "find jobs in Lagos" or "apply for a job".'
-      };
-    }
-  }
-
-  async analyzeCV(cvText) {
-    try {
-      const job = await openaiQueue.add('analyze-cv', { cvText });
-      const result = await job.waitUntilFinished(openaiQueue);
-
-      if (!result || typeof result !== 'object' ||
-        !('skills' in result) || !('experience' in result) || !('education' in result)) {
-        logger.error('Invalid analyze-cv result', { result });
-        return {
-          skills: 0, experience: 0, education: 0,
-          summary: 'CV analysis failed due to invalid response format'
-        };
-      }
-
-      return result;
-
-    } catch (error) {
-      logger.error('Mistral CV analysis error', { error: error.message });
-      return {
-        skills: 0, experience: 0, education: 0,
-        summary: 'CV analysis failed'
-      };
-    }
-  }
-
-  async generateCoverLetter(cvText) {
-    try {
-      const job = await openaiQueue.add('generate-cover-letter', { cvText });
-      const coverLetter = await job.waitUntilFinished(openaiQueue);
-
-      if (!coverLetter || typeof coverLetter !== 'string' || coverLetter.length < 50) {
-        logger.error('Invalid cover letter result', { coverLetter });
-        return `Dear Hiring Manager,
-
-I am excited to apply for this position. My skills and experience make me a strong candidate. Please find my CV attached.
-
-Sincerely,
-[Your Name]`;
-      }
-
-      return coverLetter;
-
-    } catch (error) {
-      logger.error('Mistral cover letter generation error', { error: error.message });
-      return `Dear Hiring Manager,
-
-I am excited to apply for this position. My skills and experience make me a strong candidate. Please find my CV attached.
-
-Sincerely,
-[Your Name]`;
-    }
-  }
-}
-
-module.exports = new MistralService();
\ No newline at end of file
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { normalizeProfile, profileSummary } = require('../utils/cvProfile');
+const { Queue, QueueEvents } = require('bullmq');
+const Redis = require('ioredis');
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null  // ✅ ADD THIS
+});
+
+const openaiQueue = new Queue('openai-tasks', { connection: redis });
+
+// Completion events arrive on their own blocking connection
+const openaiEvents = new QueueEvents('openai-tasks', {
+  connection: {
+    host: config.get('redis.host'),
+    port: config.get('redis.port'),
+    password: config.get('redis.password')
+  }
+});
+
+// Long enough for a slow provider plus a repair retry
+const TASK_TIMEOUT_MS = 2 * 60 * 1000;
+
+class LLMService {
+  async parseJobQuery(message) {
+    try {
+      const job = await openaiQueue.add('parse-query', { message });
+      const result = await job.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+
+      if (!result || typeof result !== 'object' || !result.action) {
+        logger.error('Invalid parse-query result', { result });
+        return {
+          action: 'unknown',
+          response: 'I didn\'t understand your request. Try "find jobs in Lagos" or "apply for a job".'
+        };
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('LLM parse-query error', { error: error.message });
+      return {
+        action: 'unknown',
+        response: 'I didn\'t understand your request. Try "find jobs in Lagos" or "apply for a job".'
+      };
+    }
+  }
+
+  async analyzeCV(cvText) {
+    try {
+      const job = await openaiQueue.add('analyze-cv', { cvText });
+      const result = await job.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+
+      if (!result || typeof result !== 'object' ||
+        !('skills' in result) || !('experience' in result) || !('education' in result)) {
+        logger.error('Invalid analyze-cv result', { result });
+        return {
+          skills: 0, experience: 0, education: 0,
+          summary: 'CV analysis failed due to invalid response format'
+        };
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('LLM CV analysis error', { error: error.message });
+      return {
+        skills: 0, experience: 0, education: 0,
+        summary: 'CV analysis failed'
+      };
+    }
+  }
+
+  // Always returns a complete profile; fields the model missed (or all of
+  // them, if parsing fails) are filled in by the rules in utils/cvProfile.js
+  async parseCV(cvText) {
+    try {
+      const job = await openaiQueue.add('parse-cv', { cvText });
+      const result = await job.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+      return normalizeProfile(result, cvText);
+    } catch (error) {
+      logger.error('LLM CV parsing error', { error: error.message });
+      return normalizeProfile(null, cvText);
+    }
+  }
+
+  // A failed match comes back with a null score and fallback: true
+  async matchCVToJob(cvText, job, profile = null) {
+    try {
+      const posting = {
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        description: job.description || null
+      };
+      const queued = await openaiQueue.add('match-cv', { cvText, job: posting, profile: profileSummary(profile) || null });
+      const result = await queued.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+
+      if (result?.fallback) {
+        return result;
+      }
+      if (!result || typeof result !== 'object' || typeof result.score !== 'number') {
+        logger.error('Invalid match-cv result', { result, jobId: job.id });
+        return {
+          score: null, matchedSkills: [], missingSkills: [],
+          summary: 'CV match failed due to invalid response format', fallback: true
+        };
+      }
+
+      return {
+        score: Math.max(0, Math.min(100, Math.round(result.score))),
+        matchedSkills: Array.isArray(result.matchedSkills) ? result.matchedSkills : [],
+        missingSkills: Array.isArray(result.missingSkills) ? result.missingSkills : [],
+        summary: typeof result.summary === 'string' ? result.summary : ''
+      };
+
+    } catch (error) {
+      logger.error('LLM CV match error', { error: error.message, jobId: job.id });
+      return {
+        score: null, matchedSkills: [], missingSkills: [],
+        summary: 'CV match failed', fallback: true
+      };
+    }
+  }
+
+  // With a job the letter is tailored to it; baseLetter is the candidate's own
+  // letter to adapt and is also the fallback if generation fails
+  async generateCoverLetter(cvText, job = null, baseLetter = null) {
+    const fallback = baseLetter || `Dear Hiring Manager,
+
+I am excited to apply for ${job ? `the ${job.title} position at ${job.company}` : 'this position'}. My skills and experience make me a strong candidate. Please find my CV attached.
+
+Sincerely,
+[Your Name]`;
+
+    try {
+      const posting = job
+        ? { title: job.title, company: job.company, location: job.location, description: job.description || null }
+        : null;
+      const queued = await openaiQueue.add('generate-cover-letter', { cvText, job: posting, baseLetter });
+      const coverLetter = await queued.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+
+      // The worker gives up with null when the provider fails
+      if (coverLetter === null) {
+        return fallback;
+      }
+      if (!coverLetter || typeof coverLetter !== 'string' || coverLetter.length < 50) {
+        logger.error('Invalid cover letter result', { coverLetter });
+        return fallback;
+      }
+
+      return coverLetter;
+
+    } catch (error) {
+      logger.error('LLM cover letter generation error', { error: error.message });
+      return fallback;
+    }
+  }
+
+  // Returns the unchanged letter if the revision fails
+  async reviseCoverLetter(letter, instruction, job = null) {
+    try {
+      const posting = job ? { title: job.title, company: job.company } : null;
+      const queued = await openaiQueue.add('revise-cover-letter', { letter, instruction, job: posting });
+      const revised = await queued.waitUntilFinished(openaiEvents, TASK_TIMEOUT_MS);
+
+      if (!revised || typeof revised !== 'string' || revised.length < 50) {
+        logger.error('Invalid revise-cover-letter result', { revised });
+        return letter;
+      }
+
+      return revised;
+
+    } catch (error) {
+      logger.error('LLM cover letter revision error', { error: error.message });
+      return letter;
+    }
+  }
+}
+
+module.exports = new LLMService();
\ No newline at end of file
@@ -0,0 +1,138 @@
+const Redis = require('ioredis');
+const { Queue } = require('bullmq');
+const config = require('../config');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+const { countMetric } = require('../utils/metrics');
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+const paymentQueue = new Queue('payments', { connection: redis });
+
+// Paystack statuses that will never turn into a successful charge
+const FAILED_STATUSES = ['failed', 'reversed'];
+
+class PaymentService {
+  // The reference is what maps a Paystack charge back to the user, so it's
+  // stored here rather than encoded in the reference itself
+  async createPayment(identifier, reference, plan) {
+    const currency = config.get('paystack.currency');
+    await pool.query(
+      `INSERT INTO payments (payment_reference, user_identifier, payment_status, plan, amount, currency)
+       VALUES ($1, $2, 'pending', $3, $4, $5)`,
+      [reference, String(identifier), plan.id, plan.amount, currency]
+    );
+    await this.record('initialization', {
+      reference,
+      identifier,
+      status: 'pending',
+      amount: plan.amount,
+      currency,
+      plan: plan.id
+    });
+  }
+
+  // A successful charge only counts if it is for what was asked for
+  matchesCharge(transaction, { amount, currency = config.get('paystack.currency') }) {
+    return Number(transaction.amount) === Number(amount) && String(transaction.currency).toUpperCase() === currency.toUpperCase();
+  }
+
+  // Queues a webhook event for workers/payments.js so the request can be
+  // answered straight away. Returns false for an event that was already
+  // received; Paystack sends no event id, so the transaction id (or reference)
+  // identifies it.
+  async queueWebhook(event, data = {}) {
+    const key = `${event}:${data.id ?? data.reference}`;
+    const { rows: [claimed] } = await pool.query(
+      `INSERT INTO paystack_events (event_key, event, reference) VALUES ($1, $2, $3)
+       ON CONFLICT (event_key) DO NOTHING
+       RETURNING event_key`,
+      [key, event, data.reference || null]
+    );
+    if (!claimed) {
+      countMetric('payments.webhook_duplicate', [`event:${event}`]);
+      return false;
+    }
+    try {
+      await paymentQueue.add('webhook', { event, reference: data.reference, data }, {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        removeOnFail: 1000
+      });
+    } catch (error) {
+      // Let Paystack's retry claim the event again
+      await pool.query('DELETE FROM paystack_events WHERE event_key = $1', [key]);
+      throw error;
+    }
+    return true;
+  }
+
+  async getPayment(reference) {
+    const { rows: [payment] } = await pool.query('SELECT * FROM payments WHERE payment_reference = $1', [reference]);
+    return payment || null;
+  }
+
+  async setStatus(reference, status) {
+    await pool.query(
+      'UPDATE payments SET payment_status = $2, updated_at = NOW() WHERE payment_reference = $1',
+      [reference, status]
+    );
+  }
+
+  // Payments still pending afterMinutes after they were started, oldest first
+  async findPending({ afterMinutes, limit = 50 }) {
+    const { rows } = await pool.query(
+      `SELECT *, (EXTRACT(EPOCH FROM NOW() - created_at) / 3600)::float AS age_hours FROM payments
+       WHERE payment_status = 'pending'
+         AND created_at < NOW() - make_interval(mins => $1::int)
+       ORDER BY created_at
+       LIMIT $2`,
+      [afterMinutes, limit]
+    );
+    return rows;
+  }
+
+  // Appends to the payment history. Recording must never break the payment
+  // flow itself, so failures are only logged.
+  async record(source, { reference, identifier = null, event = null, status, amount = null, currency = null, channel = null, plan = null, payload = null }) {
+    try {
+      await pool.query(
+        `INSERT INTO payment_transactions (reference, user_identifier, source, event, status, amount, currency, channel, plan, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [reference, identifier, source, event, status || 'unknown', amount, currency, channel, plan, payload]
+      );
+    } catch (error) {
+      logger.error('Failed to record payment transaction', { reference, source, error: error.message });
+    }
+  }
+
+  // The history fields of a Paystack transaction object (from verify or a webhook)
+  fromPaystack(transaction = {}) {
+    return {
+      status: transaction.status,
+      amount: transaction.amount ?? null,
+      currency: transaction.currency ?? null,
+      channel: transaction.channel ?? null
+    };
+  }
+
+  async history(reference) {
+    const { rows } = await pool.query(
+      'SELECT * FROM payment_transactions WHERE reference = $1 ORDER BY created_at, id',
+      [reference]
+    );
+    return rows;
+  }
+
+  isFailed(status) {
+    return FAILED_STATUSES.includes(status);
+  }
+}
+
+module.exports = new PaymentService();
\ No newline at end of file
@@ -1,49 +1,54 @@
-const axios = require('axios');
-const config = require('../config');
-const logger = require('../utils/logger');
-
-class PaystackService {
-  async initializePayment(identifier, reference, email) {
-    try {
-      const response = await axios.post(
-        'https://api.paystack.co/transaction/initialize',
-        {
-          email,
-          amount: config.get('paystack.amount'),
-          reference,
-          callback_url: `${config.get('baseUrl')}/webhook/paystack`
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${config.get('paystack.secret')}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      return response.data.data.authorization_url;
-    } catch (error) {
-      logger.error('Paystack initialization error', { error });
-      throw error;
-    }
-  }
-
-  async verifyPayment(reference) {
-    try {
-      const response = await axios.get(
-        `https://api.paystack.co/transaction/verify/${reference}`,
-        {
-          headers: {
-            Authorization: `Bearer ${config.get('paystack.secret')}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      return response.data.data.status === 'success';
-    } catch (error) {
-      logger.error('Paystack verification error', { error });
-      return false;
-    }
-  }
-}
-
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class PaystackService {
+  // plan is a Paystack plan code; passing one turns the payment into a subscription
+  async initializePayment(identifier, reference, email, { amount = config.get('paystack.amount'), plan = null } = {}) {
+    try {
+      const response = await axios.post(
+        'https://api.paystack.co/transaction/initialize',
+        {
+          email,
+          amount,
+          currency: config.get('paystack.currency'),
+          reference,
+          ...(plan ? { plan } : {}),
+          callback_url: `${config.get('baseUrl')}/webhook/paystack`
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return response.data.data.authorization_url;
+    } catch (error) {
+      logger.error('Paystack initialization error', { error });
+      throw error;
+    }
+  }
+
+  // Returns Paystack's transaction record (status, amount, currency, channel...)
+  // or null when it can't be fetched
+  async verifyTransaction(reference) {
+    try {
+      const response = await axios.get(
+        `https://api.paystack.co/transaction/verify/${reference}`,
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return response.data.data;
+    } catch (error) {
+      logger.error('Paystack verification error', { error });
+      return null;
+    }
+  }
+}
+
 module.exports = new PaystackService();
\ No newline at end of file
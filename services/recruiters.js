@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const pool = require('../utils/db');
+const { isEmail } = require('../utils/validation');
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+class RecruiterService {
+  // Returns { recruiter, errors } in the same shape as jobService.validateJob
+  validateRecruiter(input) {
+    const errors = [];
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    const email = typeof input?.email === 'string' ? input.email.trim() : '';
+    if (!name) errors.push('name is required');
+    if (!email) {
+      errors.push('email is required');
+    } else if (!isEmail(email)) {
+      errors.push('email must be a valid email address');
+    }
+    return { recruiter: { name, email }, errors };
+  }
+
+  // The plain API key is only returned here; only its hash is stored
+  async createRecruiter(name, email) {
+    const apiKey = `rk_${crypto.randomBytes(24).toString('hex')}`;
+    const { rows: [recruiter] } = await pool.query(
+      'INSERT INTO recruiters (id, name, email, api_key_hash) VALUES ($1, $2, $3, $4) RETURNING id, name, email, created_at',
+      [uuidv4(), name, email, hashApiKey(apiKey)]
+    );
+    logger.info('Recruiter created', { recruiterId: recruiter.id });
+    return { ...recruiter, apiKey };
+  }
+
+  async authenticate(apiKey) {
+    if (!apiKey) return null;
+    const { rows: [recruiter] } = await pool.query(
+      'SELECT id, name, email FROM recruiters WHERE api_key_hash = $1 AND revoked_at IS NULL',
+      [hashApiKey(apiKey)]
+    );
+    return recruiter || null;
+  }
+
+  isAdminKey(apiKey) {
+    const adminKey = config.get('admin.apiKey');
+    if (!adminKey || !apiKey) return false;
+    const expected = Buffer.from(hashApiKey(adminKey));
+    const actual = Buffer.from(hashApiKey(apiKey));
+    return crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = new RecruiterService();
\ No newline at end of file
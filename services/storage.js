@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Stores original CV uploads. Keys are relative paths like "cvs/<uuid>.pdf"
+// and are the same for every driver, so switching drivers only needs a copy.
+class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.root, key);
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  async save(key, buffer) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer);
+    return key;
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+class S3Storage {
+  constructor(options) {
+    // Loaded lazily so local deployments don't pay for the SDK
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+    this.bucket = options.bucket;
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      // Path-style addressing works with MinIO, DigitalOcean Spaces, Backblaze etc.
+      forcePathStyle: !!options.endpoint,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  async save(key, buffer, contentType = 'application/octet-stream') {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return key;
+  }
+
+  async read(key) {
+    const response = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+function createStorage() {
+  const driver = config.get('storage.driver');
+  if (driver === 's3') {
+    logger.info('Using S3-compatible storage for CV files', { bucket: config.get('storage.s3.bucket') });
+    return new S3Storage(config.get('storage.s3'));
+  }
+  return new LocalStorage(config.get('storage.localPath'));
+}
+
+module.exports = createStorage();
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand } = require('../utils/commands');
+
+const search = (title, location = null, remote = null) => ({
+  action: 'search_jobs',
+  filters: { title, location, company: null, remote }
+});
+
+// [message, expected fields of the intent]; null means the message goes to the LLM
+const CASES = [
+  // Applying
+  ['apply 2', { action: 'apply_job', jobId: 2 }],
+  ['Apply for job 3 please', { action: 'apply_job', jobId: 3 }],
+  ['apply #5', { action: 'apply_job', jobId: 5 }],
+  ['make i apply 4', { action: 'apply_job', jobId: 4 }],
+  ['i wan apply for all', { action: 'apply_job', applyAll: true }],
+  ['apply to all of them', { action: 'apply_job', applyAll: true }],
+
+  // Searching
+  ['abeg find me driver work for Abuja', search('driver', 'abuja')],
+  ['I dey find accountant work inside Port Harcourt', search('accountant', 'port harcourt')],
+  ['search for nurse vacancies in ibadan o', search('nurse', 'ibadan')],
+  ['find me remote developer jobs', search('developer', null, true)],
+  ['looking for sales and marketing jobs in lagos', search('sales and marketing', 'lagos')],
+  ['find jobs around ikeja', search(null, 'ikeja')],
+  ['oya show me jobs', search(null)],
+  ['find jobs', search(null)],
+
+  // Paging
+  ['page 3', { action: 'more_jobs', page: 3 }],
+  ['go to page 2', { action: 'more_jobs', page: 2 }],
+  ['next', { action: 'more_jobs', page: null }],
+  ['see more abeg', { action: 'more_jobs', page: null }],
+
+  // Conversation control
+  ['cancel', { action: 'cancel' }],
+  ['Forget am', { action: 'cancel' }],
+  ['never mind', { action: 'cancel' }],
+  ['back', { action: 'back' }],
+  ['help', { action: 'help' }],
+  ['wetin you fit do', { action: 'help' }],
+
+  // Account
+  ['my applications', { action: 'my_applications' }],
+  ['wetin happen to my application', { action: 'my_applications' }],
+  ['reply in yoruba', { action: 'set_language', language: 'yoruba' }],
+  ['language pidgin', { action: 'set_language', language: 'pidgin' }],
+  ['my cv', { action: 'view_cv' }],
+  ['delete my cv', { action: 'delete_cv' }],
+  ['how many credits i get', { action: 'balance' }],
+  ['buy starter', { action: 'buy_plan', plan: 'starter' }],
+  ['top up', { action: 'buy_plan', plan: null }],
+  ['stop alerts 2', { action: 'unsubscribe', alertNumber: 2 }],
+
+  // Known weak spots: one location filter can't hold these, so the LLM gets them
+  ['find jobs in lagos and abuja', null],
+  ['find jobs in lagos or abuja', null],
+  ['find jobs in lagos for graduates', null],
+  ['find jobs for me', null],
+  ['find jobs for fresh graduates', null],
+  ['show me jobs for today', null],
+
+  // Not commands
+  ['show my jobs', null],
+  ['hello', null],
+  ['', null]
+];
+
+for (const [message, expected] of CASES) {
+  test(`parses ${JSON.stringify(message)}`, () => {
+    const intent = parseCommand(message);
+    if (expected === null) {
+      assert.equal(intent, null);
+      return;
+    }
+    assert.ok(intent, 'expected an intent');
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(intent[field], value, `${field} of ${JSON.stringify(message)}`);
+    }
+  });
+}
+
+test('fills every intent field so it has the same shape as an LLM intent', () => {
+  assert.deepEqual(parseCommand('apply 1'), {
+    action: 'apply_job',
+    filters: { title: null, location: null, company: null, remote: null },
+    applyAll: false,
+    jobId: 1,
+    page: null,
+    frequency: null,
+    alertNumber: null,
+    plan: null,
+    response: ''
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakes = require('./helpers/fakes');
+
+const calls = [];
+fakes.stubModule('services/bot.js', {
+  remindConversation: async (identifier, current) => calls.push(['remind', identifier, current.state]),
+  reply: async (identifier, key) => calls.push(['reply', identifier, key])
+});
+
+const conversation = require('../services/conversation');
+require('../workers/conversation');
+
+const USER = 'whatsapp:2348012345678';
+const STATES = ['idle', 'awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'confirming_application', 'reviewing_cover_letter'];
+
+// Where each state may go besides idle and itself
+const ALLOWED = {
+  idle: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_payment: ['awaiting_cv', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_cv: ['awaiting_payment', 'awaiting_cover_letter', 'confirming_application'],
+  awaiting_cover_letter: ['awaiting_payment', 'awaiting_cv', 'confirming_application'],
+  confirming_application: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'reviewing_cover_letter'],
+  reviewing_cover_letter: ['awaiting_payment', 'awaiting_cv', 'awaiting_cover_letter', 'confirming_application']
+};
+
+const timeoutJobs = () => fakes.queue('conversation-timeouts').jobs;
+const runTimeout = (job) => fakes.worker('conversation-timeouts').processor(job);
+
+beforeEach(() => {
+  fakes.reset();
+  calls.length = 0;
+});
+
+for (const from of STATES) {
+  for (const to of STATES) {
+    const expected = to === 'idle' || to === from || ALLOWED[from].includes(to);
+    test(`${from} -> ${to} is ${expected ? 'allowed' : 'rejected'}`, () => {
+      assert.equal(conversation.canTransition(from, to), expected);
+    });
+  }
+}
+
+test('a rejected transition throws and leaves the state alone', async () => {
+  await conversation.transition(USER, 'awaiting_cv', { jobIds: ['a'] });
+  await assert.rejects(
+    conversation.transition(USER, 'reviewing_cover_letter', {}),
+    /Invalid conversation transition awaiting_cv -> reviewing_cover_letter/
+  );
+  const current = await conversation.get(USER);
+  assert.equal(current.state, 'awaiting_cv');
+  assert.deepEqual(current.data, { jobIds: ['a'] });
+});
+
+test('cancel returns to idle and drops the stored state and its timeouts', async () => {
+  await conversation.transition(USER, 'awaiting_cv', { jobIds: ['a'] });
+  await conversation.transition(USER, 'awaiting_cover_letter', { jobIds: ['a'] });
+  await conversation.reset(USER);
+
+  const current = await conversation.get(USER);
+  assert.equal(current.state, 'idle');
+  assert.deepEqual(current.history, []);
+  assert.equal(fakes.store.has(`conversation:${USER}`), false);
+  assert.deepEqual(timeoutJobs(), []);
+});
+
+test('back restores earlier steps with their data, then has nothing to go back to', async () => {
+  await conversation.transition(USER, 'awaiting_cv', { jobIds: ['a'] });
+  await conversation.transition(USER, 'awaiting_cover_letter', { jobIds: ['a', 'b'] });
+  await conversation.transition(USER, 'confirming_application', { jobIds: ['a', 'b'] });
+
+  assert.deepEqual(await conversation.back(USER).then(({ state, data }) => ({ state, data })), {
+    state: 'awaiting_cover_letter', data: { jobIds: ['a', 'b'] }
+  });
+  assert.deepEqual(await conversation.back(USER).then(({ state, data }) => ({ state, data })), {
+    state: 'awaiting_cv', data: { jobIds: ['a'] }
+  });
+  assert.equal(await conversation.back(USER), null);
+});
+
+test('updating the current state does not add a history entry', async () => {
+  await conversation.transition(USER, 'awaiting_cv', { jobIds: ['a'] });
+  await conversation.transition(USER, 'confirming_application', { jobIds: ['a'] });
+  await conversation.transition(USER, 'confirming_application', { jobIds: ['a', 'b'] });
+  const current = await conversation.get(USER);
+  assert.deepEqual(current.history.map(entry => entry.state), ['awaiting_cv']);
+});
+
+test('back from a cover letter review returns to confirming the unsent jobs', async () => {
+  await conversation.transition(USER, 'confirming_application', { jobIds: ['a', 'b', 'c'] });
+  await conversation.transition(USER, 'reviewing_cover_letter', {
+    review: { current: { jobId: 'b' }, queue: ['c'], applied: [{ id: 'a' }], skipped: [] }
+  });
+  const previous = await conversation.back(USER);
+  assert.equal(previous.state, 'confirming_application');
+  assert.deepEqual(previous.data, { jobIds: ['b', 'c'] });
+});
+
+test('keeps one reminder and one expiry per user, for the latest version', async () => {
+  await conversation.transition(USER, 'awaiting_cv', {});
+  await conversation.transition(USER, 'awaiting_cover_letter', {});
+  const { version } = await conversation.transition(USER, 'confirming_application', {});
+
+  const jobs = timeoutJobs();
+  assert.deepEqual(jobs.map(job => job.name).sort(), ['expire', 'remind']);
+  for (const job of jobs) {
+    assert.deepEqual(job.data, { identifier: USER, version });
+    assert.ok(!job.id.includes(':'), 'BullMQ job ids cannot contain ":"');
+  }
+});
+
+test('stale reminder and expiry jobs do nothing', async () => {
+  const first = await conversation.transition(USER, 'awaiting_cv', {});
+  await conversation.transition(USER, 'awaiting_cover_letter', {});
+
+  for (const name of ['remind', 'expire']) {
+    const result = await runTimeout({ name, data: { identifier: USER, version: first.version } });
+    assert.deepEqual(result, { stale: true });
+  }
+  assert.deepEqual(calls, []);
+  assert.equal((await conversation.get(USER)).state, 'awaiting_cover_letter');
+});
+
+test('timeout jobs for a cancelled conversation do nothing', async () => {
+  const started = await conversation.transition(USER, 'awaiting_cv', {});
+  await conversation.reset(USER);
+  const result = await runTimeout({ name: 'expire', data: { identifier: USER, version: started.version } });
+  assert.deepEqual(result, { stale: true });
+  assert.deepEqual(calls, []);
+});
+
+test('current reminder and expiry jobs remind and then expire the conversation', async () => {
+  const { version } = await conversation.transition(USER, 'awaiting_cv', {});
+
+  await runTimeout({ name: 'remind', data: { identifier: USER, version } });
+  assert.deepEqual(calls, [['remind', USER, 'awaiting_cv']]);
+
+  await runTimeout({ name: 'expire', data: { identifier: USER, version } });
+  assert.deepEqual(calls.at(-1), ['reply', USER, 'stateExpired']);
+  assert.equal((await conversation.get(USER)).state, 'idle');
+});
+test('timeout jobs wait for a message being handled for the same user', async () => {
+  const { version } = await conversation.transition(USER, 'awaiting_cv', {});
+  fakes.store.set(`lock:user:${USER}`, { value: 'other-instance', expiresAt: null });
+  const run = runTimeout({ name: 'expire', data: { identifier: USER, version } });
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal((await conversation.get(USER)).state, 'awaiting_cv');
+
+  fakes.store.delete(`lock:user:${USER}`);
+  await run;
+  assert.equal((await conversation.get(USER)).state, 'idle');
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV } = require('../utils/csv');
+
+const lines = (text) => parseCSV(text).map(record => record.line);
+
+test('records map each header to its trimmed value', () => {
+  assert.deepEqual(parseCSV('Title,Company\n Driver , Dangote \n'), [
+    { line: 2, fields: { title: 'Driver', company: 'Dangote' } }
+  ]);
+});
+
+test('records report the line they start on', () => {
+  assert.deepEqual(lines('title,company\nDriver,Dangote\nNurse,LUTH'), [2, 3]);
+});
+
+test('blank lines are skipped without shifting later line numbers', () => {
+  assert.deepEqual(lines('title,company\n\nDriver,Dangote\n\r\n\nNurse,LUTH\n'), [3, 6]);
+});
+
+test('a quoted field spanning several lines counts those lines', () => {
+  const text = 'title,description\r\nAccountant,"Prepare accounts\r\nand reports\r\nfor audit"\r\nDriver,"Says ""hello"""\r\n';
+  assert.deepEqual(parseCSV(text), [
+    { line: 2, fields: { title: 'Accountant', description: 'Prepare accounts\r\nand reports\r\nfor audit' } },
+    { line: 5, fields: { title: 'Driver', description: 'Says "hello"' } }
+  ]);
+});
+
+test('leading blank lines before the header are counted', () => {
+  assert.deepEqual(lines('\n\ntitle\nDriver'), [4]);
+});
+
+test('an empty file has no records', () => {
+  assert.deepEqual(parseCSV(''), []);
+  assert.deepEqual(parseCSV('\n\n'), []);
+});
\ No newline at end of file
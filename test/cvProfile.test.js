@@ -0,0 +1,132 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fakes = require('./helpers/fakes');
+const { profileFromText, normalizeProfile, profileSummary } = require('../utils/cvProfile');
+const openaiService = require('../services/openai');
+
+// Each sample CV in fixtures/cvs has the profile the rules should give for it
+const FIXTURES = path.join(__dirname, 'fixtures', 'cvs');
+const samples = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.txt'))
+  .map(file => ({
+    name: path.basename(file, '.txt'),
+    text: fs.readFileSync(path.join(FIXTURES, file), 'utf8'),
+    expected: JSON.parse(fs.readFileSync(path.join(FIXTURES, file.replace(/\.txt$/, '.json')), 'utf8'))
+  }));
+
+const sample = name => samples.find(entry => entry.name === name);
+
+beforeEach(() => {
+  fakes.reset();
+});
+
+for (const { name, text, expected } of samples) {
+  test(`rules parse the ${name} sample CV`, () => {
+    assert.deepEqual(profileFromText(text), expected);
+  });
+}
+
+for (const [phone, expected] of [
+  ['08031234567', '+2348031234567'],
+  ['0803 123 4567', '+2348031234567'],
+  ['0803-123-4567', '+2348031234567'],
+  ['+234 803 123 4567', '+2348031234567'],
+  ['234-803-123-4567', '+2348031234567'],
+  ['+2347012345678', '+2347012345678'],
+  ['09061234567', '+2349061234567'],
+  ['01 234 5678', null],
+  ['not given', null]
+]) {
+  test(`phone ${JSON.stringify(phone)} is normalized to ${expected}`, () => {
+    assert.equal(normalizeProfile({ phone }, '').phone, expected);
+  });
+}
+
+for (const [line, expected] of [
+  ['NYSC: Completed 2019, Ogun State', 'completed'],
+  ['National Youth Service Corps (2018/2019)', 'completed'],
+  ['NYSC - currently serving in Abuja', 'serving'],
+  ['Corps member, NYSC Batch A 2024 (ongoing)', 'serving'],
+  ['NYSC exemption letter', 'exempted'],
+  ['NYSC: awaiting mobilisation', 'not_started'],
+  ['NYSC: not yet mobilised', 'not_started'],
+  ['Served as class representative', null]
+]) {
+  test(`NYSC status of ${JSON.stringify(line)} is ${expected}`, () => {
+    assert.equal(profileFromText(`Ada Obi\n${line}`).nysc, expected);
+  });
+}
+
+test('skills are deduplicated ignoring case, keeping the first spelling', () => {
+  const profile = normalizeProfile(
+    { skills: ['Excel', 'IFRS', 'excel ', 'Audit', ''] },
+    sample('adaeze-okafor').text
+  );
+  assert.deepEqual(profile.skills, ['Excel', 'IFRS', 'Audit', 'Financial Reporting', 'Sage 50', 'QuickBooks']);
+});
+
+test('a parsed profile is cleaned and missing fields come from the rules', () => {
+  const { text } = sample('adaeze-okafor');
+  const profile = normalizeProfile({
+    name: 'Adaeze  Okafor',
+    email: 'N/A',
+    phone: null,
+    location: 'unknown',
+    workHistory: [
+      { employer: 'Zenith Bank Plc', role: 'Senior Accountant', startDate: '2021-01', endDate: 'null' },
+      { employer: '', role: '' },
+      'KPMG'
+    ],
+    education: [{ institution: 'University of Nigeria, Nsukka', qualification: 'B.Sc.', field: 'Accounting', year: 2018 }],
+    certifications: [],
+    nysc: 'done',
+    skills: []
+  }, text);
+
+  assert.deepEqual(profile, {
+    name: 'Adaeze Okafor',
+    email: 'adaeze.okafor@gmail.com',
+    phone: '+2348031234567',
+    location: '12 Admiralty Way, Lekki, Lagos',
+    workHistory: [{ employer: 'Zenith Bank Plc', role: 'Senior Accountant', startDate: '2021-01', endDate: null }],
+    education: [{ institution: 'University of Nigeria, Nsukka', qualification: 'B.Sc.', field: 'Accounting', year: '2018' }],
+    certifications: [],
+    nysc: 'completed',
+    skills: ['Excel', 'Financial Reporting', 'IFRS', 'Sage 50', 'QuickBooks']
+  });
+});
+
+test('the profile summary for prompts lists what was found', () => {
+  const summary = profileSummary(sample('musa-ibrahim').expected);
+  assert.equal(summary, 'Location: Kano\nNYSC: serving\nSkills: Driving, Vehicle Maintenance, Route Planning');
+});
+
+test('parse-cv failing falls back to the rule-based profile', async () => {
+  fakes.queue('openai-tasks').process = async () => {
+    throw new Error('LLM provider unavailable');
+  };
+  for (const { text, expected } of samples) {
+    assert.deepEqual(await openaiService.parseCV(text), expected);
+  }
+});
+
+test('parse-cv results are normalized before they are stored', async () => {
+  const { text } = sample('musa-ibrahim');
+  fakes.queue('openai-tasks').process = async (job) => {
+    assert.equal(job.name, 'parse-cv');
+    return {
+      name: 'Musa Ibrahim',
+      phone: '0806 555 1234',
+      workHistory: [{ employer: 'Dangote Cement', role: 'Driver', startDate: '2021', endDate: null }],
+      nysc: 'serving',
+      skills: ['Heavy Goods Vehicles', 'driving']
+    };
+  };
+  const profile = await openaiService.parseCV(text);
+  assert.equal(profile.name, 'Musa Ibrahim');
+  assert.equal(profile.phone, '+2348065551234');
+  assert.equal(profile.email, 'musa.ibrahim@yahoo.com');
+  assert.deepEqual(profile.skills, ['Heavy Goods Vehicles', 'driving', 'Vehicle Maintenance', 'Route Planning']);
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+// In-memory stand-ins for Redis, BullMQ and StatsD so services can be loaded
+// and exercised without any servers. Require this before the code under test.
+const Module = require('module');
+const path = require('path');
+
+const store = new Map();
+const queues = new Map();
+const workers = new Map();
+
+function expired(key) {
+  const entry = store.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+  }
+  return !store.has(key);
+}
+
+class FakeRedis {
+  on() {
+    return this;
+  }
+
+  async get(key) {
+    return expired(key) ? null : store.get(key).value;
+  }
+
+  // Supports the EX/PX and NX options the services use
+  async set(key, value, ...options) {
+    let expiresAt = null;
+    let onlyIfMissing = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = String(options[i]).toUpperCase();
+      if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'NX') onlyIfMissing = true;
+    }
+    if (onlyIfMissing && !expired(key)) return null;
+    store.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(key => !expired(key) && store.delete(key)).length;
+  }
+
+  async incr(key) {
+    const next = Number(expired(key) ? 0 : store.get(key).value) + 1;
+    store.set(key, { value: String(next), expiresAt: expired(key) ? null : store.get(key).expiresAt });
+    return next;
+  }
+
+  async expire(key, seconds) {
+    if (expired(key)) return 0;
+    store.get(key).expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  // Only the compare-and-delete and compare-and-pexpire lock scripts are used
+  async eval(script, numKeys, key, token, ttlMs) {
+    if (expired(key) || store.get(key).value !== token) return 0;
+    if (script.includes('pexpire')) {
+      store.get(key).expiresAt = Date.now() + Number(ttlMs);
+    } else {
+      store.delete(key);
+    }
+    return 1;
+  }
+
+  async quit() {}
+}
+
+class FakeQueue {
+  constructor(name) {
+    this.name = name;
+    this.jobs = [];
+    this.nextId = 1;
+    // Set by tests: produces a job's result for waitUntilFinished
+    this.process = null;
+    // Set by tests: makes add() reject with this error
+    this.failAdd = null;
+    queues.set(name, this);
+  }
+
+  // Like BullMQ, adding a job with the id of an existing one does nothing
+  async add(name, data, opts = {}) {
+    if (this.failAdd) throw this.failAdd;
+    const existing = opts.jobId && this.jobs.find(job => job.id === opts.jobId);
+    if (existing) return existing;
+    const queue = this;
+    const job = {
+      id: opts.jobId || String(this.nextId++),
+      name,
+      data: JSON.parse(JSON.stringify(data)),
+      opts,
+      async waitUntilFinished() {
+        if (!queue.process) throw new Error(`No processor for ${queue.name}`);
+        return queue.process(job);
+      }
+    };
+    this.jobs.push(job);
+    return job;
+  }
+
+  async remove(jobId) {
+    const before = this.jobs.length;
+    this.jobs = this.jobs.filter(job => job.id !== jobId);
+    return before - this.jobs.length;
+  }
+
+  async close() {}
+}
+
+class FakeWorker {
+  constructor(name, processor, opts = {}) {
+    this.name = name;
+    this.processor = processor;
+    this.opts = opts;
+    this.handlers = {};
+    workers.set(name, this);
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+    return this;
+  }
+
+  async close() {}
+}
+
+class FakeQueueEvents {
+  on() {
+    return this;
+  }
+
+  async close() {}
+}
+
+class FakeStatsD {
+  gauge() {}
+  increment() {}
+  close() {}
+}
+
+const FAKES = {
+  ioredis: FakeRedis,
+  bullmq: { Queue: FakeQueue, Worker: FakeWorker, QueueEvents: FakeQueueEvents },
+  'node-statsd': FakeStatsD
+};
+
+const originalLoad = Module._load;
+Module._load = function load(request, parent, isMain) {
+  if (Object.prototype.hasOwnProperty.call(FAKES, request)) return FAKES[request];
+  return originalLoad.call(this, request, parent, isMain);
+};
+
+// Replaces a project module (path relative to the repo root) with the given exports
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, '..', '..', relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+function reset() {
+  store.clear();
+  for (const queue of queues.values()) {
+    queue.jobs = [];
+    queue.process = null;
+    queue.failAdd = null;
+  }
+}
+
+module.exports = {
+  store,
+  queue: name => queues.get(name),
+  worker: name => workers.get(name),
+  stubModule,
+  reset
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakes = require('./helpers/fakes');
+
+const handled = [];
+fakes.stubModule('services/bot.js', {
+  // The first message of a user is slow, so a later one would overtake it if
+  // messages weren't handled in order
+  handleInbound: async (inbound) => {
+    handled.push(`start ${inbound.identifier} ${inbound.text}`);
+    await new Promise(resolve => setTimeout(resolve, inbound.text === 'first' ? 30 : 1));
+    handled.push(`end ${inbound.identifier} ${inbound.text}`);
+  },
+  reply: async () => {}
+});
+
+const inboundService = require('../services/inbound');
+require('../workers/inbound');
+
+const USER = 'telegram:123456789';
+const OTHER = 'telegram:987654321';
+
+const message = (identifier, messageId, text) => ({ channel: 'telegram', identifier, messageId, type: 'text', text });
+const inboundJobs = () => fakes.queue('inbound').jobs;
+const runInbound = (job) => fakes.worker('inbound').processor(job);
+
+beforeEach(() => {
+  fakes.reset();
+  handled.length = 0;
+});
+
+test('a message delivered twice is only queued once', async () => {
+  assert.equal(await inboundService.accept(message(USER, '42', 'find jobs')), true);
+  assert.equal(await inboundService.accept(message(USER, '42', 'find jobs')), false);
+  assert.equal(inboundJobs().length, 1);
+});
+
+test('the same message id from another chat is a different message', async () => {
+  assert.equal(await inboundService.accept(message(USER, '42', 'hi')), true);
+  assert.equal(await inboundService.accept(message(OTHER, '42', 'hi')), true);
+  assert.equal(inboundJobs().length, 2);
+});
+
+test('messages without an id are never treated as duplicates', async () => {
+  assert.equal(await inboundService.accept(message(USER, null, 'hi')), true);
+  assert.equal(await inboundService.accept(message(USER, null, 'hi')), true);
+  assert.equal(inboundJobs().length, 2);
+});
+
+test('a message that could not be queued is accepted when the provider retries', async () => {
+  fakes.queue('inbound').failAdd = new Error('Redis unavailable');
+  await assert.rejects(inboundService.accept(message(USER, '7', 'apply 1')), /Redis unavailable/);
+  assert.equal(inboundJobs().length, 0);
+
+  fakes.queue('inbound').failAdd = null;
+  assert.equal(await inboundService.accept(message(USER, '7', 'apply 1')), true);
+  assert.equal(inboundJobs().length, 1);
+});
+
+test('two concurrent messages for one user are handled one after the other, in order', async () => {
+  await inboundService.accept(message(USER, '1', 'first'));
+  await inboundService.accept(message(USER, '2', 'second'));
+  // The worker starts both jobs at once, as it does with concurrency above 1
+  await Promise.all(inboundJobs().map(runInbound));
+
+  assert.deepEqual(handled, [
+    `start ${USER} first`,
+    `end ${USER} first`,
+    `start ${USER} second`,
+    `end ${USER} second`
+  ]);
+});
+
+test('different users are not held up by each other', async () => {
+  await inboundService.accept(message(USER, '1', 'first'));
+  await inboundService.accept(message(OTHER, '1', 'second'));
+  await Promise.all(inboundJobs().map(runInbound));
+
+  assert.deepEqual(handled.slice(0, 2), [`start ${USER} first`, `start ${OTHER} second`]);
+});
+
+test('a failed message does not block the next one for the same user', async () => {
+  const order = [];
+  const failing = inboundService.serialize(USER, async () => {
+    order.push('failing');
+    throw new Error('boom');
+  });
+  const next = inboundService.serialize(USER, async () => order.push('next'));
+
+  await assert.rejects(failing, /boom/);
+  await next;
+  assert.deepEqual(order, ['failing', 'next']);
+});
+
+test('the user lock is held while a message is handled and released afterwards', async () => {
+  let locked = null;
+  await inboundService.serialize(USER, async () => {
+    locked = fakes.store.has(`lock:user:${USER}`);
+  });
+  assert.equal(locked, true);
+  assert.equal(fakes.store.has(`lock:user:${USER}`), false);
+});
+
+test('waits for a lock held by another instance', async () => {
+  fakes.store.set(`lock:user:${USER}`, { value: 'other-instance', expiresAt: null });
+  let ran = false;
+  const run = inboundService.serialize(USER, async () => {
+    ran = true;
+  });
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(ran, false);
+
+  fakes.store.delete(`lock:user:${USER}`);
+  await run;
+  assert.equal(ran, true);
+});
+test('the user lock is renewed while a slow message is handled', async () => {
+  const { lockTtlMs, lockRenewMs } = inboundService;
+  inboundService.lockTtlMs = 50;
+  inboundService.lockRenewMs = 15;
+  try {
+    let heldAfterTtl = null;
+    await inboundService.serialize(USER, async () => {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      heldAfterTtl = fakes.store.get(`lock:user:${USER}`)?.expiresAt > Date.now();
+    });
+    assert.equal(heldAfterTtl, true);
+    assert.equal(fakes.store.has(`lock:user:${USER}`), false);
+  } finally {
+    Object.assign(inboundService, { lockTtlMs, lockRenewMs });
+  }
+});
\ No newline at end of file
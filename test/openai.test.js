@@ -0,0 +1,37 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakes = require('./helpers/fakes');
+const { provider } = require('../llm');
+const openaiService = require('../services/openai');
+require('../workers/openai');
+
+const CV = 'Adaeze Okafor\nAccountant with five years at Zenith Bank';
+const JOB = { id: 'job-1', title: 'Accountant', company: 'Dangote', location: 'Lagos' };
+const OWN_LETTER = 'Dear Hiring Manager,\n\nI have kept the books of a busy Lagos bank branch for five years and would like to bring that to your team.\n\nAdaeze Okafor';
+
+beforeEach(() => {
+  fakes.reset();
+  // Queued tasks run straight through the worker
+  fakes.queue('openai-tasks').process = (job) => fakes.worker('openai-tasks').processor(job);
+});
+
+test('a failed cover letter generation keeps the candidate\'s own letter', async () => {
+  provider.chat = async () => {
+    throw new Error('LLM provider unavailable');
+  };
+  assert.equal(await openaiService.generateCoverLetter(CV, JOB, OWN_LETTER), OWN_LETTER);
+});
+
+test('a failed cover letter generation without a letter of their own uses a generic one for the job', async () => {
+  provider.chat = async () => {
+    throw new Error('LLM provider unavailable');
+  };
+  const letter = await openaiService.generateCoverLetter(CV, JOB, null);
+  assert.match(letter, /the Accountant position at Dangote/);
+});
+
+test('a generated cover letter is used as it is', async () => {
+  const generated = `${OWN_LETTER}\n\nP.S. I am available to start immediately.`;
+  provider.chat = async () => generated;
+  assert.equal(await openaiService.generateCoverLetter(CV, JOB, OWN_LETTER), generated);
+});
\ No newline at end of file
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const recruiterService = require('../services/recruiters');
+
+for (const [input, expected] of [
+  [{ name: ' Dangote HR ', email: ' hr@dangote.com ' }, []],
+  [{ name: 'Dangote HR', email: 'hr@dangote' }, ['email must be a valid email address']],
+  [{ name: 'Dangote HR', email: 'hr @dangote.com' }, ['email must be a valid email address']],
+  [{ name: 'Dangote HR', email: 42 }, ['email is required']],
+  [{ email: 'hr@dangote.com' }, ['name is required']],
+  [null, ['name is required', 'email is required']]
+]) {
+  test(`recruiter ${JSON.stringify(input)} has errors ${JSON.stringify(expected)}`, () => {
+    assert.deepEqual(recruiterService.validateRecruiter(input).errors, expected);
+  });
+}
+
+test('a valid recruiter is trimmed', () => {
+  assert.deepEqual(recruiterService.validateRecruiter({ name: ' Dangote HR ', email: ' hr@dangote.com ' }).recruiter, {
+    name: 'Dangote HR', email: 'hr@dangote.com'
+  });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Deterministic parser for the commands people type most often. Anything it
+// doesn't recognise returns null and goes to the LLM, so patterns here should
+// only match when the meaning is unambiguous.
+
+const { isKnownLocation } = require('./synonyms');
+
+// Politeness and Pidgin fillers that don't change the meaning of a command
+const LEADING_FILLERS = /^(?:please|pls|plz|abeg|biko|kindly|oya|ehn|sir|ma)[\s,]+/;
+const TRAILING_FILLERS = /[\s,]+(?:please|pls|plz|abeg|biko|o+|now|sir|ma|thanks?|thank you)$/;
+
+const JOB_NOUNS = '(?:jobs?|work|vacanc(?:y|ies)|openings?|roles?|positions?)';
+const SEARCH_VERBS = '(?:find|search(?: for)?|look(?:ing)? for|show|get|give|i (?:dey )?(?:want|wan|need|dey find|dey look for|am looking for))';
+
+const PATTERNS = [
+  [/^(?:help|menu|commands|start|\/start|\/help|how (?:e )?(?:dey|does (?:it|this)) work|wetin (?:i fit|you fit|you dey) do|what can you do)$/, () => ({ action: 'help' })],
+  [/^(?:cancel|abort|never ?mind|forget (?:am|it|that)|leave (?:am|it))$/, () => ({ action: 'cancel' })],
+  [/^(?:back|go back|previous|previous step)$/, () => ({ action: 'back' })],
+  [/^(?:i (?:wan|want to) )?(?:apply|send)(?: (?:for|to))?(?: (?:all|everything|all of them|dem all|all the jobs|all jobs))$/, () => ({ action: 'apply_job', applyAll: true })],
+  [/^(?:i (?:wan|want to) |make i )?apply(?: (?:for|to))?(?: (?:job|number|no\.?))?\s*#?(\d+)$/, (m) => ({ action: 'apply_job', jobId: Number(m[1]) })],
+  [/^(?:more|next|next page|more jobs|show more|see more|(?:i wan )?see more|wetin remain|any other one)$/, () => ({ action: 'more_jobs' })],
+  [/^(?:page|go to page)\s*(\d+)$/, (m) => ({ action: 'more_jobs', page: Number(m[1]) })],
+  [/^(?:status|(?:my )?application status|my applications?|check (?:my )?(?:application )?status|wetin happen to my applications?|how my applications? dey)$/, () => ({ action: 'my_applications' })],
+  [/^(?:language|lang|change language(?: to)?|set language(?: to)?|(?:reply|talk|speak)(?: to me)? in|ede|èdè|harshe|asusu|asụsụ)(?:\s+(.+))?$/, (m) => ({ action: 'set_language', language: m[1] || null })],
+  [/^(?:my alerts|(?:list|show)(?: my)? alerts)$/, () => ({ action: 'list_alerts' })],
+  [/^(?:unsubscribe|stop alerts?)(?:\s+#?(\d+))?$/, (m) => ({ action: 'unsubscribe', alertNumber: m[1] ? Number(m[1]) : null })],
+  [/^(?:my cv|(?:show|view|see)(?: my)? cv)$/, () => ({ action: 'view_cv' })],
+  [/^(?:delete|remove|clear)(?: my)? cv$/, () => ({ action: 'delete_cv' })],
+  [/^(?:balance|my balance|(?:my )?credits?|check (?:my )?(?:balance|credits?)|my plan|how many credits(?: (?:do )?i (?:have|get))?)$/, () => ({ action: 'balance' })],
+  [/^(?:plans|pricing|prices?|buy|buy credits?|top ?up|recharge|subscribe)$/, () => ({ action: 'buy_plan', plan: null })],
+  [/^(?:buy|pay for|top ?up(?: with)?|subscribe(?: to)?)(?: the)? (starter|bundle|monthly)(?: plan| bundle)?$/, (m) => ({ action: 'buy_plan', plan: m[1] })],
+  [
+    new RegExp(`^${SEARCH_VERBS}(?: me)?(?: some| any| a)?\\s+(?:(remote)\\s+)?(.*?)\\s*\\b${JOB_NOUNS}\\b(?:\\s+(in|inside|for|around)\\s+([a-z][a-z.'-]*(?: [a-z][a-z.'-]*){0,2}))?$`),
+    (m) => searchIntent(m[2], m[4], m[1], m[3])
+  ]
+];
+
+function searchIntent(title, location, remote, preposition) {
+  title = (title || '').trim();
+  // "show my jobs" or "find the jobs" aren't searches for a title
+  if (/^(?:my|the|these|those|dem)\b/.test(title)) return null;
+  // Several places ("lagos and abuja", "lagos or ph") or a place with more
+  // conditions ("lagos for graduates") don't fit one location filter
+  if (location && /\b(?:and|or|abi|plus|for)\b/.test(location)) return null;
+  // "for" is as often about who the job is for ("for me", "for graduates")
+  // as where it is, so only places the search vocabulary knows are taken
+  if (location && preposition === 'for' && !isKnownLocation(location)) return null;
+  return {
+    action: 'search_jobs',
+    filters: {
+      title: title || null,
+      location: location ? location.trim() : null,
+      company: null,
+      remote: remote ? true : null
+    }
+  };
+}
+
+function normalize(message) {
+  let text = String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  text = text.replace(/[.!?]+$/, '');
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(LEADING_FILLERS, '').replace(TRAILING_FILLERS, '').trim();
+  } while (text !== previous);
+  return text;
+}
+
+// Returns an intent in the same shape as openaiService.parseJobQuery, or null
+function parseCommand(message) {
+  const text = normalize(message);
+  if (!text) return null;
+  for (const [pattern, build] of PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const intent = build(match);
+    if (!intent) return null;
+    return {
+      filters: { title: null, location: null, company: null, remote: null },
+      applyAll: false,
+      jobId: null,
+      page: null,
+      frequency: null,
+      alertNumber: null,
+      plan: null,
+      response: '',
+      ...intent
+    };
+  }
+  return null;
+}
+
+module.exports = { parseCommand };
\ No newline at end of file
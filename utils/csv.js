@@ -0,0 +1,63 @@
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings.
+// Each record is { line, fields }, where line is the source line the record
+// starts on, so errors point at the right place even after blank lines or
+// quoted fields spanning several lines.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Drop blank lines
+  const nonEmpty = rows.filter(r => r.values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].values.map(h => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map(({ line: start, values }) => ({
+    line: start,
+    fields: headers.reduce((record, header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : '';
+      return record;
+    }, {})
+  }));
+}
+
+module.exports = { parseCSV };
\ No newline at end of file
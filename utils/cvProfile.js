@@ -0,0 +1,140 @@
+// Normalized candidate profile parsed from a CV. The LLM does the parsing;
+// the rules here fill in contact details it missed and give a usable profile
+// when it is unavailable.
+
+const NYSC_STATUSES = ['completed', 'serving', 'exempted', 'not_started'];
+
+const MAX_ITEMS = 30;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+// Nigerian mobile numbers: 080..., 0803 ..., +234 803 ..., 234-803-...
+const PHONE_PATTERN = /(?:\+?234[\s-]?|0)([789][01]\d)[\s-]?(\d{3})[\s-]?(\d{4})\b/;
+
+const emptyProfile = () => ({
+  name: null,
+  email: null,
+  phone: null,
+  location: null,
+  workHistory: [],
+  education: [],
+  certifications: [],
+  nysc: null,
+  skills: []
+});
+
+function clean(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text && !/^(null|n\/a|none|unknown)$/i.test(text) ? text : null;
+}
+
+function normalizeEmail(value) {
+  const match = String(value || '').match(EMAIL_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+}
+
+// Stored in international format so it can be dialled or messaged directly
+function normalizePhone(value) {
+  const match = String(value || '').match(PHONE_PATTERN);
+  return match ? `+234${match[1]}${match[2]}${match[3]}` : null;
+}
+
+function nyscStatus(text) {
+  const mention = String(text || '').match(/[^\n]*(?:\bNYSC\b|National Youth Service)[^\n]*/i);
+  if (!mention) return null;
+  const line = mention[0];
+  if (/exempt/i.test(line)) return 'exempted';
+  if (/currently serving|ongoing|in progress|present|corps member/i.test(line)) return 'serving';
+  if (/not yet|awaiting|yet to/i.test(line)) return 'not_started';
+  return 'completed';
+}
+
+// Skills listed under a "Skills" heading, one per line or comma separated
+function skillsSection(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const start = lines.findIndex(line => /^\s*(?:key |core |technical )?skills\b\s*:?/i.test(line));
+  if (start === -1) return [];
+  const inline = lines[start].replace(/^\s*(?:key |core |technical )?skills\b\s*:?/i, '');
+  const items = [inline];
+  for (const line of lines.slice(start + 1)) {
+    // Stop at a blank line or the next heading
+    if (!line.trim() || /^[A-Z][A-Z &]{3,}:?\s*$/.test(line.trim())) break;
+    items.push(line);
+  }
+  return items.join(',').split(/[,;•|]|\s-\s/).map(item => clean(item.replace(/^[-*\s]+/, ''))).filter(Boolean);
+}
+
+function uniqueSkills(skills) {
+  const seen = new Set();
+  return skills.map(clean).filter((skill) => {
+    if (!skill || seen.has(skill.toLowerCase())) return false;
+    seen.add(skill.toLowerCase());
+    return true;
+  }).slice(0, MAX_ITEMS);
+}
+
+function cleanEntries(entries, fields) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => Object.fromEntries(fields.map(field => [field, clean(entry[field])])))
+    .filter(entry => fields.some(field => entry[field]))
+    .slice(0, MAX_ITEMS);
+}
+
+const looksLikeName = (value) => !!value && /^[A-Za-z'.-]+(?: [A-Za-z'.-]+){1,3}$/.test(value) && !/curriculum|resume|vitae/i.test(value);
+
+// Rule-based profile: contact details, NYSC status, a skills section and a
+// name from a "Name:" line or the first line
+function profileFromText(text) {
+  const profile = emptyProfile();
+  const labelled = clean((String(text || '').match(/^\s*(?:full )?name\s*:\s*([^\n]+)/im) || [])[1]);
+  const firstLine = clean(String(text || '').split(/\r?\n/).find(line => line.trim()));
+  profile.name = [labelled, firstLine].find(looksLikeName) || null;
+  profile.email = normalizeEmail(text);
+  profile.phone = normalizePhone(text);
+  profile.location = clean((String(text || '').match(/(?:address|location)\s*:\s*([^\n]+)/i) || [])[1]);
+  profile.nysc = nyscStatus(text);
+  profile.skills = uniqueSkills(skillsSection(text));
+  return profile;
+}
+
+// Cleans a parsed profile and falls back to the rules for anything missing
+function normalizeProfile(parsed, text) {
+  const rules = profileFromText(text);
+  const raw = parsed && typeof parsed === 'object' ? parsed : {};
+  return {
+    name: clean(raw.name) || rules.name,
+    email: normalizeEmail(raw.email) || rules.email,
+    phone: normalizePhone(raw.phone) || rules.phone,
+    location: clean(raw.location) || rules.location,
+    workHistory: cleanEntries(raw.workHistory, ['employer', 'role', 'startDate', 'endDate']),
+    education: cleanEntries(raw.education, ['institution', 'qualification', 'field', 'year']),
+    certifications: cleanEntries(raw.certifications, ['name', 'issuer', 'year']),
+    nysc: NYSC_STATUSES.includes(raw.nysc) ? raw.nysc : rules.nysc,
+    skills: uniqueSkills([...(Array.isArray(raw.skills) ? raw.skills : []), ...rules.skills])
+  };
+}
+
+// Most recent role first, as "Role at Employer"
+function currentRole(profile) {
+  const latest = profile?.workHistory?.[0];
+  if (!latest) return null;
+  return [latest.role, latest.employer].filter(Boolean).join(' at ') || null;
+}
+
+// Short plain-text form for LLM prompts
+function profileSummary(profile) {
+  if (!profile) return '';
+  return [
+    profile.location && `Location: ${profile.location}`,
+    currentRole(profile) && `Current or latest role: ${currentRole(profile)}`,
+    profile.workHistory.length > 0 && `Roles held: ${profile.workHistory.map(entry => entry.role).filter(Boolean).join(', ')}`,
+    profile.education.length > 0 && `Education: ${profile.education.map(entry => [entry.qualification, entry.field, entry.institution].filter(Boolean).join(', ')).join('; ')}`,
+    profile.certifications.length > 0 && `Certifications: ${profile.certifications.map(entry => entry.name).filter(Boolean).join(', ')}`,
+    profile.nysc && `NYSC: ${profile.nysc.replace('_', ' ')}`,
+    profile.skills.length > 0 && `Skills: ${profile.skills.join(', ')}`
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = { NYSC_STATUSES, emptyProfile, profileFromText, normalizeProfile, currentRole, profileSummary };
\ No newline at end of file
@@ -0,0 +1,21 @@
+const { Pool } = require('pg');
+const config = require('../config');
+const logger = require('./logger');
+
+// Shared by every service in the process, so database.maxConnections is the
+// total number of connections a process can open
+const pool = new Pool({
+  host: config.get('database.host'),
+  port: config.get('database.port'),
+  database: config.get('database.name'),
+  user: config.get('database.user'),
+  password: config.get('database.password'),
+  max: config.get('database.maxConnections')
+});
+
+// An idle client losing its connection must not crash the process
+pool.on('error', (error) => {
+  logger.error('Idle database client error', { error: error.message });
+});
+
+module.exports = pool;
\ No newline at end of file
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const { createWorker } = require('tesseract.js');
+const config = require('../config');
+const logger = require('./logger');
+
+const execFilePromise = util.promisify(execFile);
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const IMAGE_MIMES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Detected MIME type to the extension the file is stored under
+const SUPPORTED = {
+  'application/pdf': 'pdf',
+  [DOCX_MIME]: 'docx',
+  // Legacy Word documents are OLE compound files
+  'application/x-cfb': 'doc',
+  'application/rtf': 'rtf',
+  'text/plain': 'txt',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Plain text has no magic number: accept valid UTF-8 without control bytes
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 64 * 1024);
+  if (sample.length === 0 || sample.includes(0)) return false;
+  const text = sample.toString('utf8');
+  if (text.includes('\uFFFD')) return false;
+  return !/[\x01-\x08\x0E-\x1F]/.test(text);
+}
+
+// Returns { mime, ext } for a supported CV file, or null
+async function detectDocumentType(buffer) {
+  const fileType = await import('file-type');
+  const type = await fileType.fileTypeFromBuffer(buffer);
+  if (type && SUPPORTED[type.mime]) {
+    return { mime: type.mime, ext: SUPPORTED[type.mime] };
+  }
+  if (!type && looksLikeText(buffer)) {
+    return { mime: 'text/plain', ext: 'txt' };
+  }
+  return null;
+}
+
+// Keeps the visible text of an RTF document and drops formatting, font and
+// colour tables, pictures and other destinations
+function rtfToText(rtf) {
+  const SKIPPED = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable'];
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 0;
+  let out = '';
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+    if (char === '{') {
+      stack.push(skip);
+    } else if (char === '}') {
+      skip = stack.pop() ?? false;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) out += next;
+        i++;
+      } else if (next === '*') {
+        skip = true;
+        i++;
+      } else if (next === "'") {
+        if (!skip && unicodeSkip === 0) out += Buffer.from(rtf.substr(i + 2, 2), 'hex').toString('latin1');
+        if (unicodeSkip > 0) unicodeSkip--;
+        i += 3;
+      } else {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          i++;
+          continue;
+        }
+        const [token, word, arg] = match;
+        i += token.length;
+        if (SKIPPED.includes(word)) skip = true;
+        if (skip) continue;
+        if (word === 'par' || word === 'line') out += '\n';
+        else if (word === 'tab') out += '\t';
+        else if (word === 'u' && arg !== undefined) {
+          out += String.fromCharCode(Number(arg) < 0 ? Number(arg) + 65536 : Number(arg));
+          // Each \u is followed by a fallback character for older readers
+          unicodeSkip = 1;
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      continue;
+    } else if (!skip) {
+      if (unicodeSkip > 0) unicodeSkip--;
+      else out += char;
+    }
+  }
+  return out;
+}
+
+// English language data ships with @tesseract.js-data/eng, so OCR never has to
+// download it. Other languages need OCR_LANG_PATH; without it tesseract.js
+// would fetch them from its CDN on the first photographed CV, so fail at startup.
+const BUNDLED_LANG_PATH = path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+if (config.get('ocr.enabled') && !config.get('ocr.langPath') && config.get('ocr.languages') !== 'eng') {
+  throw new Error(`OCR_LANG_PATH must be set to a directory with the .traineddata files for OCR_LANGUAGES=${config.get('ocr.languages')}`);
+}
+
+let ocrWorker = null;
+
+// One OCR worker is shared by every job; creating one loads the language data
+async function getOcrWorker() {
+  if (!ocrWorker) {
+    const langPath = config.get('ocr.langPath');
+    const options = langPath ? { langPath, gzip: false } : { langPath: BUNDLED_LANG_PATH, gzip: true };
+    ocrWorker = createWorker(config.get('ocr.languages'), 1, options)
+      .catch((error) => {
+        ocrWorker = null;
+        throw error;
+      });
+  }
+  return ocrWorker;
+}
+
+async function recognize(image) {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(image);
+  return data.text || '';
+}
+
+// Scanned PDFs are rendered to images with poppler's pdftoppm first
+async function ocrPdf(buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-ocr-'));
+  try {
+    const input = path.join(dir, 'cv.pdf');
+    fs.writeFileSync(input, buffer);
+    await execFilePromise('pdftoppm', [
+      '-r', '200', '-png', '-f', '1', '-l', String(config.get('ocr.maxPages')), input, path.join(dir, 'page')
+    ], { timeout: 60000 });
+
+    const pages = fs.readdirSync(dir).filter(name => name.startsWith('page')).sort();
+    const texts = [];
+    for (const page of pages) {
+      texts.push(await recognize(fs.readFileSync(path.join(dir, page))));
+    }
+    return texts.join('\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const meaningfulLength = (text) => String(text || '').replace(/\s+/g, '').length;
+
+// Returns { text, ocr } where ocr says whether the text came from OCR
+async function extractText(buffer, { mime }) {
+  if (IMAGE_MIMES.includes(mime)) {
+    if (!config.get('ocr.enabled')) throw new Error('Unsupported file type');
+    return { text: await recognize(buffer), ocr: true };
+  }
+
+  switch (mime) {
+    case 'application/pdf': {
+      const { text } = await pdfParse(buffer);
+      if (!config.get('ocr.enabled') || meaningfulLength(text) >= config.get('ocr.minPdfTextLength')) {
+        return { text, ocr: false };
+      }
+      try {
+        const ocrText = await ocrPdf(buffer);
+        return meaningfulLength(ocrText) > meaningfulLength(text) ? { text: ocrText, ocr: true } : { text, ocr: false };
+      } catch (error) {
+        // Missing pdftoppm or OCR data shouldn't lose the text that was found
+        logger.warn('PDF OCR failed, using extracted text', { error: error.message });
+        return { text, ocr: false };
+      }
+    }
+    case DOCX_MIME: {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { text: value, ocr: false };
+    }
+    case 'application/x-cfb': {
+      const document = await new WordExtractor().extract(buffer);
+      return { text: document.getBody(), ocr: false };
+    }
+    case 'application/rtf':
+      return { text: rtfToText(buffer.toString('latin1')), ocr: false };
+    case 'text/plain':
+      return { text: buffer.toString('utf8'), ocr: false };
+    default:
+      throw new Error('Unsupported file type');
+  }
+}
+
+async function terminateOcr() {
+  if (!ocrWorker) return;
+  const worker = await ocrWorker.catch(() => null);
+  ocrWorker = null;
+  if (worker) await worker.terminate();
+}
+
+module.exports = { detectDocumentType, extractText, terminateOcr };
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { currentRole } = require('./cvProfile');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function skillList(skills) {
+  return skills && skills.length > 0 ? skills.map(escapeHtml).join(', ') : 'None identified';
+}
+
+// Label/value rows from the candidate's parsed CV profile, skipping empty fields
+function profileRows(profile) {
+  if (!profile) return [];
+  return [
+    ['Phone', profile.phone],
+    ['Location', profile.location],
+    ['Current role', currentRole(profile)],
+    ['Education', (profile.education || []).slice(0, 2).map(entry => [entry.qualification, entry.field, entry.institution].filter(Boolean).join(', ')).join('; ')],
+    ['Certifications', (profile.certifications || []).map(entry => entry.name).filter(Boolean).join(', ')],
+    ['NYSC', profile.nysc ? profile.nysc.replace('_', ' ') : null],
+    ['Skills', (profile.skills || []).slice(0, 15).join(', ')]
+  ].filter(([, value]) => value);
+}
+
+// Recruiter notification for a new application. Returns subject, html and a
+// plain-text alternative for mail clients that don't render HTML.
+function applicationEmail({ job, applicant, match, coverLetter }) {
+  const subject = `New Application for ${job.title}`;
+  const name = applicant.name || 'A candidate';
+  const scoreColor = match && match.score >= 70 ? '#1b7f3b' : match && match.score >= 40 ? '#b7791f' : '#c53030';
+
+  const rows = profileRows(applicant.profile);
+  const profileHtml = rows.length > 0
+    ? `
+    <table cellpadding="6" style="border-collapse:collapse;margin:16px 0;">
+      ${rows.map(([label, value]) => `<tr><td style="color:#555;">${label}</td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>`
+    : '';
+
+  const matchHtml = match
+    ? `
+      <table cellpadding="6" style="border-collapse:collapse;margin:16px 0;">
+        <tr><td style="color:#555;">Match score</td><td><strong style="color:${scoreColor};font-size:18px;">${escapeHtml(match.score)}%</strong></td></tr>
+        <tr><td style="color:#555;">Matched skills</td><td>${skillList(match.matchedSkills)}</td></tr>
+        <tr><td style="color:#555;">Missing skills</td><td>${skillList(match.missingSkills)}</td></tr>
+      </table>
+      <p style="color:#333;">${escapeHtml(match.summary)}</p>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:640px;margin:0 auto;padding:24px;">
+    <h2 style="margin:0 0 8px;">New application: ${escapeHtml(job.title)}</h2>
+    <p style="margin:0 0 16px;color:#555;">${escapeHtml(job.company)} &middot; ${escapeHtml(job.location)}</p>
+    <p><strong>${escapeHtml(name)}</strong> applied via SmartCVNaija.<br>
+      Email: <a href="mailto:${escapeHtml(applicant.email)}">${escapeHtml(applicant.email)}</a></p>
+    ${profileHtml}
+    ${matchHtml}
+    <h3 style="margin-top:24px;">Cover letter</h3>
+    <div style="white-space:pre-wrap;border-left:3px solid #ddd;padding-left:12px;color:#333;">${escapeHtml(coverLetter)}</div>
+    <p style="margin-top:24px;color:#777;font-size:12px;">The candidate's CV and cover letter are attached.</p>
+  </body>
+</html>`;
+
+  const matchText = match
+    ? `Match Score: ${match.score}%\nMatched Skills: ${(match.matchedSkills || []).join(', ') || 'None'}\nMissing Skills: ${(match.missingSkills || []).join(', ') || 'None'}\n${match.summary}\n\n`
+    : '';
+  const profileText = rows.map(([label, value]) => `${label}: ${value}\n`).join('');
+  const text = `A new application has been submitted for ${job.title}.\n\nApplicant: ${name}\nApplicant Email: ${applicant.email}\n${profileText}\n${matchText}Cover Letter:\n${coverLetter}\n\nThe CV and cover letter are attached.`;
+
+  return { subject, html, text };
+}
+
+module.exports = { escapeHtml, applicationEmail };
\ No newline at end of file
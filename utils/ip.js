@@ -0,0 +1,31 @@
+const net = require('net');
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+}
+
+// Entries are exact addresses or IPv4 CIDR ranges ("149.154.160.0/20").
+// An empty list allows every address.
+function isIpAllowed(ip, allowlist = []) {
+  const entries = allowlist.map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  return entries.some((entry) => {
+    const [range, bits] = entry.split('/');
+    if (bits === undefined) return normalizeIp(range) === address;
+    if (!net.isIPv4(range) || !net.isIPv4(address)) return false;
+    const prefix = Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) return false;
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return (ipv4ToInt(range) & mask) >>> 0 === (ipv4ToInt(address) & mask) >>> 0;
+  });
+}
+
+module.exports = { isIpAllowed, normalizeIp };
\ No newline at end of file
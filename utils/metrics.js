@@ -1,12 +1,13 @@
-const StatsD = require('node-statsd');
-
-const statsd = new StatsD({
-  host: 'localhost',
-  port: 8125
-});
-
-function trackMetric(name, value, tags = []) {
-  statsd.gauge(name, value, tags);
-}
-
-module.exports = { statsd, trackMetric };
\ No newline at end of file
+const StatsD = require('node-statsd');
+
+const statsd = new StatsD({
+  host: 'localhost',
+  port: 8125
+});
+
+// For events; statsd sums the increments so rates and totals can be derived
+function countMetric(name, tags = [], count = 1) {
+  statsd.increment(name, count, tags);
+}
+
+module.exports = { statsd, countMetric };
\ No newline at end of file
@@ -0,0 +1,21 @@
+const PDFDocument = require('pdfkit');
+
+function renderCoverLetterPdf({ applicantName, jobTitle, company, coverLetter }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 60 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(16).text(applicantName || 'Cover Letter');
+    doc.moveDown(0.3);
+    doc.fontSize(11).fillColor('#555555').text(`Application for ${jobTitle} at ${company}`);
+    doc.text(new Date().toLocaleDateString('en-NG', { year: 'numeric', month: 'long', day: 'numeric' }));
+    doc.moveDown(1.5);
+    doc.fillColor('#000000').fontSize(11).text(coverLetter, { align: 'left', lineGap: 3 });
+    doc.end();
+  });
+}
+
+module.exports = { renderCoverLetterPdf };
\ No newline at end of file
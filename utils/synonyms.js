@@ -0,0 +1,65 @@
+// Search vocabulary for the Nigerian job market. Searching a city matches its
+// well-known districts; searching a district or alias also matches the city.
+const LOCATION_GROUPS = {
+  abuja: ['fct', 'federal capital territory', 'garki', 'wuse', 'maitama', 'asokoro', 'gwarinpa', 'jabi', 'kubwa'],
+  lagos: ['ikeja', 'lekki', 'victoria island', 'vi', 'ikoyi', 'yaba', 'surulere', 'ajah', 'apapa', 'oshodi', 'ikorodu', 'maryland', 'gbagada'],
+  'port harcourt': ['ph', 'phc', 'port-harcourt', 'rivers'],
+  ibadan: ['oyo'],
+  benin: ['benin city', 'edo'],
+  enugu: ['coal city'],
+  owerri: ['imo'],
+  uyo: ['akwa ibom'],
+  warri: ['delta', 'asaba'],
+  abeokuta: ['ogun', 'ota', 'sango ota'],
+  calabar: ['cross river'],
+  jos: ['plateau'],
+  kano: [],
+  kaduna: ['zaria']
+};
+
+// Titles within a group are interchangeable for search purposes
+const TITLE_GROUPS = [
+  ['software engineer', 'software developer', 'programmer', 'developer', 'coder'],
+  ['frontend developer', 'front-end developer', 'frontend engineer', 'react developer', 'web developer'],
+  ['backend developer', 'back-end developer', 'backend engineer', 'node developer'],
+  ['data analyst', 'data scientist', 'business intelligence analyst'],
+  ['accountant', 'accounts officer', 'account officer', 'bookkeeper'],
+  ['customer service', 'customer care', 'customer support', 'call center agent', 'customer service representative'],
+  ['sales representative', 'sales executive', 'sales officer', 'marketer', 'business development'],
+  ['hr', 'human resources', 'hr officer', 'human resource officer', 'hr manager'],
+  ['admin officer', 'administrative officer', 'office assistant', 'secretary'],
+  ['graphic designer', 'designer', 'ui designer', 'ux designer', 'product designer'],
+  ['driver', 'chauffeur'],
+  ['nurse', 'nursing officer'],
+  ['doctor', 'medical officer', 'physician'],
+  ['teacher', 'tutor', 'educator', 'instructor'],
+  ['security guard', 'security officer', 'security']
+];
+
+function normalize(term) {
+  return String(term).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function expandLocation(term) {
+  const value = normalize(term);
+  if (!value) return [];
+  if (LOCATION_GROUPS[value]) {
+    return [value, ...LOCATION_GROUPS[value]];
+  }
+  const city = Object.keys(LOCATION_GROUPS).find(key => LOCATION_GROUPS[key].includes(value));
+  return city ? [value, city] : [value];
+}
+
+function isKnownLocation(term) {
+  const value = normalize(term);
+  return !!LOCATION_GROUPS[value] || Object.values(LOCATION_GROUPS).some(aliases => aliases.includes(value));
+}
+
+function expandTitle(term) {
+  const value = normalize(term);
+  if (!value) return [];
+  const group = TITLE_GROUPS.find(titles => titles.includes(value));
+  return group ? [value, ...group.filter(title => title !== value)] : [value];
+}
+
+module.exports = { expandLocation, expandTitle, isKnownLocation };
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Deliberately loose: something@domain.tld, no whitespace. Anything stricter
+// rejects real addresses; bounces are caught when mail is sent.
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmail(value) {
+  return typeof value === 'string' && EMAIL_REGEX.test(value);
+}
+
+module.exports = { isEmail };
\ No newline at end of file
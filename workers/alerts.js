@@ -0,0 +1,84 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const alertService = require('../services/alerts');
+const jobService = require('../services/jobs');
+const bot = require('../services/bot');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+const alertQueue = new Queue('job-alerts', { connection });
+
+// Repeatable jobs are keyed by name + repeat options, so re-adding on every
+// boot doesn't create duplicates
+alertQueue.add('scan', { frequency: 'instant' }, {
+  repeat: { every: config.get('alerts.instantIntervalMinutes') * 60 * 1000 },
+  removeOnComplete: 100,
+  removeOnFail: 100
+}).catch(error => logger.error('Failed to schedule instant job alerts', { error: error.message }));
+
+alertQueue.add('scan', { frequency: 'daily' }, {
+  repeat: { pattern: config.get('alerts.dailyCron'), tz: 'Africa/Lagos' },
+  removeOnComplete: 30,
+  removeOnFail: 30
+}).catch(error => logger.error('Failed to schedule daily job alerts', { error: error.message }));
+
+const MAX_JOBS_PER_ALERT = 10;
+
+async function scanAlert(alert, scanStartedAt) {
+  // Oldest unsent jobs posted since the last scan (or since the alert was created)
+  const { rows } = await jobService.searchJobs(alert.filters, {
+    limit: MAX_JOBS_PER_ALERT,
+    createdSince: alert.last_checked_at || alert.created_at,
+    oldestFirst: true,
+    unsentForAlert: alert.id
+  });
+  // A full batch may have left newer jobs behind, so the checkpoint only moves
+  // up to the last job sent and the next scan picks up from there
+  const checkpoint = rows.length === MAX_JOBS_PER_ALERT ? rows[rows.length - 1].created_at : scanStartedAt;
+  const freshIds = await alertService.recordNotified(alert.id, rows.map(job => job.id), checkpoint);
+  const fresh = rows.filter(job => freshIds.includes(job.id));
+  if (fresh.length > 0) {
+    await bot.sendJobAlert(alert, fresh);
+  }
+  return fresh.length;
+}
+
+const alertWorker = new Worker('job-alerts', async (job) => {
+  const { frequency } = job.data;
+  const scanStartedAt = new Date();
+  const alerts = await alertService.getDueAlerts(frequency);
+  let notified = 0;
+
+  for (const alert of alerts) {
+    try {
+      if (await scanAlert(alert, scanStartedAt) > 0) notified++;
+    } catch (error) {
+      // One failing alert shouldn't block the rest of the scan
+      logger.error('Job alert scan failed', { alertId: alert.id, error: error.message });
+    }
+  }
+
+  countMetric('alerts.notified', [`frequency:${frequency}`], notified);
+  return { scanned: alerts.length, notified };
+}, { connection });
+
+alertWorker.on('completed', (job, result) => {
+  logger.info('Job alert scan completed', { jobId: job.id, frequency: job.data.frequency, ...result });
+});
+
+alertWorker.on('failed', (job, err) => {
+  logger.error('Job alert scan failed', {
+    jobId: job?.id,
+    error: err.message
+  });
+});
+
+module.exports = alertWorker;
\ No newline at end of file
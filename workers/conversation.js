@@ -0,0 +1,49 @@
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const conversation = require('../services/conversation');
+const inboundService = require('../services/inbound');
+const bot = require('../services/bot');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Reminders and expiry are scheduled on every state change; only the jobs for
+// the state the user is still in do anything. They take the user's lock like
+// inbound messages, so they never change state under a message being handled.
+const conversationWorker = new Worker('conversation-timeouts', async (job) => {
+  const { identifier, version } = job.data;
+  return inboundService.serialize(identifier, async () => {
+    const current = await conversation.isCurrent(identifier, version);
+    if (!current) {
+      return { stale: true };
+    }
+
+    if (job.name === 'remind') {
+      await bot.remindConversation(identifier, current);
+    } else if (job.name === 'expire') {
+      await conversation.reset(identifier);
+      await bot.reply(identifier, 'stateExpired');
+    } else {
+      throw new Error(`Unknown job type: ${job.name}`);
+    }
+    countMetric('conversation.timeout', [`type:${job.name}`, `state:${current.state}`]);
+    return { state: current.state };
+  });
+}, { connection });
+
+conversationWorker.on('failed', (job, err) => {
+  logger.error('Conversation timeout job failed', {
+    jobId: job?.id,
+    name: job?.name,
+    error: err.message
+  });
+});
+
+module.exports = conversationWorker;
\ No newline at end of file
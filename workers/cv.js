@@ -1,76 +1,92 @@
-const { Worker } = require('bullmq');
-const Redis = require('ioredis');
-const config = require('../config');
-const logger = require('../utils/logger');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
-const { exec } = require('child_process');
-const util = require('util');
-const fs = require('fs');
-
-const execPromise = util.promisify(exec);
-
-const redis = new Redis({
-  host: config.get('redis.host'),
-  port: config.get('redis.port'),
-  password: config.get('redis.password'),
-  maxRetriesPerRequest: null
-});
-
-const cvWorker = new Worker('cv-processing', async (job) => {
-  const { file, identifier } = job.data;
-  try {
-    // Fixed dynamic import
-    const fileType = await import('file-type');
-    const type = await fileType.fileTypeFromBuffer(file.buffer);
-
-    if (
-      ![
-        'application/pdf',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-      ].includes(type?.mime)
-    ) {
-      throw new Error('Unsupported file type');
-    }
-
-    const tempFile = `/tmp/${identifier}_${Date.now()}.${type.ext}`;
-    fs.writeFileSync(tempFile, file.buffer);
-
-    // Only scan if clamscan is available
-    try {
-      await execPromise(`which clamscan`);
-      await execPromise(`clamscan ${tempFile}`);
-    } catch (error) {
-      logger.warn('ClamAV not available, skipping virus scan', { identifier });
-    }
-
-    let text;
-    if (type.mime === 'application/pdf') {
-      const data = await pdfParse(file.buffer);
-      text = data.text;
-    } else {
-      const { value } = await mammoth.extractRawText({ buffer: file.buffer });
-      text = value;
-    }
-
-    fs.unlinkSync(tempFile);
-    return text;
-
-  } catch (error) {
-    logger.error('CV processing error', { identifier, error });
-    throw error;
-  }
-}, { connection: redis });
-
-cvWorker.on('completed', (job) => {
-  logger.info('CV processing completed', { jobId: job.id });
-});
-
-cvWorker.on('failed', (job, err) => {
-  logger.error('CV processing failed', {
-    jobId: job.id,
-    error: err.message
-  });
-});
-
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const storage = require('../services/storage');
+const bot = require('../services/bot');
+const inboundService = require('../services/inbound');
+const { detectDocumentType, extractText, terminateOcr } = require('../utils/documents');
+const { exec } = require('child_process');
+const util = require('util');
+const fs = require('fs');
+
+const execPromise = util.promisify(exec);
+
+const redis = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+const cvWorker = new Worker('cv-processing', async (job) => {
+  const { fileKey, identifier } = job.data;
+  try {
+    // The upload is kept in storage rather than in the job payload
+    const buffer = await storage.read(fileKey);
+
+    const type = await detectDocumentType(buffer);
+    if (!type) {
+      throw new Error('Unsupported file type');
+    }
+
+    const tempFile = `/tmp/${identifier}_${Date.now()}.${type.ext}`;
+    fs.writeFileSync(tempFile, buffer);
+
+    // Only scan if clamscan is available
+    try {
+      await execPromise(`which clamscan`);
+      await execPromise(`clamscan ${tempFile}`);
+    } catch (error) {
+      logger.warn('ClamAV not available, skipping virus scan', { identifier });
+    }
+
+    let extracted;
+    try {
+      extracted = await extractText(buffer, type);
+    } finally {
+      fs.unlinkSync(tempFile);
+    }
+    // e.g. a blurred photo or an empty scan
+    if (!extracted.text || !extracted.text.trim()) {
+      throw new Error('No readable text in CV');
+    }
+    if (extracted.ocr) {
+      countMetric('cv.ocr', [`mime:${type.mime}`]);
+    }
+    return { text: extracted.text, mime: type.mime, ext: type.ext, ocr: extracted.ocr };
+
+  } catch (error) {
+    logger.error('CV processing error', { identifier, error });
+    throw error;
+  }
+}, { connection: redis });
+
+// The upload was acknowledged with an interim reply; these send the follow-up
+cvWorker.on('completed', (job, result) => {
+  logger.info('CV processing completed', { jobId: job.id });
+  // Changes the conversation state, so it waits its turn behind the user's messages
+  inboundService.serialize(job.data.identifier, () => bot.completeCvUpload(job.data, result)).catch((error) => {
+    logger.error('CV follow-up failed', { jobId: job.id, error: error.message });
+  });
+});
+
+cvWorker.on('failed', (job, err) => {
+  logger.error('CV processing failed', {
+    jobId: job?.id,
+    error: err.message
+  });
+  if (!job) return;
+  bot.failCvUpload(job.data, err).catch((error) => {
+    logger.error('CV failure reply failed', { jobId: job.id, error: error.message });
+  });
+});
+
+cvWorker.on('closed', () => {
+  terminateOcr().catch((error) => {
+    logger.warn('Failed to stop OCR worker', { error: error.message });
+  });
+});
+
 module.exports = cvWorker;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const bot = require('../services/bot');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Application emails to recruiters, queued once the application is saved and
+// its credit charged. Failed sends are retried with backoff.
+const emailWorker = new Worker('application-emails', async (job) => {
+  await bot.deliverApplicationEmail(job.data.applicationId);
+}, { connection });
+
+emailWorker.on('failed', (job, err) => {
+  logger.error('Application email failed', {
+    jobId: job?.id,
+    attempt: job?.attemptsMade,
+    error: err.message
+  });
+  // Only once the last retry has failed
+  if (!job || job.attemptsMade < (job.opts.attempts || 1)) return;
+  bot.failApplicationEmail(job.data.applicationId).catch((error) => {
+    logger.error('Failed to mark application unsent', { applicationId: job.data.applicationId, error: error.message });
+  });
+});
+
+module.exports = emailWorker;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const inboundService = require('../services/inbound');
+const bot = require('../services/bot');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Different users are handled in parallel; each user's messages still run one
+// at a time, in the order they were queued
+const INBOUND_CONCURRENCY = 10;
+
+const inboundWorker = new Worker('inbound', async (job) => {
+  const inbound = job.data;
+  await inboundService.serialize(inbound.identifier, () => bot.handleInbound(inbound));
+}, { connection, concurrency: INBOUND_CONCURRENCY });
+
+// Not retried: the bot may already have replied or changed state
+inboundWorker.on('failed', (job, err) => {
+  logger.error('Error processing inbound message', {
+    jobId: job?.id,
+    channel: job?.data.channel,
+    messageType: job?.data.type,
+    identifier: job?.data.identifier,
+    error: err.message
+  });
+  if (!job) return;
+  bot.reply(job.data.identifier, 'error').catch((error) => {
+    logger.error('Failed to send error message to user', { identifier: job.data.identifier, error: error.message });
+  });
+});
+
+module.exports = inboundWorker;
\ No newline at end of file
@@ -1,134 +1,240 @@
-const { Worker } = require('bullmq');
-const axios = require('axios');
-const Redis = require('ioredis');
-const config = require('../config');
-const logger = require('../utils/logger');
-
-const connection = new Redis({
-  host: config.get('redis.host'),
-  port: config.get('redis.port'),
-  password: config.get('redis.password'),
-  maxRetriesPerRequest: null
-});
-
-async function mistralChat(messages) {
-  const response = await axios.post(
-    'https://api.mistral.ai/v1/chat/completions',
-    {
-      model: 'mistral-small-latest',
-      messages: messages,
-      temperature: 0.1,
-      max_tokens: 1000
-    },
-    {
-      headers: {
-        'Authorization': `Bearer ${config.get('openai.key')}`,
-        'Content-Type': 'application/json'
-      }
-    }
-  );
-  return response.data.choices[0].message.content;
-}
-
-function tryParseJSON(raw, fallback = {}) {
-  try {
-    return JSON.parse(raw);
-  } catch (err) {
-    logger.error('Failed to parse JSON:', { raw, error: err.message });
-    return fallback;
-  }
-}
-
-const worker = new Worker(
-  'openai-tasks',
-  async (job) => {
-    logger.info(`Running job ${job.name} [${job.id}]`);
-
-    try {
-      if (job.name === 'parse-query') {
-        const prompt = [
-          { 
-            role: 'system', 
-            content: `You are a job search assistant. Parse user queries and return JSON in this exact format:
-            {
-              "action": "search_jobs" | "apply_job" | "unknown",
-              "filters": {
-                "title": "job title or null",
-                "location": "location or null", 
-                "company": "company or null",
-                "remote": true/false/null
-              },
-              "applyAll": true/false,
-              "jobId": "number or null",
-              "response": "helpful response text"
-            }
-            
-            Examples:
-            - "find jobs in Lagos" -> action: "search_jobs", filters: {location: "Lagos"}
-            - "apply to job 1" -> action: "apply_job", jobId: 1
-            - "apply all" -> action: "apply_job", applyAll: true` 
-          },
-          { role: 'user', content: job.data.message }
-        ];
-        const output = await mistralChat(prompt);
-        return tryParseJSON(output, {
-          action: 'unknown',
-          response: 'Sorry, I could not understand your query. Try "find jobs in Lagos" or "apply to job 1".'
-        });
-
-      } else if (job.name === 'analyze-cv') {
-        const prompt = [
-          { 
-            role: 'system', 
-            content: `Analyze this CV and return JSON in this exact format:
-            {
-              "skills": number (0-100),
-              "experience": number (years),
-              "education": number (0-100),
-              "summary": "brief analysis text"
-            }` 
-          },
-          { role: 'user', content: job.data.cvText }
-        ];
-        const output = await mistralChat(prompt);
-        return tryParseJSON(output, {
-          skills: 50,
-          experience: 0,
-          education: 50,
-          summary: 'CV analysis completed with basic scoring.'
-        });
-
-      } else if (job.name === 'generate-cover-letter') {
-        const prompt = [
-          { 
-            role: 'system', 
-            content: 'Write a professional cover letter based on this CV. Make it concise and compelling.' 
-          },
-          { role: 'user', content: job.data.cvText }
-        ];
-        return await mistralChat(prompt);
-
-      } else {
-        throw new Error(`Unknown job type: ${job.name}`);
-      }
-    } catch (error) {
-      logger.error(`Job ${job.name} failed:`, error);
-      
-      // Return fallback responses
-      if (job.name === 'parse-query') {
-        return { action: 'unknown', response: 'Processing error occurred.' };
-      } else if (job.name === 'analyze-cv') {
-        return { skills: 0, experience: 0, education: 0, summary: 'Analysis failed.' };
-      } else if (job.name === 'generate-cover-letter') {
-        return 'Dear Hiring Manager,\n\nI am writing to express my interest in this position. Please find my CV attached.\n\nBest regards,\n[Your Name]';
-      }
-      throw error;
-    }
-  },
-  { connection }
-);
-
-worker.on('completed', (job) => logger.info(`Job ${job.name} [${job.id}] completed.`));
-worker.on('failed', (job, err) => logger.error(`Job ${job?.name} [${job?.id}] failed: ${err.message}`));
-
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const { provider, taskSettings } = require('../llm');
+const { isJSONTask, parseTaskOutput } = require('../llm/validate');
+const { profileFromText } = require('../utils/cvProfile');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+// Calls the provider and validates the output against the task's schema. An
+// invalid reply is sent back to the model with the validation errors so it can
+// correct itself; once the repair attempts run out the task throws.
+async function runTask(task, prompt) {
+  const settings = taskSettings(task);
+  let messages = prompt;
+  let attempt = 0;
+
+  for (;;) {
+    const output = await provider.chat(messages, settings);
+    const { value, errors } = parseTaskOutput(task, output);
+    if (!errors) {
+      countMetric('llm.task', [`task:${task}`, `outcome:${attempt === 0 ? 'valid' : 'repaired'}`]);
+      return value;
+    }
+
+    logger.warn('LLM output failed validation', { task, attempt, errors, output });
+    if (attempt >= config.get('llm.repairAttempts')) {
+      const error = new Error(`Invalid ${task} output: ${errors}`);
+      error.code = 'LLM_INVALID_OUTPUT';
+      throw error;
+    }
+    attempt++;
+    messages = [
+      ...prompt,
+      { role: 'assistant', content: String(output) },
+      {
+        role: 'user',
+        content: `Your reply was not valid: ${errors}. Reply again with only the corrected ${isJSONTask(task) ? 'JSON object in the required format' : 'text'}, without code fences or commentary.`
+      }
+    ];
+  }
+}
+
+const TASKS = {
+  'parse-query': 'parseQuery',
+  'analyze-cv': 'analyzeCv',
+  'parse-cv': 'parseCv',
+  'match-cv': 'matchCv',
+  'generate-cover-letter': 'generateCoverLetter',
+  'revise-cover-letter': 'reviseCoverLetter'
+};
+
+const worker = new Worker(
+  'openai-tasks',
+  async (job) => {
+    logger.info(`Running job ${job.name} [${job.id}]`);
+
+    try {
+      if (job.name === 'parse-query') {
+        const prompt = [
+          { 
+            role: 'system', 
+            content: `You are a job search assistant for Nigerian job seekers. Users may write in English, Nigerian Pidgin, Yoruba, Hausa or Igbo; understand all of them. Parse user queries and return JSON in this exact format:
+            {
+              "action": "search_jobs" | "more_jobs" | "apply_job" | "my_applications" | "create_alert" | "list_alerts" | "unsubscribe" | "view_cv" | "replace_cv" | "delete_cv" | "help" | "set_language" | "balance" | "buy_plan" | "unknown",
+              "filters": {
+                "title": "job title or null",
+                "location": "location or null", 
+                "company": "company or null",
+                "remote": true/false/null
+              },
+              "applyAll": true/false,
+              "jobId": "number or null",
+              "page": "number or null",
+              "frequency": "instant" | "daily" | null,
+              "alertNumber": "number or null",
+              "plan": "starter" | "bundle" | "monthly" | null,
+              "language": "language the user asked to switch to, or null",
+              "messageLanguage": "en" | "pcm" | "yo" | "ha" | "ig",
+              "response": "helpful response text"
+            }
+
+            Always write filter values in English (e.g. "iṣẹ́ awakọ̀" -> title: "driver"). Set messageLanguage to the language the message is written in (pcm is Nigerian Pidgin) and write "response" in that language.
+            
+            Examples:
+            - "find jobs in Lagos" -> action: "search_jobs", filters: {location: "Lagos"}
+            - "apply to job 1" -> action: "apply_job", jobId: 1
+            - "apply all" -> action: "apply_job", applyAll: true
+            - "more" or "next" -> action: "more_jobs", page: null
+            - "page 2" -> action: "more_jobs", page: 2
+            - "alert me for remote developer jobs" -> action: "create_alert", filters: {title: "developer", remote: true}, frequency: "daily"
+            - "notify me immediately about accountant jobs in Abuja" -> action: "create_alert", filters: {title: "accountant", location: "Abuja"}, frequency: "instant"
+            - "my alerts" -> action: "list_alerts"
+            - "unsubscribe" -> action: "unsubscribe", alertNumber: null
+            - "unsubscribe 2" -> action: "unsubscribe", alertNumber: 2
+            - "my applications" or "status of my applications" -> action: "my_applications"
+            - "show my cv" -> action: "view_cv"
+            - "I want to upload a new cv" -> action: "replace_cv"
+            - "delete my cv" -> action: "delete_cv"
+            - "what can you do?" -> action: "help"
+            - "reply me in Hausa" -> action: "set_language", language: "hausa"
+            - "how many applications do I have left?" -> action: "balance"
+            - "I want to buy more credits" -> action: "buy_plan", plan: null
+            - "subscribe me to the monthly plan" -> action: "buy_plan", plan: "monthly"
+            - "abeg find me driver work for Abuja" -> action: "search_jobs", filters: {title: "driver", location: "Abuja"}, messageLanguage: "pcm"
+            - "mo fẹ́ iṣẹ́ olùkọ́ ní Ìbàdàn" -> action: "search_jobs", filters: {title: "teacher", location: "Ibadan"}, messageLanguage: "yo"
+            - "ina neman aikin direba a Kano" -> action: "search_jobs", filters: {title: "driver", location: "Kano"}, messageLanguage: "ha"
+            - "achọrọ m ọrụ nọọsụ na Enugu" -> action: "search_jobs", filters: {title: "nurse", location: "Enugu"}, messageLanguage: "ig"` 
+          },
+          { role: 'user', content: job.data.message }
+        ];
+        return await runTask('parseQuery', prompt);
+
+      } else if (job.name === 'analyze-cv') {
+        const prompt = [
+          { 
+            role: 'system', 
+            content: `Analyze this CV and return JSON in this exact format:
+            {
+              "skills": number (0-100),
+              "experience": number (years),
+              "education": number (0-100),
+              "summary": "brief analysis text"
+            }` 
+          },
+          { role: 'user', content: job.data.cvText }
+        ];
+        return await runTask('analyzeCv', prompt);
+
+      } else if (job.name === 'parse-cv') {
+        const prompt = [
+          { 
+            role: 'system', 
+            content: `Extract the candidate's details from this Nigerian CV. Copy values as written and use null or [] for anything the CV doesn't state; never guess. Return JSON in this exact format:
+            {
+              "name": "full name or null",
+              "email": "email address or null",
+              "phone": "phone number or null",
+              "location": "city and state the candidate lives in, or null",
+              "workHistory": [{"employer": "company", "role": "job title", "startDate": "e.g. 2019 or Mar 2019", "endDate": "date, or Present if current"}],
+              "education": [{"institution": "school", "qualification": "e.g. B.Sc, HND, OND, WAEC", "field": "course of study or null", "year": "graduation year or null"}],
+              "certifications": [{"name": "certification", "issuer": "issuing body or null", "year": "year or null"}],
+              "nysc": "completed" | "serving" | "exempted" | "not_started" | null,
+              "skills": ["skill"]
+            }
+
+            List work history and education most recent first. Professional certifications (ICAN, COREN, PMP, CCNA...) go in certifications; NYSC status goes only in "nysc".` 
+          },
+          { role: 'user', content: job.data.cvText }
+        ];
+        return await runTask('parseCv', prompt);
+
+      } else if (job.name === 'match-cv') {
+        const { cvText, job: posting, profile } = job.data;
+        const prompt = [
+          { 
+            role: 'system', 
+            content: `Compare this CV against the job posting and rate how well the candidate fits the role. A parsed profile may follow the CV; use it for location, NYSC status and certifications the job asks for. Return JSON in this exact format:
+            {
+              "score": number (0-100),
+              "matchedSkills": ["skills from the CV the job needs"],
+              "missingSkills": ["skills the job needs that the CV lacks"],
+              "summary": "one or two sentences explaining the score"
+            }` 
+          },
+          { 
+            role: 'user', 
+            content: `JOB\nTitle: ${posting.title}\nCompany: ${posting.company}\nLocation: ${posting.location}\nDescription: ${posting.description || 'Not provided'}\n\nCV\n${cvText}${profile ? `\n\nPARSED PROFILE\n${profile}` : ''}` 
+          }
+        ];
+        return await runTask('matchCv', prompt);
+
+      } else if (job.name === 'generate-cover-letter') {
+        const { cvText, job: posting, baseLetter } = job.data;
+        let system = 'Write a professional cover letter based on this CV. Make it concise and compelling.';
+        let content = cvText;
+        if (posting) {
+          system = `Write a professional cover letter for the job below based on this CV. Address the role and company by name, connect the candidate's experience to the job's requirements, and keep it concise and compelling.${baseLetter ? ' Adapt the candidate\'s own letter rather than starting from scratch, keeping their voice.' : ''} Return only the letter text.`;
+          content = `JOB\nTitle: ${posting.title}\nCompany: ${posting.company}\nLocation: ${posting.location}\nDescription: ${posting.description || 'Not provided'}\n\nCV\n${cvText}${baseLetter ? `\n\nCANDIDATE'S LETTER\n${baseLetter}` : ''}`;
+        }
+        const prompt = [
+          { role: 'system', content: system },
+          { role: 'user', content }
+        ];
+        return await runTask('generateCoverLetter', prompt);
+
+      } else if (job.name === 'revise-cover-letter') {
+        const { letter, instruction, job: posting } = job.data;
+        const prompt = [
+          { 
+            role: 'system', 
+            content: `You edit cover letters${posting ? ` for the ${posting.title} role at ${posting.company}` : ''}. Apply the candidate's requested change to the letter and return only the revised letter text, with no commentary.` 
+          },
+          { role: 'user', content: `LETTER\n${letter}\n\nREQUESTED CHANGE\n${instruction}` }
+        ];
+        return await runTask('reviseCoverLetter', prompt);
+
+      } else {
+        throw new Error(`Unknown job type: ${job.name}`);
+      }
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+      countMetric('llm.task', [
+        `task:${TASKS[job.name] || job.name}`,
+        `outcome:${error.code === 'LLM_INVALID_OUTPUT' ? 'invalid_fallback' : 'error_fallback'}`
+      ]);
+
+      // Return fallback responses
+      if (job.name === 'parse-query') {
+        return { action: 'unknown', response: 'Sorry, I could not understand your query. Try "find jobs in Lagos" or "apply to job 1".' };
+      } else if (job.name === 'analyze-cv') {
+        return { skills: 0, experience: 0, education: 0, summary: 'Analysis failed.' };
+      } else if (job.name === 'parse-cv') {
+        return profileFromText(job.data.cvText);
+      } else if (job.name === 'match-cv') {
+        // Flagged so the score isn't cached, stored or shown as a real 0%
+        return { score: null, matchedSkills: [], missingSkills: [], summary: 'Match failed.', fallback: true };
+      } else if (job.name === 'generate-cover-letter') {
+        // The service falls back to the candidate's own letter, if they wrote one
+        return null;
+      } else if (job.name === 'revise-cover-letter') {
+        return job.data.letter;
+      }
+      throw error;
+    }
+  },
+  { connection, concurrency: config.get('llm.concurrency') }
+);
+
+worker.on('completed', (job) => logger.info(`Job ${job.name} [${job.id}] completed.`));
+worker.on('failed', (job, err) => logger.error(`Job ${job?.name} [${job?.id}] failed: ${err.message}`));
+
 module.exports = worker;
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { countMetric } = require('../utils/metrics');
+const paymentService = require('../services/payments');
+const paystackService = require('../services/paystack');
+const bot = require('../services/bot');
+
+const connection = new Redis({
+  host: config.get('redis.host'),
+  port: config.get('redis.port'),
+  password: config.get('redis.password'),
+  maxRetriesPerRequest: null
+});
+
+const paymentQueue = new Queue('payments', { connection });
+
+paymentQueue.add('reconcile', {}, {
+  repeat: { every: config.get('paystack.reconcileIntervalMinutes') * 60 * 1000 },
+  removeOnComplete: 100,
+  removeOnFail: 100
+}).catch(error => logger.error('Failed to schedule payment reconciliation', { error: error.message }));
+
+const BATCH_SIZE = 50;
+
+// Catches payments whose webhook never arrived or failed mid-way. Returns the outcome
+// for metrics: recovered, failed, abandoned, pending or unreachable.
+async function reconcile(payment) {
+  const reference = payment.payment_reference;
+  const transaction = await paystackService.verifyTransaction(reference);
+  if (!transaction) {
+    return 'unreachable';
+  }
+  await paymentService.record('reconciliation', {
+    reference,
+    identifier: payment.user_identifier,
+    plan: payment.plan,
+    ...paymentService.fromPaystack(transaction),
+    payload: transaction
+  });
+
+  if (transaction.status === 'success') {
+    // Crediting is keyed by reference, so a payment the webhook already credited isn't credited twice
+    await bot.processPayment(reference, transaction);
+    return 'recovered';
+  }
+  if (paymentService.isFailed(transaction.status)) {
+    await paymentService.setStatus(reference, 'failed');
+    return 'failed';
+  }
+  // Abandoned or still in progress: keep checking until the checkout has long expired
+  if (payment.age_hours > config.get('paystack.reconcileMaxAgeHours')) {
+    await paymentService.setStatus(reference, 'abandoned');
+    return 'abandoned';
+  }
+  return 'pending';
+}
+
+async function reconcilePending() {
+  const payments = await paymentService.findPending({
+    afterMinutes: config.get('paystack.reconcileAfterMinutes'),
+    limit: BATCH_SIZE
+  });
+  const outcomes = {};
+
+  for (const payment of payments) {
+    try {
+      const outcome = await reconcile(payment);
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+      countMetric('payments.reconciled', [`outcome:${outcome}`]);
+    } catch (error) {
+      // One failing payment shouldn't block the rest of the batch
+      logger.error('Payment reconciliation failed', { reference: payment.payment_reference, error: error.message });
+    }
+  }
+
+  return { checked: payments.length, ...outcomes };
+}
+
+// Failed webhook jobs are retried with backoff; anything still unprocessed is
+// picked up by the next reconciliation run
+const paymentWorker = new Worker('payments', async (job) => {
+  if (job.name === 'webhook') {
+    await bot.processPayment(job.data.reference, job.data.data);
+    return { reference: job.data.reference };
+  }
+  if (job.name === 'reconcile') {
+    return reconcilePending();
+  }
+  throw new Error(`Unknown job type: ${job.name}`);
+}, { connection });
+
+paymentWorker.on('completed', (job, result) => {
+  logger.info('Payment job completed', { jobId: job.id, name: job.name, ...result });
+});
+
+paymentWorker.on('failed', (job, err) => {
+  logger.error('Payment job failed', {
+    jobId: job?.id,
+    name: job?.name,
+    reference: job?.data?.reference,
+    attempts: job?.attemptsMade,
+    error: err.message
+  });
+});
+
+module.exports = paymentWorker;
\ No newline at end of file